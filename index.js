@@ -2,10 +2,20 @@ const MessageSocketHandler = require("./src/socketcontrollers/MessageSocketHandl
 const ChatValidators = require("./src/validators/ChatValidators");
 const MessageControllers = require("./src/controllers/MessageController");
 const ChatService = require("./src/services/ChatService");
+const { MemoryPresenceStore } = require("./src/presence/MemoryPresenceStore");
+const { RedisPresenceStore } = require("./src/presence/RedisPresenceStore");
+const { LocalStorageDriver } = require("./src/storage/LocalStorageDriver");
+const { S3StorageDriver } = require("./src/storage/S3StorageDriver");
+const { MemoryStorageDriver } = require("./src/storage/MemoryStorageDriver");
 
 module.exports = {
     ChatService,
     ChatValidators,
     MessageSocketHandler,
-    MessageControllers
+    MessageControllers,
+    MemoryPresenceStore,
+    RedisPresenceStore,
+    LocalStorageDriver,
+    S3StorageDriver,
+    MemoryStorageDriver
 };
\ No newline at end of file
@@ -1,16 +1,21 @@
 const { Sequelize } = require('sequelize');
 const initModels = require('../models/init_models');
 
+const DEFAULT_PORTS = { postgres: 5432, mysql: 3306, mariadb: 3306 };
+
 class DBConnection {
     constructor() {
         this.sequelize = null;
         this.models = null;
     };
     dbHandleConnection(config) {
+        const dialect = config.dialect || 'postgres';
         this.sequelize = new Sequelize(config.database, config.username, config.password, {
             host: config.host,
-            port: config.port || 5432,
-            dialect: config.dialect || 'postgres',
+            port: config.port || DEFAULT_PORTS[dialect],
+            dialect,
+            // SQLite only: database file, ':memory:' for an in-process database
+            ...(config.storage && { storage: config.storage }),
             logging: false,
         });
         this.sequelize.authenticate();
@@ -1,11 +1,21 @@
 // ============================================================================
 // 📌 IMPORTS (Single unified import block)
 // ============================================================================
-const path = require("path");
 const { Op } = require("sequelize");
-
-const { fileManager } = require("../utils/filemanager");
-const { getUserMessagesMaster, getUserInfo } = require("../utils/helper");
+const Busboy = require("busboy");
+
+const { getUserMessagesMaster, isGroupMember, canAccessMessage, notHiddenFor } = require("../utils/helper");
+const {
+    uploadError,
+    checkDailyQuota,
+    saveUpload,
+    discardUploads,
+    listAttachmentsByMessage,
+    findAttachmentFile
+} = require("../utils/attachments");
+const { THUMBNAIL_TYPE } = require("../utils/thumbnails");
+const { deletedMessageText } = require("../utils/apptool");
+const { sqlDialect } = require("../utils/sqldialect");
 
 // Local package services (chatbortbackend / ChatService)
 const { configurationProvider } = require("../services/ChatService");
@@ -46,6 +56,40 @@ const getGroups = async (req, res) => {
 };
 
 
+// ============================================================================
+// 📌 GET CONVERSATIONS CONTROLLER
+// ============================================================================
+/**
+ * @route   GET /conversations
+ * @desc    Direct chats and groups in one list, most recent activity first
+ */
+const getConversations = async (req, res) => {
+    try {
+        let { page = 1, limit = 20 } = req.query;
+
+        let response = await configurationProvider.getConfig().getConversations?.({
+            page,
+            limit,
+            userId: req?.user_data?.user_id,
+        });
+
+        if (response?.status === "success") {
+            return res.status(200).json(response);
+        }
+
+        return res.status(400).json(response);
+
+    } catch (error) {
+        console.error("Get Conversations Error:", error);
+
+        return res.status(500).json({
+            status: "error",
+            message: error.message,
+        });
+    }
+};
+
+
 const getAllUsers = async (req, res) => {
     try {
         let { currentPage = 1, totalRecords = 10, search = "", moduleValue = 0 } = req.query;
@@ -111,13 +155,14 @@ const updateGroup = async (req, res) => {
             groupId,
             name,
             groupUsers,
+            userId: req?.user_data?.user_id,
         });
 
         if (response?.status === "success") {
             return res.status(200).json(response);
         }
 
-        return res.status(400).json(response);
+        return res.status(response?.code === "FORBIDDEN" ? 403 : 400).json(response);
 
     } catch (error) {
         console.error("Update Group Error:", error);
@@ -134,10 +179,73 @@ const updateGroup = async (req, res) => {
 // ============================================================================
 // 📌 GET MESSAGES CONTROLLER
 // ============================================================================
+/**
+ * Cursor window over a conversation, newest first
+ * - before → messages older than the id
+ * - after  → messages newer than the id
+ * - around → the message itself with older and newer ones on both sides
+ * Returns { messages, hasOlder, hasNewer }, or null when the around message
+ * is not part of the conversation.
+ */
+async function findMessageWindow(messageModel, where, { before, after, around, limit }) {
+    const withId = condition => ({ ...where, id: { ...where.id, ...condition } });
+    const older = (condition, take) => messageModel.findAll({
+        where: withId(condition), order: [["id", "DESC"]], limit: take
+    });
+    const newer = (id, take) => messageModel.findAll({
+        where: withId({ [Op.gt]: id }), order: [["id", "ASC"]], limit: take
+    });
+    const exists = async condition => Boolean(
+        await messageModel.findOne({ where: withId(condition), attributes: ["id"] })
+    );
+
+    if (before) {
+        const rows = await older({ [Op.lt]: before }, limit + 1);
+        return {
+            messages: rows.slice(0, limit),
+            hasOlder: rows.length > limit,
+            hasNewer: await exists({ [Op.gte]: before })
+        };
+    }
+
+    if (after) {
+        const rows = await newer(after, limit + 1);
+        return {
+            messages: rows.slice(0, limit).reverse(),
+            hasOlder: await exists({ [Op.lte]: after }),
+            hasNewer: rows.length > limit
+        };
+    }
+
+    if (!(await exists({ [Op.eq]: around }))) return null;
+
+    const newerCount = Math.floor((limit - 1) / 2);
+    const olderCount = limit - newerCount;
+    const olderRows = await older({ [Op.lte]: around }, olderCount + 1);
+    const newerRows = await newer(around, newerCount + 1);
+    return {
+        messages: [...newerRows.slice(0, newerCount).reverse(), ...olderRows.slice(0, olderCount)],
+        hasOlder: olderRows.length > olderCount,
+        hasNewer: newerRows.length > newerCount
+    };
+}
+
+/**
+ * nextCursor → pass as `before` for older messages
+ * prevCursor → pass as `after` for newer messages
+ */
+function messageCursors(messages, { hasOlder, hasNewer }) {
+    return {
+        nextCursor: hasOlder && messages.length > 0 ? messages[messages.length - 1].id : null,
+        prevCursor: hasNewer && messages.length > 0 ? messages[0].id : null
+    };
+}
+
 /**
  * @route   GET /messages
- * @desc    Fetch direct chat messages or group messages
- * @query   fromUserId, toUserId, groupId, search, page, limit
+ * @desc    Fetch direct chat messages or group messages, newest first
+ * @query   fromUserId, toUserId, groupId, search, limit and either
+ *          page or one of before / after / around (message ids)
  */
 const getMessages = async (req, res) => {
     try {
@@ -147,6 +255,9 @@ const getMessages = async (req, res) => {
             toUserId,
             groupId,
             search,
+            before,
+            after,
+            around,
             page = 1,
             limit = 10
         } = req.query;
@@ -154,11 +265,22 @@ const getMessages = async (req, res) => {
         page = parseInt(page);
         limit = parseInt(limit);
         const offset = (page - 1) * limit;
+        const cursor = {
+            before: before ? Number(before) : null,
+            after: after ? Number(after) : null,
+            around: around ? Number(around) : null
+        };
 
         const whereClause = {};
 
         // Group Chat Case
         if (groupId) {
+            if (!(await isGroupMember(groupId, req?.user_data?.user_id))) {
+                return res.status(403).json({
+                    status: "error",
+                    message: "You are not a member of this group."
+                });
+            }
             whereClause.groupId = Number(groupId);
         }
         // Direct Chat Case
@@ -179,47 +301,86 @@ const getMessages = async (req, res) => {
         }
 
         if (search?.trim()) {
-            whereClause.messageText = { [Op.iLike]: `%${search.trim()}%` };
+            whereClause.messageText = { [sqlDialect(configurationProvider.getConfig().sequelize).iLikeOp]: `%${search.trim()}%` };
         }
 
-        const { rows: messages, count: totalRecords } =
-            await messageModel.findAndCountAll({
-                where: whereClause,
-                order: [["id", "DESC"]],
-                offset,
-                limit
-            });
+        // Skip messages the caller deleted for themselves
+        whereClause.id = notHiddenFor(req?.user_data?.user_id);
+
+        let messages;
+        let pagination;
+        if (cursor.before || cursor.after || cursor.around) {
+            const window = await findMessageWindow(messageModel, whereClause, { ...cursor, limit });
+            if (!window) {
+                return res.status(404).json({
+                    status: "error",
+                    message: "Message not found"
+                });
+            }
+            messages = window.messages;
+            pagination = { limit, ...messageCursors(messages, window) };
+        } else {
+            const { rows, count: totalRecords } =
+                await messageModel.findAndCountAll({
+                    where: whereClause,
+                    order: [["id", "DESC"]],
+                    offset,
+                    limit
+                });
+            messages = rows;
+            pagination = {
+                currentPage: page,
+                totalPages: Math.ceil(totalRecords / limit),
+                totalRecords,
+                limit,
+                ...messageCursors(messages, {
+                    hasOlder: offset + rows.length < totalRecords,
+                    hasNewer: offset > 0
+                })
+            };
+        }
 
         const results = [];
 
+        // Metadata only - contents are fetched through downloadAttachment
+        const attachments = await listAttachmentsByMessage(
+            messages.filter(msg => msg.messageType == "doc" && !msg.isDeleted).map(msg => msg.id)
+        );
+        // Senders resolved in one lookup, shared with the reply previews
+        const users = configurationProvider.getConfig().createUserResolver?.();
+        const senders = users ? await users.load(messages.map(msg => msg.fromUserId)) : {};
+        // Quoted previews of replied-to messages
+        const replies = (await configurationProvider.getConfig().getReplyPreviews?.(
+            messages.filter(msg => !msg.isDeleted).map(msg => msg.replyToMessageId),
+            users
+        )) || {};
+        // Emoji counts, flagged with whether the caller reacted
+        const reactionSummaries = (await configurationProvider.getConfig().getReactionSummaries?.(
+            messages.filter(msg => !msg.isDeleted).map(msg => msg.id),
+            req?.user_data?.user_id
+        )) || {};
+
         for (let msg of messages) {
-            let files = []
-            if (msg.messageType == "doc" && !msg.isDeleted) {
-                const messageDir = path.join("messagesdocs", String(msg.id));
-                files = await fileManager.getAllFiles(messageDir, "base64");
-            };
+            const files = attachments[msg.id] || [];
+            const replyTo = msg.isDeleted ? null : replies[msg.replyToMessageId] || null;
+            const reactions = msg.isDeleted ? [] : reactionSummaries[msg.id] || [];
             msg = msg.toJSON();
             if (msg.isDeleted) {
-                msg.messageText = "Your message deleted.";
+                msg.messageText = deletedMessageText(msg, req?.user_data?.user_id);
             };
-            const sender = await getUserInfo(msg.fromUserId);
-
             results.push({
                 ...msg,
                 files,
-                senderName: sender ? sender.username : null,
+                replyTo,
+                reactions,
+                senderName: senders[msg.fromUserId]?.username || null,
             });
         };
 
         return res.status(200).json({
             status: "success",
             data: results,
-            pagination: {
-                currentPage: page,
-                totalPages: Math.ceil(totalRecords / limit),
-                totalRecords,
-                limit,
-            },
+            pagination,
         });
 
     } catch (error) {
@@ -231,6 +392,336 @@ const getMessages = async (req, res) => {
     }
 };
 
+// ============================================================================
+// 📌 SEARCH MESSAGES CONTROLLER
+// ============================================================================
+/**
+ * @route   GET /messages/search
+ * @desc    Search every conversation of the caller, best match first
+ * @query   q, fromUserId, startDate, endDate, hasAttachments, page, limit
+ */
+const searchMessages = async (req, res) => {
+    try {
+        const { q, fromUserId, startDate, endDate, hasAttachments, page = 1, limit = 20 } = req.query;
+
+        let response = await configurationProvider.getConfig().searchMessages?.({
+            userId: req?.user_data?.user_id,
+            query: q,
+            fromUserId,
+            startDate,
+            endDate,
+            hasAttachments,
+            page,
+            limit
+        });
+
+        if (response?.status === "success") {
+            return res.status(200).json(response);
+        }
+
+        return res.status(400).json(response);
+
+    } catch (error) {
+        console.error("Search Messages Error:", error);
+
+        return res.status(500).json({
+            status: "error",
+            message: error.message,
+        });
+    }
+};
+
+// ============================================================================
+// 📌 SYNC MESSAGES CONTROLLER
+// ============================================================================
+/**
+ * @route   GET /messages/sync
+ * @desc    Messages created, edited or deleted in the caller's conversations after a cursor
+ * @query   since (ISO timestamp) | cursor (from a previous response), limit
+ */
+const syncMessages = async (req, res) => {
+    try {
+        const { since, cursor, limit = 100 } = req.query;
+
+        let response = await configurationProvider.getConfig().syncMessages?.({
+            userId: req?.user_data?.user_id,
+            since,
+            cursor,
+            limit
+        });
+
+        if (response?.status === "success") {
+            return res.status(200).json(response);
+        }
+
+        return res.status(400).json(response);
+
+    } catch (error) {
+        console.error("Sync Messages Error:", error);
+
+        return res.status(500).json({
+            status: "error",
+            message: error.message,
+        });
+    }
+};
+
+// ============================================================================
+// 📌 MESSAGE REVISIONS CONTROLLER
+// ============================================================================
+/**
+ * @route   GET /messages/:messageId/revisions
+ * @desc    Edit history of a message (previous texts, editor, time), oldest first
+ */
+const getMessageRevisions = async (req, res) => {
+    try {
+        let response = await configurationProvider.getConfig().getMessageRevisions?.({
+            userId: req?.user_data?.user_id,
+            messageId: req.params.messageId
+        });
+
+        if (response?.status === "success") {
+            return res.status(200).json(response);
+        }
+
+        return res.status(404).json(response);
+
+    } catch (error) {
+        console.error("Message Revisions Error:", error);
+
+        return res.status(500).json({
+            status: "error",
+            message: error.message,
+        });
+    }
+};
+
+// ============================================================================
+// 📌 UPLOAD ATTACHMENTS CONTROLLER
+// ============================================================================
+/**
+ * @route   POST /attachments
+ * @desc    Stream multipart/form-data files to storage; returns attachment ids
+ *          to reference from handleSendMessage { attachmentIds }.
+ *          Enforces the configured upload policy; failures carry a `code`.
+ */
+const uploadAttachments = async (req, res) => {
+    const userId = req?.user_data?.user_id;
+    if (!userId) {
+        return res.status(401).json({ status: "error", message: "Unauthorized" });
+    }
+
+    const policy = configurationProvider.getConfig().uploadPolicy;
+
+    // Refuse before reading the body when today's quota is already used up
+    try {
+        await checkDailyQuota(userId, 0, policy);
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            status: "error",
+            ...(error.code && { code: error.code }),
+            message: error.message
+        });
+    }
+
+    let busboy;
+    try {
+        busboy = Busboy({
+            headers: req.headers,
+            limits: {
+                fileSize: policy.maxFileSize,
+                files: policy.maxFiles
+            }
+        });
+    } catch (error) {
+        return res.status(400).json({
+            status: "error",
+            message: "Expected a multipart/form-data upload."
+        });
+    }
+
+    const uploads = [];
+    const pending = [];
+    let failure = null;
+
+    busboy.on("file", (fieldName, stream, info) => {
+        pending.push(
+            saveUpload({ userId, fileName: info.filename, stream, sizeHint: req.headers["content-length"], policy })
+                .then(upload => uploads.push(upload))
+                .catch(error => {
+                    failure = failure || error;
+                    stream.resume();
+                })
+        );
+    });
+
+    busboy.on("filesLimit", () => {
+        failure = failure || uploadError("TOO_MANY_FILES", `Too many files. Maximum ${policy.maxFiles} files allowed.`);
+    });
+
+    busboy.on("error", error => {
+        failure = failure || error;
+    });
+
+    busboy.on("close", async () => {
+        await Promise.allSettled(pending);
+
+        if (failure) {
+            await discardUploads(userId, uploads.map(upload => upload.id));
+            console.error("Upload Attachments Error:", failure.message);
+            return res.status(failure.statusCode || 400).json({
+                status: "error",
+                ...(failure.code && { code: failure.code }),
+                message: failure.message
+            });
+        }
+
+        if (uploads.length === 0) {
+            return res.status(400).json({ status: "error", message: "No files uploaded." });
+        }
+
+        return res.status(201).json({ status: "success", data: uploads });
+    });
+
+    req.pipe(busboy);
+};
+
+/**
+ * Parse a single "bytes=start-end" Range header
+ * Returns null (serve everything), { start, end } or { unsatisfiable: true }
+ */
+function parseByteRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || "").trim());
+    if (!match || (match[1] === "" && match[2] === "")) return null;
+
+    let start;
+    let end;
+    if (match[1] === "") {
+        // Suffix range: last N bytes
+        start = Math.max(size - Number(match[2]), 0);
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === "" ? size - 1 : Math.min(Number(match[2]), size - 1);
+    }
+
+    if (start > end || start >= size) return { unsatisfiable: true };
+    return { start, end };
+}
+
+/**
+ * Look up the attachment addressed by :messageId / :attachmentId for the caller.
+ * Returns { file } or { statusCode, message } when it must not be served
+ */
+async function resolveAttachment(req) {
+    const { messageId, attachmentId } = req.params;
+
+    const message = await getUserMessagesMaster().findByPk(Number(messageId));
+    if (!message || message.isDeleted) {
+        return { statusCode: 404, message: "Attachment not found." };
+    }
+
+    if (!(await canAccessMessage(message, req?.user_data?.user_id))) {
+        return { statusCode: 403, message: "You cannot access this attachment." };
+    }
+
+    const file = await findAttachmentFile(message.id, attachmentId);
+    if (!file) {
+        return { statusCode: 404, message: "Attachment not found." };
+    }
+
+    return { file };
+}
+
+// ============================================================================
+// 📌 DOWNLOAD ATTACHMENT CONTROLLER
+// ============================================================================
+/**
+ * @route   GET /messages/:messageId/attachments/:attachmentId
+ * @desc    Stream one attachment; honours Range requests
+ */
+const downloadAttachment = async (req, res) => {
+    try {
+        const { file, statusCode, message } = await resolveAttachment(req);
+        if (!file) {
+            return res.status(statusCode).json({ status: "error", message });
+        }
+
+        res.setHeader("Content-Type", file.type);
+        res.setHeader("Accept-Ranges", "bytes");
+        if (file.checksum) res.setHeader("ETag", `"${file.checksum}"`);
+        res.setHeader("X-Content-Type-Options", "nosniff");
+        // Only images are shown in the browser; everything else is saved, never rendered
+        const disposition = file.type.startsWith("image/") ? "inline" : "attachment";
+        res.setHeader("Content-Disposition", `${disposition}; filename*=UTF-8''${encodeURIComponent(file.name)}`);
+
+        const range = parseByteRange(req.headers?.range, file.size);
+        if (range?.unsatisfiable) {
+            res.setHeader("Content-Range", `bytes */${file.size}`);
+            return res.status(416).end();
+        }
+
+        const { storage } = configurationProvider.getConfig();
+        const stream = await storage.stream(file.location, range || {});
+        if (range) {
+            res.status(206);
+            res.setHeader("Content-Range", `bytes ${range.start}-${range.end}/${file.size}`);
+            res.setHeader("Content-Length", range.end - range.start + 1);
+        } else {
+            res.status(200);
+            res.setHeader("Content-Length", file.size);
+        }
+
+        stream.on("error", error => {
+            console.error("Download Attachment Stream Error:", error);
+            res.destroy(error);
+        });
+        stream.pipe(res);
+
+    } catch (error) {
+        console.error("Download Attachment Error:", error);
+        return res.status(500).json({
+            status: "error",
+            message: error.message,
+        });
+    }
+};
+
+// ============================================================================
+// 📌 ATTACHMENT THUMBNAIL CONTROLLER
+// ============================================================================
+/**
+ * @route   GET /messages/:messageId/attachments/:attachmentId/thumbnail
+ * @desc    Small webp preview of an image attachment (see hasThumbnail)
+ */
+const downloadThumbnail = async (req, res) => {
+    try {
+        const { file, statusCode, message } = await resolveAttachment(req);
+        if (!file) {
+            return res.status(statusCode).json({ status: "error", message });
+        }
+        if (!file.thumbnailLocation) {
+            return res.status(404).json({ status: "error", message: "No thumbnail for this attachment." });
+        }
+
+        const { storage } = configurationProvider.getConfig();
+        const thumbnail = await storage.get(file.thumbnailLocation);
+
+        res.setHeader("Content-Type", THUMBNAIL_TYPE);
+        res.setHeader("Content-Length", thumbnail.length);
+        // Thumbnails never change once generated
+        res.setHeader("Cache-Control", "private, max-age=86400, immutable");
+        return res.status(200).end(thumbnail);
+
+    } catch (error) {
+        console.error("Download Thumbnail Error:", error);
+        return res.status(500).json({
+            status: "error",
+            message: error.message,
+        });
+    }
+};
+
 const getGroupManageUsers = async (req, res) => {
     try {
         let { groupId } = req.params;
@@ -270,14 +761,15 @@ const assignGroupMembers = async (req, res) => {
             groupId,
             notAssigned,
             unlinkAssigned,
-            groupName
+            groupName,
+            userId: req?.user_data?.user_id
         });
 
         if (response.status === "success") {
             return res.status(200).json(response);
         }
 
-        return res.status(400).json(response);
+        return res.status(response.code === "FORBIDDEN" ? 403 : 400).json(response);
     } catch (error) {
         console.error("Get Groups Error:", error);
 
@@ -287,6 +779,107 @@ const assignGroupMembers = async (req, res) => {
         });
     }
 }
+
+// ============================================================================
+// 📌 GROUP MEMBER ROLE CONTROLLER
+// ============================================================================
+/**
+ * @route   PATCH /groups/:groupId/members/:memberId/role
+ * @desc    Promote a member to admin or demote an admin (owners and admins only)
+ */
+const updateGroupMemberRole = async (req, res) => {
+    try {
+        const { groupId, memberId } = req.params;
+        const { role } = req.body;
+
+        let response = await configurationProvider.getConfig().setGroupMemberRole?.({
+            groupId,
+            memberId,
+            role,
+            userId: req?.user_data?.user_id
+        });
+
+        if (response?.status === "success") {
+            return res.status(200).json(response);
+        }
+
+        return res.status(response?.code === "FORBIDDEN" ? 403 : 400).json(response);
+
+    } catch (error) {
+        console.error("Update Member Role Error:", error);
+
+        return res.status(500).json({
+            status: "error",
+            message: error.message,
+        });
+    }
+};
+
+// ============================================================================
+// 📌 TRANSFER GROUP OWNERSHIP CONTROLLER
+// ============================================================================
+/**
+ * @route   POST /groups/:groupId/owner
+ * @desc    Hand the group to another member (owner only)
+ */
+const transferGroupOwnership = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const { userId: newOwnerId } = req.body;
+
+        let response = await configurationProvider.getConfig().transferGroupOwnership?.({
+            groupId,
+            newOwnerId,
+            userId: req?.user_data?.user_id
+        });
+
+        if (response?.status === "success") {
+            return res.status(200).json(response);
+        }
+
+        return res.status(response?.code === "FORBIDDEN" ? 403 : 400).json(response);
+
+    } catch (error) {
+        console.error("Transfer Ownership Error:", error);
+
+        return res.status(500).json({
+            status: "error",
+            message: error.message,
+        });
+    }
+};
+// ============================================================================
+// 📌 LEAVE GROUP CONTROLLER
+// ============================================================================
+/**
+ * @route   POST /groups/:groupId/leave
+ * @desc    Remove the caller from a group (the owner transfers ownership first)
+ */
+const leaveGroup = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+
+        let response = await configurationProvider.getConfig().leaveGroup?.({
+            groupId,
+            userId: req?.user_data?.user_id
+        });
+
+        if (response?.status === "success") {
+            return res.status(200).json(response);
+        }
+
+        return res.status(response?.code === "FORBIDDEN" ? 403 : 400).json(response);
+
+    } catch (error) {
+        console.error("Leave Group Error:", error);
+
+        return res.status(500).json({
+            status: "error",
+            message: error.message,
+        });
+    }
+};
+
 // ============================================================================
 // 📌 EXPORT ALL CONTROLLERS IN ONE OBJECT
 // ============================================================================
@@ -295,7 +888,17 @@ module.exports = {
     createGroup: createGroup,
     updateGroup: updateGroup,
     fetchMessages: getMessages,
+    searchMessages,
     fetchUsers: getAllUsers,
+    fetchConversations: getConversations,
+    syncMessages,
+    getMessageRevisions,
+    uploadAttachments,
+    downloadAttachment,
+    downloadThumbnail,
     getGroupManageUsers,
-    assignGroupMembers
+    assignGroupMembers,
+    updateGroupMemberRole,
+    transferGroupOwnership,
+    leaveGroup
 };
@@ -0,0 +1,59 @@
+module.exports = (sequelize, DataTypes) => {
+    // One stored file. messageId stays null until the upload is sent with a message.
+    const Attachment = sequelize.define('messageattachments', {
+        messageId: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        uploadedBy: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        originalName: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        mimeType: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            defaultValue: 'application/octet-stream'
+        },
+        size: {
+            type: DataTypes.BIGINT,
+            allowNull: false,
+            defaultValue: 0
+        },
+        // sha256, hex encoded
+        checksum: {
+            type: DataTypes.STRING(64),
+            allowNull: true
+        },
+        // Location relative to the storage root
+        storageKey: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            unique: true
+        },
+        // Images only: original dimensions and the generated thumbnail
+        width: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        height: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        thumbnailKey: {
+            type: DataTypes.STRING,
+            allowNull: true
+        }
+    }, {
+        tableName: 'messageattachments',
+        timestamps: true,
+        indexes: [
+            { fields: ['messageId'] },
+            { fields: ['uploadedBy', 'messageId'] }
+        ]
+    });
+    return Attachment;
+}
@@ -17,7 +17,8 @@ module.exports = function (sequelize, DataTypes) {
     }, {
         sequelize,
         tableName: 'groupsmaster',
-        schema: 'public',
+        // Schemas exist on PostgreSQL only; elsewhere Sequelize would prefix the table name
+        ...(sequelize.getDialect() === 'postgres' && { schema: 'public' }),
         timestamps: true
     });
 };
\ No newline at end of file
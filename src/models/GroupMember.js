@@ -13,11 +13,17 @@ module.exports = function (sequelize, DataTypes) {
         userId: {
             type: DataTypes.INTEGER,
             allowNull: false
+        },
+        // owner (one per group) / admin: manage the group; member: chat only
+        role: {
+            type: DataTypes.ENUM('owner', 'admin', 'member'),
+            allowNull: false,
+            defaultValue: 'member'
         }
     }, {
         sequelize,
         tableName: 'groupuserslines',
-        schema: 'public',
+        ...(sequelize.getDialect() === 'postgres' && { schema: 'public' }),
         timestamps: true
     });
 };
\ No newline at end of file
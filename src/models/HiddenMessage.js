@@ -0,0 +1,20 @@
+module.exports = (sequelize, DataTypes) => {
+    // Message a user deleted for themselves only ("delete for me")
+    const HiddenMessage = sequelize.define('hiddenmessages', {
+        userId: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        messageId: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        }
+    }, {
+        tableName: 'hiddenmessages',
+        timestamps: true,
+        indexes: [
+            { unique: true, fields: ['userId', 'messageId'] }
+        ]
+    });
+    return HiddenMessage;
+}
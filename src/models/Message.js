@@ -8,8 +8,9 @@ module.exports = (sequelize, DataTypes) => {
             type: DataTypes.INTEGER,
             allowNull: true
         },
+        // system: group events (created, renamed, members added / removed)
         messageType: {
-            type: DataTypes.ENUM('doc', 'text'),
+            type: DataTypes.ENUM('doc', 'text', 'system'),
             allowNull: true
         },
         messageText: {
@@ -20,9 +21,31 @@ module.exports = (sequelize, DataTypes) => {
             type: DataTypes.BOOLEAN,
             defaultValue: false
         },
+        deletedAt: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        isEdited: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: false
+        },
+        editedAt: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
         groupId: {
             type: DataTypes.INTEGER,
             allowNull: true
+        },
+        // system messages only: { type, actorId, userIds?, name? } for clients to render
+        systemEvent: {
+            type: DataTypes.JSON,
+            allowNull: true
+        },
+        // Message this one replies to (same conversation)
+        replyToMessageId: {
+            type: DataTypes.INTEGER,
+            allowNull: true
         }
     }, {
         tableName: 'usersmessagesmaster',
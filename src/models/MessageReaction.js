@@ -0,0 +1,24 @@
+module.exports = (sequelize, DataTypes) => {
+    // One emoji a user put on a message; a user can add several different emoji
+    const MessageReaction = sequelize.define('messagereactions', {
+        messageId: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        userId: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        emoji: {
+            type: DataTypes.STRING(32),
+            allowNull: false
+        }
+    }, {
+        tableName: 'messagereactions',
+        timestamps: true,
+        indexes: [
+            { unique: true, fields: ['messageId', 'userId', 'emoji'] }
+        ]
+    });
+    return MessageReaction;
+}
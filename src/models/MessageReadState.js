@@ -0,0 +1,34 @@
+module.exports = (sequelize, DataTypes) => {
+    // Last message a user has read in a conversation:
+    // direct chat → (userId, peerUserId), group chat → (userId, groupId)
+    const MessageReadState = sequelize.define('messagereadstates', {
+        userId: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        peerUserId: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        groupId: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        lastReadMessageId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        }
+    }, {
+        tableName: 'messagereadstates',
+        timestamps: true,
+        // NULLs never collide in a unique index, so each kind of conversation
+        // gets its own partial index (MySQL has no partial indexes; there the
+        // NULL of the other kind keeps the two plain indexes apart)
+        indexes: [
+            { name: 'messagereadstates_direct', unique: true, fields: ['userId', 'peerUserId'], where: { groupId: null } },
+            { name: 'messagereadstates_group', unique: true, fields: ['userId', 'groupId'], where: { peerUserId: null } }
+        ]
+    });
+    return MessageReadState;
+}
@@ -0,0 +1,29 @@
+module.exports = (sequelize, DataTypes) => {
+    // Text a message had before one edit; rows are never updated or deleted
+    const MessageRevision = sequelize.define('messagerevisions', {
+        messageId: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        editedBy: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        previousText: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        editedAt: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        }
+    }, {
+        tableName: 'messagerevisions',
+        timestamps: false,
+        indexes: [
+            { fields: ['messageId', 'editedAt'] }
+        ]
+    });
+    return MessageRevision;
+}
@@ -0,0 +1,27 @@
+module.exports = (sequelize, DataTypes) => {
+    // Bytes a user uploaded on one UTC day, for the daily upload quota.
+    // Uploads reserve bytes before storing and give back what they did not use;
+    // deleting or discarding files later does not give quota back.
+    const UploadUsage = sequelize.define('uploadusages', {
+        userId: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        day: {
+            type: DataTypes.DATEONLY,
+            allowNull: false
+        },
+        bytes: {
+            type: DataTypes.BIGINT,
+            allowNull: false,
+            defaultValue: 0
+        }
+    }, {
+        tableName: 'uploadusages',
+        timestamps: true,
+        indexes: [
+            { unique: true, fields: ['userId', 'day'] }
+        ]
+    });
+    return UploadUsage;
+}
@@ -2,11 +2,23 @@ const { DataTypes } = require("sequelize");
 const _Message = require("./Message");
 const _Group = require("./Group");
 const _GroupMember = require("./GroupMember");
+const _MessageReadState = require("./MessageReadState");
+const _Attachment = require("./Attachment");
+const _MessageReaction = require("./MessageReaction");
+const _MessageRevision = require("./MessageRevision");
+const _HiddenMessage = require("./HiddenMessage");
+const _UploadUsage = require("./UploadUsage");
 
 function initModels(sequelize) {
     const Message= _Message(sequelize, DataTypes);
     const group = _Group(sequelize, DataTypes);
     const GroupMember = _GroupMember(sequelize, DataTypes);
+    const MessageReadState = _MessageReadState(sequelize, DataTypes);
+    const Attachment = _Attachment(sequelize, DataTypes);
+    const MessageReaction = _MessageReaction(sequelize, DataTypes);
+    const MessageRevision = _MessageRevision(sequelize, DataTypes);
+    const HiddenMessage = _HiddenMessage(sequelize, DataTypes);
+    const UploadUsage = _UploadUsage(sequelize, DataTypes);
 
     // GroupMember ↔ group
     GroupMember.belongsTo(group, { foreignKey: "groupId", as: "groupsTogroup" });
@@ -16,6 +28,25 @@ function initModels(sequelize) {
     Message.belongsTo(group, { foreignKey: "groupId", as: "groupsUser" });
     group.hasMany(Message, { foreignKey: "groupId", as: "userGroups" });
 
+    // Message ↔ replied-to Message
+    Message.belongsTo(Message, { foreignKey: "replyToMessageId", as: "replyTo" });
+
+    // Attachment ↔ Message
+    Attachment.belongsTo(Message, { foreignKey: "messageId", as: "message" });
+    Message.hasMany(Attachment, { foreignKey: "messageId", as: "attachments" });
+
+    // MessageReaction ↔ Message
+    MessageReaction.belongsTo(Message, { foreignKey: "messageId", as: "message" });
+    Message.hasMany(MessageReaction, { foreignKey: "messageId", as: "reactions" });
+
+    // MessageRevision ↔ Message
+    MessageRevision.belongsTo(Message, { foreignKey: "messageId", as: "message" });
+    Message.hasMany(MessageRevision, { foreignKey: "messageId", as: "revisions" });
+
+    // HiddenMessage ↔ Message
+    HiddenMessage.belongsTo(Message, { foreignKey: "messageId", as: "message" });
+    Message.hasMany(HiddenMessage, { foreignKey: "messageId", as: "hiddenFor" });
+
 
     // ---------------------------------------------
     // ✅ RETURN ALL INITIALIZED MODELS
@@ -23,7 +54,13 @@ function initModels(sequelize) {
     return {
         message:Message,
         group,
-        GroupMember
+        GroupMember,
+        MessageReadState,
+        Attachment,
+        MessageReaction,
+        MessageRevision,
+        HiddenMessage,
+        UploadUsage
     };
 }
 
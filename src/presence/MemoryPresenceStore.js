@@ -0,0 +1,150 @@
+/**
+ * In-memory Presence Store (default)
+ *
+ * Keeps presence for a single Node process. Every presence store exposes the
+ * same async interface so MessageSocketHandler can run on any of them:
+ *
+ *   addSocket(userId, socketId, userInfo)  -> { wasOnline, devices }
+ *   removeSocket(socketId)                 -> { userId, remaining } | null
+ *   getUser(userId)                        -> { userId, status, lastSeen, devices, userInfo } | null
+ *   getSocketIds(userId)                   -> [socketId]
+ *   isOnline(userId)                       -> boolean
+ *   listOnline()                           -> [{ userId, status, lastSeen, devices, userInfo }]
+ *   touch(userId, socketId)                -> refresh lastSeen / status (heartbeat of that socket)
+ *   setTyping(fromUserId, toUserId) / clearTyping(fromUserId, toUserId)
+ *   addRoom(userId, room) / removeRoom(userId, room) / getRooms(userId)
+ *                                          (addRoom is ignored for offline users)
+ */
+class MemoryPresenceStore {
+    constructor() {
+        this.onlineUsers = new Map(); // userId -> { sockets: Set<socketId>, userInfo, lastSeen, status, connectedAt }
+        this.typingUsers = new Map(); // `${fromUserId}-${toUserId}` -> timestamp
+        this.userSocketMap = new Map(); // socketId -> userId (reverse lookup)
+        this.userRooms = new Map(); // userId -> Set of group room names
+    }
+
+    async addSocket(userId, socketId, userInfo = {}) {
+        userId = Number(userId);
+        const existing = this.onlineUsers.get(userId);
+
+        if (existing) {
+            existing.sockets.add(socketId);
+            existing.userInfo = { ...existing.userInfo, ...userInfo };
+            existing.lastSeen = new Date();
+            existing.status = "online";
+        } else {
+            this.onlineUsers.set(userId, {
+                sockets: new Set([socketId]),
+                userInfo,
+                lastSeen: new Date(),
+                status: "online",
+                connectedAt: new Date()
+            });
+        }
+
+        this.userSocketMap.set(socketId, userId);
+
+        return {
+            wasOnline: Boolean(existing),
+            devices: this.onlineUsers.get(userId).sockets.size
+        };
+    }
+
+    async removeSocket(socketId) {
+        const userId = this.userSocketMap.get(socketId);
+        if (!userId) return null;
+
+        this.userSocketMap.delete(socketId);
+
+        const user = this.onlineUsers.get(userId);
+        if (user) {
+            user.sockets.delete(socketId);
+            if (user.sockets.size > 0) {
+                return { userId, remaining: user.sockets.size };
+            }
+        }
+
+        // Last socket closed - drop every trace of the user
+        this.onlineUsers.delete(userId);
+        this.userRooms.delete(userId);
+        for (const [key] of this.typingUsers.entries()) {
+            if (key.startsWith(`${userId}-`)) {
+                this.typingUsers.delete(key);
+            }
+        }
+
+        return { userId, remaining: 0 };
+    }
+
+    async getUser(userId) {
+        userId = Number(userId);
+        const data = this.onlineUsers.get(userId);
+        if (!data) return null;
+
+        return {
+            userId,
+            status: data.status,
+            lastSeen: data.lastSeen,
+            devices: data.sockets.size,
+            userInfo: data.userInfo
+        };
+    }
+
+    async getSocketIds(userId) {
+        const data = this.onlineUsers.get(Number(userId));
+        return data ? Array.from(data.sockets) : [];
+    }
+
+    async isOnline(userId) {
+        return this.onlineUsers.get(Number(userId))?.status === "online";
+    }
+
+    async listOnline() {
+        return Array.from(this.onlineUsers.keys()).map(userId => {
+            const data = this.onlineUsers.get(userId);
+            return {
+                userId,
+                status: data.status,
+                lastSeen: data.lastSeen,
+                devices: data.sockets.size,
+                userInfo: data.userInfo
+            };
+        });
+    }
+
+    async touch(userId) {
+        const data = this.onlineUsers.get(Number(userId));
+        if (!data) return false;
+        data.lastSeen = new Date();
+        data.status = "online";
+        return true;
+    }
+
+    async setTyping(fromUserId, toUserId) {
+        this.typingUsers.set(`${fromUserId}-${toUserId}`, Date.now());
+    }
+
+    async clearTyping(fromUserId, toUserId) {
+        this.typingUsers.delete(`${fromUserId}-${toUserId}`);
+    }
+
+    async addRoom(userId, room) {
+        userId = Number(userId);
+        // Offline users join their rooms on connect; removeSocket would never clear this entry
+        if (!this.onlineUsers.has(userId)) return;
+        if (!this.userRooms.has(userId)) {
+            this.userRooms.set(userId, new Set());
+        }
+        this.userRooms.get(userId).add(room);
+    }
+
+    async removeRoom(userId, room) {
+        this.userRooms.get(Number(userId))?.delete(room);
+    }
+
+    async getRooms(userId) {
+        return Array.from(this.userRooms.get(Number(userId)) || []);
+    }
+}
+
+module.exports = { MemoryPresenceStore };
@@ -0,0 +1,253 @@
+/**
+ * Redis Presence Store
+ *
+ * Shares presence between every Node process of the chat backend. Pass an
+ * ioredis-compatible client (sadd, srem, smembers, hset, hgetall, set, get,
+ * mget, del, expire, pipeline). Implements the same interface as MemoryPresenceStore.
+ *
+ * Keys (prefix defaults to "chat:presence"):
+ *   <prefix>:online             set  of online userIds
+ *   <prefix>:user:<userId>      hash { status, lastSeen, connectedAt, userInfo }
+ *   <prefix>:sockets:<userId>   set  of socketIds
+ *   <prefix>:socket:<socketId>  string userId
+ *   <prefix>:typing:<userId>    set  of userIds being typed to
+ *   <prefix>:rooms:<userId>     set  of group room names
+ *
+ * A node that dies never removes its sockets, so every key but `online`
+ * expires after ttlSeconds unless a heartbeat refreshes it. A socket counts
+ * only while its socket:<socketId> key exists; stale ids are pruned from the
+ * sets when read, and users without a live socket from `online`.
+ */
+class RedisPresenceStore {
+    constructor({ client, prefix = "chat:presence", ttlSeconds = 90 } = {}) {
+        if (!client) {
+            throw new Error("RedisPresenceStore requires a redis client");
+        }
+        this.client = client;
+        this.prefix = prefix;
+        this.ttlSeconds = ttlSeconds;
+    }
+
+    _key(...parts) {
+        return [this.prefix, ...parts].join(":");
+    }
+
+    // Socket ids of the user whose socket key has not expired
+    async _liveSockets(userId) {
+        const socketsKey = this._key("sockets", userId);
+        const socketIds = await this.client.smembers(socketsKey);
+        if (socketIds.length === 0) return [];
+
+        const owners = await this.client.mget(...socketIds.map(socketId => this._key("socket", socketId)));
+        const stale = socketIds.filter((socketId, index) => owners[index] === null);
+        if (stale.length > 0) {
+            await this.client.srem(socketsKey, ...stale);
+        }
+        return socketIds.filter((socketId, index) => owners[index] !== null);
+    }
+
+    // Push back the expiry of the user's keys and of the given sockets
+    async _refresh(userId, socketIds) {
+        for (const socketId of socketIds) {
+            await this.client.expire(this._key("socket", socketId), this.ttlSeconds);
+        }
+        for (const kind of ["sockets", "user", "typing", "rooms"]) {
+            await this.client.expire(this._key(kind, userId), this.ttlSeconds);
+        }
+    }
+
+    // Keys of a user, dropped together once no socket is left
+    _userKeys(userId) {
+        return ["sockets", "user", "typing", "rooms"].map(kind => this._key(kind, userId));
+    }
+
+    // Drop every trace of a user that has no socket left
+    async _dropUser(userId) {
+        await this.client.srem(this._key("online"), String(userId));
+        await this.client.del(...this._userKeys(userId));
+    }
+
+    async addSocket(userId, socketId, userInfo = {}) {
+        userId = Number(userId);
+        const userKey = this._key("user", userId);
+
+        const wasOnline = (await this._liveSockets(userId)).length > 0;
+        const now = new Date().toISOString();
+
+        await this.client.sadd(this._key("sockets", userId), socketId);
+        await this.client.set(this._key("socket", socketId), String(userId), "EX", this.ttlSeconds);
+        await this.client.sadd(this._key("online"), String(userId));
+
+        const current = wasOnline ? await this.client.hgetall(userKey) : {};
+        await this.client.hset(userKey, {
+            status: "online",
+            lastSeen: now,
+            connectedAt: current.connectedAt || now,
+            userInfo: JSON.stringify({ ...this._parseInfo(current.userInfo), ...userInfo })
+        });
+        await this._refresh(userId, []);
+
+        return {
+            wasOnline,
+            devices: (await this._liveSockets(userId)).length
+        };
+    }
+
+    async removeSocket(socketId) {
+        const socketKey = this._key("socket", socketId);
+        const stored = await this.client.get(socketKey);
+        if (!stored) return null;
+
+        const userId = Number(stored);
+
+        await this.client.del(socketKey);
+        await this.client.srem(this._key("sockets", userId), socketId);
+
+        const remaining = (await this._liveSockets(userId)).length;
+        if (remaining > 0) {
+            return { userId, remaining };
+        }
+
+        // Last socket closed - drop every trace of the user
+        await this._dropUser(userId);
+
+        return { userId, remaining: 0 };
+    }
+
+    async getUser(userId) {
+        userId = Number(userId);
+        const socketIds = await this._liveSockets(userId);
+        if (socketIds.length === 0) {
+            await this._dropUser(userId);
+            return null;
+        }
+
+        const data = await this.client.hgetall(this._key("user", userId));
+        if (!data || !data.status) return null;
+
+        return {
+            userId,
+            status: data.status,
+            lastSeen: data.lastSeen ? new Date(data.lastSeen) : null,
+            devices: socketIds.length,
+            userInfo: this._parseInfo(data.userInfo)
+        };
+    }
+
+    async getSocketIds(userId) {
+        return await this._liveSockets(Number(userId));
+    }
+
+    async isOnline(userId) {
+        return (await this._liveSockets(Number(userId))).length > 0;
+    }
+
+    async listOnline() {
+        const userIds = await this.client.smembers(this._key("online"));
+        if (userIds.length === 0) return [];
+
+        // One round trip for every user's sockets and hash, one for their socket keys
+        const reads = this.client.pipeline();
+        userIds.forEach(id => {
+            reads.smembers(this._key("sockets", id));
+            reads.hgetall(this._key("user", id));
+        });
+        const replies = (await reads.exec()).map(([error, value]) => {
+            if (error) throw error;
+            return value;
+        });
+
+        const socketIds = userIds.flatMap((id, index) => replies[index * 2]);
+        const owners = socketIds.length === 0
+            ? []
+            : await this.client.mget(...socketIds.map(socketId => this._key("socket", socketId)));
+        const live = new Set(socketIds.filter((socketId, index) => owners[index] !== null));
+
+        const users = [];
+        const cleanup = this.client.pipeline();
+        let stale = 0;
+        userIds.forEach((id, index) => {
+            const userId = Number(id);
+            const sockets = replies[index * 2];
+            const data = replies[index * 2 + 1];
+            const alive = sockets.filter(socketId => live.has(socketId));
+
+            if (alive.length === 0) {
+                cleanup.srem(this._key("online"), String(userId));
+                cleanup.del(...this._userKeys(userId));
+                stale++;
+                return;
+            }
+            if (alive.length < sockets.length) {
+                cleanup.srem(this._key("sockets", userId), ...sockets.filter(socketId => !live.has(socketId)));
+                stale++;
+            }
+            if (!data || !data.status) return;
+
+            users.push({
+                userId,
+                status: data.status,
+                lastSeen: data.lastSeen ? new Date(data.lastSeen) : null,
+                devices: alive.length,
+                userInfo: this._parseInfo(data.userInfo)
+            });
+        });
+        if (stale > 0) await cleanup.exec();
+
+        return users;
+    }
+
+    /**
+     * Heartbeat: refresh lastSeen and keep the keys alive. With a socketId only
+     * that socket is kept, so a dead device of the same user still expires.
+     */
+    async touch(userId, socketId = null) {
+        userId = Number(userId);
+        const socketIds = await this._liveSockets(userId);
+        if (socketIds.length === 0) return false;
+
+        await this.client.hset(this._key("user", userId), {
+            status: "online",
+            lastSeen: new Date().toISOString()
+        });
+        await this._refresh(userId, socketId ? socketIds.filter(id => id === socketId) : socketIds);
+        return true;
+    }
+
+    async setTyping(fromUserId, toUserId) {
+        const typingKey = this._key("typing", Number(fromUserId));
+        await this.client.sadd(typingKey, String(toUserId));
+        await this.client.expire(typingKey, this.ttlSeconds);
+    }
+
+    async clearTyping(fromUserId, toUserId) {
+        await this.client.srem(this._key("typing", Number(fromUserId)), String(toUserId));
+    }
+
+    async addRoom(userId, room) {
+        // Offline users join their rooms on connect
+        if (!(await this.isOnline(userId))) return;
+        const roomsKey = this._key("rooms", Number(userId));
+        await this.client.sadd(roomsKey, room);
+        await this.client.expire(roomsKey, this.ttlSeconds);
+    }
+
+    async removeRoom(userId, room) {
+        await this.client.srem(this._key("rooms", Number(userId)), room);
+    }
+
+    async getRooms(userId) {
+        return await this.client.smembers(this._key("rooms", Number(userId)));
+    }
+
+    _parseInfo(raw) {
+        if (!raw) return {};
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            return {};
+        }
+    }
+}
+
+module.exports = { RedisPresenceStore };
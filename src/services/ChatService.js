@@ -1,6 +1,18 @@
 const { Sequelize, Op, QueryTypes } = require("sequelize");
 const { dbConnection } = require("../config/DatabaseConfig");
 const { fileManager } = require("../utils/filemanager");
+const { listAttachmentsByMessage, importLegacyAttachments, removeMessageAttachments, expirePendingUploads } = require("../utils/attachments");
+const { MemoryPresenceStore } = require("../presence/MemoryPresenceStore");
+const { LocalStorageDriver } = require("../storage/LocalStorageDriver");
+const { sqlDialect } = require("../utils/sqldialect");
+const {
+    DEFAULT_UPLOAD_POLICY,
+    DEFAULT_MESSAGE_POLICY,
+    deletedMessageText,
+    HIGHLIGHT_START,
+    HIGHLIGHT_END,
+    highlightSnippet
+} = require("../utils/apptool");
 
 /**
  * Sync Database Tables
@@ -10,6 +22,748 @@ async function syncDatabase() {
     await dbConnection.sequelize?.sync({ alter: true });
 }
 
+/**
+ * Fetch users from the host user table by id
+ * Returns { [userId]: { id, username, email, ... } } built from userModel.columns
+ */
+async function fetchUsersByIds(sequelize, userModel, userIds) {
+    const ids = [...new Set(userIds.filter(Boolean).map(Number))];
+    if (ids.length === 0) return {};
+
+    const dialect = sqlDialect(sequelize);
+    const tableName = userModel.name;
+    const columns = userModel.columns;
+
+    // Build column list
+    const dbColumns = [];
+    Object.values(columns).forEach(colObj => {
+        colObj.columns.forEach(col => {
+            if (!dbColumns.includes(col)) dbColumns.push(col);
+        });
+    });
+
+    const selectCols = dbColumns.map(dialect.quote).join(", ");
+    const idColumn = columns.id.columns[0];
+
+    const usersQuery = `
+        SELECT ${selectCols}
+        FROM ${dialect.quote(tableName)}
+        WHERE ${dialect.quote(idColumn)} IN (:userIds)
+    `;
+
+    const users = await sequelize.query(usersQuery, {
+        type: QueryTypes.SELECT,
+        replacements: { userIds: ids }
+    });
+
+    // Create map of userId -> user details
+    return users.reduce((map, row) => {
+        const obj = {};
+        Object.keys(columns).forEach(key => {
+            const vals = (columns[key].columns || [])
+                .map(c => row[c])
+                .filter(Boolean);
+            obj[key] = vals.join(" ") || null;
+        });
+
+        map[row[idColumn]] = obj;
+        return map;
+    }, {});
+}
+
+/**
+ * Batched user lookup cached for the lifetime of one request
+ * users.load(ids) fetches the ids it has not seen yet in a single query and
+ * returns { [userId]: user } for the ids that exist
+ */
+function createUserResolver(sequelize, userModel) {
+    const pending = new Map();
+
+    return {
+        async load(userIds) {
+            const ids = [...new Set(userIds.filter(Boolean).map(Number))];
+            const missing = ids.filter(id => !pending.has(id));
+            if (missing.length > 0) {
+                const batch = fetchUsersByIds(sequelize, userModel, missing);
+                missing.forEach(id => pending.set(id, batch.then(found => found[id] || null)));
+            }
+
+            const users = await Promise.all(ids.map(id => pending.get(id)));
+            return ids.reduce((map, id, i) => {
+                if (users[i]) map[id] = users[i];
+                return map;
+            }, {});
+        }
+    };
+}
+
+/**
+ * Latest written message between userId and each peer, in one windowed query.
+ * Messages userId deleted for themselves are skipped.
+ * Returns { [peerUserId]: { id, messageText, createdAt } }
+ */
+async function fetchLastDirectMessages(models, sequelize, userId, peerUserIds) {
+    const ids = [...new Set(peerUserIds.filter(Boolean).map(Number))];
+    if (!userId || ids.length === 0) return {};
+
+    const dialect = sqlDialect(sequelize);
+    const rows = await sequelize.query(dialect.sql(`
+        SELECT ranked.id, ranked."messageText", ranked."createdAt", ranked."peerUserId"
+        FROM (
+            SELECT m.id, m."messageText", m."createdAt",
+                CASE WHEN m."fromUserId" = :userId THEN m."toUserId" ELSE m."fromUserId" END AS "peerUserId",
+                ROW_NUMBER() OVER (
+                    PARTITION BY CASE WHEN m."fromUserId" = :userId THEN m."toUserId" ELSE m."fromUserId" END
+                    ORDER BY m."createdAt" DESC, m.id DESC
+                ) AS rn
+            FROM ${dialect.table(models.message)} m
+            WHERE m."groupId" IS NULL
+              AND m."messageType" = 'text'
+              AND (
+                  (m."fromUserId" = :userId AND m."toUserId" IN (:peerUserIds))
+                  OR (m."toUserId" = :userId AND m."fromUserId" IN (:peerUserIds))
+              )
+              AND m.id NOT IN (SELECT h."messageId" FROM ${dialect.table(models.HiddenMessage)} h WHERE h."userId" = :userId)
+        ) ranked
+        WHERE ranked.rn = 1
+    `), {
+        type: QueryTypes.SELECT,
+        replacements: { userId: Number(userId), peerUserIds: ids }
+    });
+
+    return rows.reduce((map, row) => {
+        map[row.peerUserId] = { id: row.id, messageText: row.messageText, createdAt: row.createdAt };
+        return map;
+    }, {});
+}
+
+// Required lazily: helper imports this module
+function notHiddenFor(userId) {
+    return require("../utils/helper").notHiddenFor(userId);
+}
+
+/**
+ * Unread direct messages per peer
+ * Counts messages each peer sent to userId after the user's last read message.
+ * Returns { [peerUserId]: count }
+ */
+async function countUnreadDirect(models, userId, peerUserIds) {
+    const counts = {};
+    if (!userId || peerUserIds.length === 0) return counts;
+
+    const readStates = await models.MessageReadState.findAll({
+        where: {
+            userId: Number(userId),
+            peerUserId: { [Op.in]: peerUserIds },
+            groupId: null
+        },
+        attributes: ["peerUserId", "lastReadMessageId"],
+        raw: true
+    });
+
+    const lastRead = {};
+    readStates.forEach(state => { lastRead[state.peerUserId] = state.lastReadMessageId; });
+
+    const rows = await models.message.findAll({
+        where: {
+            toUserId: Number(userId),
+            isDeleted: false,
+            id: notHiddenFor(userId),
+            [Op.or]: peerUserIds.map(peerUserId => ({
+                fromUserId: peerUserId,
+                id: { [Op.gt]: lastRead[peerUserId] || 0 }
+            }))
+        },
+        attributes: ["fromUserId", [Sequelize.fn("COUNT", Sequelize.col("id")), "unreadCount"]],
+        group: ["fromUserId"],
+        raw: true
+    });
+
+    rows.forEach(row => { counts[row.fromUserId] = Number(row.unreadCount); });
+    return counts;
+}
+
+/**
+ * Unread group messages per group
+ * Counts messages other members posted after the user's last read message;
+ * system messages (member added, group renamed, ...) are not counted.
+ * Returns { [groupId]: count }
+ */
+async function countUnreadGroups(models, userId, groupIds) {
+    const counts = {};
+    if (!userId || groupIds.length === 0) return counts;
+
+    const readStates = await models.MessageReadState.findAll({
+        where: {
+            userId: Number(userId),
+            groupId: { [Op.in]: groupIds }
+        },
+        attributes: ["groupId", "lastReadMessageId"],
+        raw: true
+    });
+
+    const lastRead = {};
+    readStates.forEach(state => { lastRead[state.groupId] = state.lastReadMessageId; });
+
+    const rows = await models.message.findAll({
+        where: {
+            fromUserId: { [Op.ne]: Number(userId) },
+            isDeleted: false,
+            messageType: { [Op.ne]: "system" },
+            id: notHiddenFor(userId),
+            [Op.or]: groupIds.map(groupId => ({
+                groupId,
+                id: { [Op.gt]: lastRead[groupId] || 0 }
+            }))
+        },
+        attributes: ["groupId", [Sequelize.fn("COUNT", Sequelize.col("id")), "unreadCount"]],
+        group: ["groupId"],
+        raw: true
+    });
+
+    rows.forEach(row => { counts[row.groupId] = Number(row.unreadCount); });
+    return counts;
+}
+
+/**
+ * Sync cursor: opaque position in the change feed - the last message
+ * (updatedAt + id) and the last delete-for-me row (createdAt + id) returned.
+ * Hides do not touch the message, so they are paged on their own.
+ */
+function encodeSyncCursor({ updatedAt, id }, hidden) {
+    return Buffer.from(JSON.stringify({
+        t: new Date(updatedAt).toISOString(),
+        id,
+        ht: new Date(hidden.createdAt).toISOString(),
+        hid: hidden.id
+    })).toString("base64url");
+}
+
+function decodeSyncCursor(cursor) {
+    try {
+        const { t, id, ht = t, hid = 0 } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+        const updatedAt = new Date(t);
+        const hiddenAt = new Date(ht);
+        if (isNaN(updatedAt.getTime()) || !Number.isInteger(id)) return null;
+        if (isNaN(hiddenAt.getTime()) || !Number.isInteger(hid)) return null;
+        return { updatedAt, id, hidden: { createdAt: hiddenAt, id: hid } };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Quoted previews of replied-to messages
+ * Returns { [messageId]: { id, fromUserId, senderName, messageType, snippet, isDeleted } }
+ */
+const REPLY_SNIPPET_LENGTH = 120;
+
+function toSnippet(text) {
+    const flat = String(text || "").replace(/\s+/g, " ").trim();
+    return flat.length > REPLY_SNIPPET_LENGTH ? `${flat.slice(0, REPLY_SNIPPET_LENGTH - 1)}…` : flat;
+}
+
+async function fetchReplyPreviews(models, users, messageIds) {
+    const ids = [...new Set(messageIds.filter(Boolean).map(Number))];
+    if (ids.length === 0) return {};
+
+    const parents = await models.message.findAll({
+        where: { id: { [Op.in]: ids } },
+        attributes: ["id", "fromUserId", "messageType", "messageText", "isDeleted"]
+    });
+    const senders = await users.load(parents.map(p => p.fromUserId));
+    const files = await listAttachmentsByMessage(
+        parents.filter(p => p.messageType === "doc" && !p.isDeleted).map(p => p.id)
+    );
+
+    const previews = {};
+    parents.forEach(parent => {
+        let snippet = null;
+        if (!parent.isDeleted) {
+            snippet = parent.messageType === "doc"
+                ? toSnippet((files[parent.id] || []).map(file => file.name).join(", "))
+                : toSnippet(parent.messageText);
+        }
+        previews[parent.id] = {
+            id: parent.id,
+            fromUserId: parent.fromUserId,
+            senderName: senders[parent.fromUserId]?.username || null,
+            messageType: parent.messageType,
+            snippet,
+            isDeleted: Boolean(parent.isDeleted)
+        };
+    });
+    return previews;
+}
+
+/**
+ * Conversation inbox
+ * One page of the user's direct chats and groups, most recent activity first,
+ * computed in a single query: the latest visible message per conversation
+ * (ROW_NUMBER window), unread counts per conversation and the total.
+ * Groups without messages are listed by their creation time.
+ * Returns { rows, totalRecords } with raw rows.
+ */
+async function fetchConversationPage(models, sequelize, userId, { limit, offset }) {
+    const dialect = sqlDialect(sequelize);
+    const messages = dialect.table(models.message);
+    const groups = dialect.table(models.group);
+    const members = dialect.table(models.GroupMember);
+    const readStates = dialect.table(models.MessageReadState);
+    const hidden = dialect.table(models.HiddenMessage);
+
+    const conversationsCte = dialect.sql(`
+        WITH visible AS (
+            SELECT m.*
+            FROM ${messages} m
+            WHERE m.id NOT IN (SELECT h."messageId" FROM ${hidden} h WHERE h."userId" = :userId)
+        ),
+        direct_last AS (
+            SELECT v.*,
+                CASE WHEN v."fromUserId" = :userId THEN v."toUserId" ELSE v."fromUserId" END AS "peerUserId",
+                ROW_NUMBER() OVER (
+                    PARTITION BY CASE WHEN v."fromUserId" = :userId THEN v."toUserId" ELSE v."fromUserId" END
+                    ORDER BY v.id DESC
+                ) AS rn
+            FROM visible v
+            WHERE v."groupId" IS NULL
+              AND (v."fromUserId" = :userId OR v."toUserId" = :userId)
+        ),
+        group_last AS (
+            SELECT v.*,
+                ROW_NUMBER() OVER (PARTITION BY v."groupId" ORDER BY v.id DESC) AS rn
+            FROM visible v
+            INNER JOIN ${members} gm ON gm."groupId" = v."groupId" AND gm."userId" = :userId
+        ),
+        direct_unread AS (
+            SELECT m."fromUserId" AS "peerUserId", COUNT(*) AS "unreadCount"
+            FROM visible m
+            LEFT JOIN ${readStates} rs
+                ON rs."userId" = :userId AND rs."peerUserId" = m."fromUserId" AND rs."groupId" IS NULL
+            WHERE m."toUserId" = :userId
+              AND m."groupId" IS NULL
+              AND m."isDeleted" = false
+              AND m.id > COALESCE(rs."lastReadMessageId", 0)
+            GROUP BY m."fromUserId"
+        ),
+        group_unread AS (
+            SELECT m."groupId", COUNT(*) AS "unreadCount"
+            FROM visible m
+            INNER JOIN ${members} gm ON gm."groupId" = m."groupId" AND gm."userId" = :userId
+            LEFT JOIN ${readStates} rs
+                ON rs."userId" = :userId AND rs."groupId" = m."groupId"
+            WHERE m."fromUserId" <> :userId
+              AND m."isDeleted" = false
+              AND m."messageType" <> 'system'
+              AND m.id > COALESCE(rs."lastReadMessageId", 0)
+            GROUP BY m."groupId"
+        ),
+        conversations AS (
+            SELECT
+                'direct' AS "type",
+                d."peerUserId" AS "peerUserId",
+                NULL AS "groupId",
+                NULL AS "groupName",
+                NULL AS "groupCreatedBy",
+                NULL AS "role",
+                d.id AS "messageId",
+                d."fromUserId" AS "messageFromUserId",
+                d."messageType" AS "messageType",
+                d."messageText" AS "messageText",
+                d."isDeleted" AS "messageIsDeleted",
+                d."createdAt" AS "lastActivityAt",
+                COALESCE(du."unreadCount", 0) AS "unreadCount"
+            FROM direct_last d
+            LEFT JOIN direct_unread du ON du."peerUserId" = d."peerUserId"
+            WHERE d.rn = 1
+            UNION ALL
+            SELECT
+                'group' AS "type",
+                NULL AS "peerUserId",
+                g.id AS "groupId",
+                g.name AS "groupName",
+                g."createdBy" AS "groupCreatedBy",
+                gm.role AS "role",
+                l.id AS "messageId",
+                l."fromUserId" AS "messageFromUserId",
+                l."messageType" AS "messageType",
+                l."messageText" AS "messageText",
+                l."isDeleted" AS "messageIsDeleted",
+                COALESCE(l."createdAt", g."createdAt") AS "lastActivityAt",
+                COALESCE(gu."unreadCount", 0) AS "unreadCount"
+            FROM ${members} gm
+            INNER JOIN ${groups} g ON g.id = gm."groupId"
+            LEFT JOIN group_last l ON l."groupId" = g.id AND l.rn = 1
+            LEFT JOIN group_unread gu ON gu."groupId" = g.id
+            WHERE gm."userId" = :userId
+        )
+    `);
+    const replacements = { userId: Number(userId) };
+
+    const rows = await sequelize.query(`
+        ${conversationsCte}
+        ${dialect.sql(`SELECT c.*, COUNT(*) OVER () AS "totalRecords"
+        FROM conversations c
+        ORDER BY c."lastActivityAt" DESC, c."messageId" DESC`)}
+        LIMIT :limit OFFSET :offset
+    `, {
+        type: QueryTypes.SELECT,
+        replacements: { ...replacements, limit, offset }
+    });
+
+    let totalRecords = rows.length > 0 ? Number(rows[0].totalRecords) : 0;
+    if (rows.length === 0 && offset > 0) {
+        // Page past the end: no row carries the window total
+        const [counted] = await sequelize.query(`
+            ${conversationsCte}
+            ${dialect.sql(`SELECT COUNT(*) AS "totalRecords" FROM conversations`)}
+        `, {
+            type: QueryTypes.SELECT,
+            replacements
+        });
+        totalRecords = Number(counted?.totalRecords || 0);
+    }
+    return { rows, totalRecords };
+}
+
+/**
+ * Message search
+ * PostgreSQL: full-text search over an expression GIN index on messageText
+ * (created at init), ranked with ts_rank and highlighted with ts_headline.
+ * Other dialects: every term must appear (case-insensitive LIKE), ranked by
+ * how often the terms occur, snippet built around the first match.
+ */
+const SEARCH_TEXT_CONFIG = "simple";
+const SEARCH_INDEX_NAME = "usersmessagesmaster_text_search";
+const SEARCH_SNIPPET_LENGTH = 160;
+const SEARCH_VECTOR = `to_tsvector('${SEARCH_TEXT_CONFIG}', COALESCE(m."messageText", ''))`;
+
+async function ensureSearchIndex(models, sequelize) {
+    const dialect = sqlDialect(sequelize);
+    if (!dialect.isPostgres) return false;
+    await sequelize.query(`
+        CREATE INDEX IF NOT EXISTS "${SEARCH_INDEX_NAME}" ON ${dialect.table(models.message)}
+        USING GIN (${SEARCH_VECTOR.replace(/m\./g, "")})
+    `);
+    return true;
+}
+
+function searchTerms(query) {
+    return [...new Set(String(query).toLowerCase().split(/\s+/).filter(Boolean))];
+}
+
+// "!" rather than a backslash, which MySQL also treats as a string escape
+function escapeLike(term) {
+    return term.replace(/[!%_]/g, char => `!${char}`);
+}
+
+// Snippet around the first match with every term occurrence marked
+function buildSearchSnippet(text, terms) {
+    const source = String(text || "").replace(/\s+/g, " ").trim();
+    const lower = source.toLowerCase();
+    const first = Math.min(...terms.map(term => lower.indexOf(term)).filter(index => index >= 0));
+    const start = Number.isFinite(first) ? Math.max(0, first - SEARCH_SNIPPET_LENGTH / 4) : 0;
+    const end = Math.min(source.length, start + SEARCH_SNIPPET_LENGTH);
+
+    const pattern = new RegExp(terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|"), "gi");
+    const marked = source.slice(start, end).replace(pattern, match => `${HIGHLIGHT_START}${match}${HIGHLIGHT_END}`);
+    return `${start > 0 ? "…" : ""}${marked}${end < source.length ? "…" : ""}`;
+}
+
+async function fetchSearchPage(models, sequelize, userId, filters) {
+    const { query, fromUserId, startDate, endDate, hasAttachments, limit, offset } = filters;
+    const dialect = sqlDialect(sequelize);
+    const isPostgres = dialect.isPostgres;
+    const quoteTable = dialect.table;
+    const replacements = { userId: Number(userId) };
+
+    const conditions = [
+        `(
+            (m."groupId" IS NULL AND (m."fromUserId" = :userId OR m."toUserId" = :userId))
+            OR m."groupId" IN (SELECT gm."groupId" FROM ${quoteTable(models.GroupMember)} gm WHERE gm."userId" = :userId)
+        )`,
+        `m."isDeleted" = false`,
+        `m."messageType" <> 'system'`,
+        `m.id NOT IN (SELECT h."messageId" FROM ${quoteTable(models.HiddenMessage)} h WHERE h."userId" = :userId)`
+    ];
+
+    let rank;
+    let snippet;
+    if (isPostgres) {
+        conditions.push(`${SEARCH_VECTOR} @@ websearch_to_tsquery('${SEARCH_TEXT_CONFIG}', :query)`);
+        rank = `ts_rank(${SEARCH_VECTOR}, websearch_to_tsquery('${SEARCH_TEXT_CONFIG}', :query))`;
+        snippet = `ts_headline('${SEARCH_TEXT_CONFIG}', m."messageText", websearch_to_tsquery('${SEARCH_TEXT_CONFIG}', :query), :headlineOptions)`;
+        replacements.query = query;
+        replacements.headlineOptions = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_END}, MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "`;
+    } else {
+        const terms = searchTerms(query);
+        const occurrences = terms.map((term, i) => {
+            conditions.push(`LOWER(m."messageText") LIKE :like${i} ESCAPE '!'`);
+            replacements[`like${i}`] = `%${escapeLike(term)}%`;
+            replacements[`term${i}`] = term;
+            const length = dialect.charLength;
+            return `(${length(`m."messageText"`)} - ${length(`REPLACE(LOWER(m."messageText"), :term${i}, '')`)}) / ${term.length}`;
+        });
+        rank = occurrences.join(" + ") || "0";
+        snippet = "NULL";
+    }
+
+    if (fromUserId) {
+        conditions.push(`m."fromUserId" = :fromUserId`);
+        replacements.fromUserId = Number(fromUserId);
+    }
+    if (startDate) {
+        conditions.push(`m."createdAt" >= :startDate`);
+        replacements.startDate = startDate;
+    }
+    if (endDate) {
+        conditions.push(`m."createdAt" < :endDate`);
+        replacements.endDate = endDate;
+    }
+    if (hasAttachments !== undefined && hasAttachments !== null) {
+        const attached = `EXISTS (SELECT 1 FROM ${quoteTable(models.Attachment)} a WHERE a."messageId" = m.id)`;
+        conditions.push(hasAttachments ? attached : `NOT ${attached}`);
+    }
+
+    const from = `FROM ${quoteTable(models.message)} m WHERE ${conditions.join(" AND ")}`;
+    const rows = await sequelize.query(dialect.sql(`
+        SELECT m.id, m."fromUserId", m."toUserId", m."groupId", m."messageType", m."messageText", m."createdAt",
+            ${rank} AS "rank",
+            ${snippet} AS "snippet",
+            COUNT(*) OVER () AS "totalRecords"
+        ${from}
+        ORDER BY "rank" DESC, m.id DESC
+        LIMIT :limit OFFSET :offset
+    `), {
+        type: QueryTypes.SELECT,
+        replacements: { ...replacements, limit, offset }
+    });
+
+    let totalRecords = rows.length > 0 ? Number(rows[0].totalRecords) : 0;
+    if (rows.length === 0 && offset > 0) {
+        // Page past the end: no row carries the window total
+        const [counted] = await sequelize.query(dialect.sql(`SELECT COUNT(*) AS "totalRecords" ${from}`), {
+            type: QueryTypes.SELECT,
+            replacements
+        });
+        totalRecords = Number(counted?.totalRecords || 0);
+    }
+
+    if (!isPostgres) {
+        const terms = searchTerms(query);
+        rows.forEach(row => { row.snippet = buildSearchSnippet(row.messageText, terms); });
+    }
+    rows.forEach(row => { row.snippet = highlightSnippet(row.snippet); });
+    return { rows, totalRecords };
+}
+
+/**
+ * Reactions
+ * Only emoji are accepted: pictographs with their modifiers, ZWJ sequences,
+ * flags and keycaps, up to the column size.
+ */
+const MAX_EMOJI_LENGTH = 32;
+const EMOJI_PATTERN = /^[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f\u20e3]+$/u;
+const EMOJI_REQUIRED = /[\p{Extended_Pictographic}\p{Regional_Indicator}\u20e3]/u;
+
+function normalizeEmoji(emoji) {
+    if (typeof emoji !== "string") return null;
+    const value = emoji.trim();
+    if (!value || value.length > MAX_EMOJI_LENGTH) return null;
+    return EMOJI_PATTERN.test(value) && EMOJI_REQUIRED.test(value) ? value : null;
+}
+
+/**
+ * Reactions of the given messages, keyed by message id.
+ * Returns { [messageId]: [{ emoji, count, userIds }] } in order of first use.
+ */
+async function fetchReactions(models, messageIds) {
+    const ids = [...new Set(messageIds.filter(Boolean).map(Number))];
+    if (ids.length === 0) return {};
+
+    const rows = await models.MessageReaction.findAll({
+        where: { messageId: { [Op.in]: ids } },
+        attributes: ["messageId", "userId", "emoji"],
+        order: [["id", "ASC"]]
+    });
+
+    const reactions = {};
+    rows.forEach(({ messageId, userId, emoji }) => {
+        const list = reactions[messageId] || (reactions[messageId] = []);
+        let entry = list.find(item => item.emoji === emoji);
+        if (!entry) {
+            entry = { emoji, count: 0, userIds: [] };
+            list.push(entry);
+        }
+        entry.count += 1;
+        entry.userIds.push(userId);
+    });
+    return reactions;
+}
+
+/**
+ * A message of a direct chat the user takes part in or of a group they
+ * belong to; null otherwise.
+ */
+async function findAccessibleMessage(models, messageId, userId) {
+    const message = await models.message.findByPk(Number(messageId));
+    if (!message) return null;
+
+    if (message.groupId) {
+        const isMember = await models.GroupMember.count({
+            where: { groupId: message.groupId, userId }
+        });
+        return isMember ? message : null;
+    }
+    return message.fromUserId === userId || message.toUserId === userId ? message : null;
+}
+
+/**
+ * Group roles
+ * Owners and admins rename the group, add/remove members and promote admins;
+ * only the owner hands over ownership. The owner can never be removed.
+ */
+const GROUP_MANAGER_ROLES = ["owner", "admin"];
+
+async function findGroupRole(models, groupId, userId, options = {}) {
+    if (!groupId || !userId) return null;
+    const membership = await models.GroupMember.findOne({
+        where: { groupId: Number(groupId), userId: Number(userId) },
+        attributes: ["id", "role"],
+        ...options
+    });
+    return membership ? membership.role : null;
+}
+
+function forbidden(message) {
+    return { status: "error", code: "FORBIDDEN", message };
+}
+
+/**
+ * Groups created before roles existed: make the creator the owner when no
+ * member holds that role yet. Returns the number of groups updated.
+ */
+async function backfillGroupOwners(models) {
+    const owned = await models.GroupMember.findAll({
+        where: { role: "owner" },
+        attributes: ["groupId"],
+        raw: true
+    });
+    const groups = await models.group.findAll({
+        where: owned.length > 0 ? { id: { [Op.notIn]: owned.map(o => o.groupId) } } : {},
+        attributes: ["id", "createdBy"],
+        raw: true
+    });
+
+    let updated = 0;
+    for (const group of groups) {
+        const [count] = await models.GroupMember.update(
+            { role: "owner" },
+            { where: { groupId: group.id, userId: group.createdBy } }
+        );
+        if (count > 0) updated++;
+    }
+    return updated;
+}
+
+/**
+ * Group events
+ * Membership and metadata changes made through the services are pushed to
+ * connected clients over the socket server registered with Service.init({ io }):
+ * affected users' sockets join / leave the `group_<id>` room server-side (on
+ * every node, through their `user_<id>` rooms) and a system message is added
+ * to the group timeline. Nothing is emitted when no io is registered.
+ */
+function describeUsers(users, userIds) {
+    const names = userIds.map(id => users[id]?.username || `User ${id}`);
+    return names.length > 1 ? `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}` : names[0];
+}
+
+async function moveGroupSockets(config, groupId, { join = [], leave = [] }) {
+    const { io, presenceStore } = config;
+    const room = `group_${groupId}`;
+
+    for (const userId of join) {
+        io?.in(`user_${userId}`).socketsJoin(room);
+        await presenceStore?.addRoom(userId, room);
+    }
+    for (const userId of leave) {
+        io?.in(`user_${userId}`).socketsLeave(room);
+        await presenceStore?.removeRoom(userId, room);
+    }
+}
+
+/**
+ * Announce one group change. change = { event, payload, actorId, systemEvent, text(users) }
+ * plus optional join / leave user ids; text builds the system message from
+ * the looked-up users. Failures are logged, never thrown.
+ */
+async function announceGroupChange(config, groupId, { event, payload, actorId, systemEvent, join = [], leave = [], text }) {
+    try {
+        const { io, models, sequelize, userModel } = config;
+        const room = `group_${groupId}`;
+
+        await moveGroupSockets(config, groupId, { join });
+
+        const users = await fetchUsersByIds(sequelize, userModel, [actorId, ...join, ...leave]);
+        const message = await models.message.create({
+            fromUserId: actorId,
+            groupId,
+            messageType: "system",
+            messageText: text(users),
+            systemEvent: { ...systemEvent, actorId }
+        });
+
+        // Removed users hear about it before their sockets leave the room
+        io?.to(room).emit(event, { groupId, ...payload, timestamp: new Date() });
+        io?.to(room).emit("new_message", {
+            message: { ...message.toJSON(), files: [], replyTo: null, senderName: null },
+            timestamp: new Date(),
+            fileCount: 0,
+            groupId
+        });
+
+        await moveGroupSockets(config, groupId, { leave });
+    } catch (error) {
+        console.warn(`⚠️ Could not announce ${event} for group ${groupId}:`, error.message);
+    }
+}
+
+/**
+ * Announce a rename and members added to / removed from a group by actorId
+ */
+async function announceMembershipChanges(config, group, { actorId, name, added = [], removed = [] }) {
+    if (name && name !== group.name) {
+        await announceGroupChange(config, group.id, {
+            event: "group_updated",
+            payload: { name, updatedBy: actorId },
+            actorId,
+            systemEvent: { type: "group_renamed", name },
+            text: users => `${describeUsers(users, [actorId])} renamed the group to "${name}"`
+        });
+    }
+    if (added.length > 0) {
+        await announceGroupChange(config, group.id, {
+            event: "group_member_added",
+            payload: { userIds: added, addedBy: actorId },
+            actorId,
+            systemEvent: { type: "members_added", userIds: added },
+            join: added,
+            text: users => `${describeUsers(users, [actorId])} added ${describeUsers(users, added)}`
+        });
+    }
+    if (removed.length > 0) {
+        await announceGroupChange(config, group.id, {
+            event: "group_member_removed",
+            payload: { userIds: removed, removedBy: actorId },
+            actorId,
+            systemEvent: { type: "members_removed", userIds: removed },
+            leave: removed,
+            text: users => `${describeUsers(users, [actorId])} removed ${describeUsers(users, removed)}`
+        });
+    }
+}
+
 /**
  * Configuration Provider (Global Storage)
  */
@@ -23,10 +777,48 @@ const configurationProvider = {
         getAllUsers: null,
         getGroups: null,
         getGroupManageUsers: null,
+        getConversations: null,
+        searchMessages: null,
         assignGroupMembers: null,
+        setGroupMemberRole: null,
+        transferGroupOwnership: null,
+        leaveGroup: null,
         createGroup: null,
         updateGroup: null,
-        userModel: null
+        markMessagesRead: null,
+        syncMessages: null,
+        getReplyPreviews: null,
+        editMessage: null,
+        getMessageRevisions: null,
+        deleteMessage: null,
+        addReaction: null,
+        removeReaction: null,
+        getReactionSummaries: null,
+        userModel: null,
+
+        /** Per-request batched user lookup: () => { load(userIds) } */
+        createUserResolver: null,
+
+        /** Socket handshake verifier: (handshake) => { userId, userInfo } | null */
+        authenticateSocket: null,
+
+        /** socket.io server used by services to announce group changes */
+        io: null,
+
+        /** Online users / typing / rooms (see src/presence) */
+        presenceStore: new MemoryPresenceStore(),
+
+        /** Attachment file storage (see src/storage) */
+        storage: new LocalStorageDriver(),
+
+        /** Upload limits, allowed types and daily quota (see DEFAULT_UPLOAD_POLICY) */
+        uploadPolicy: DEFAULT_UPLOAD_POLICY,
+
+        /** Delete uploads older than uploadPolicy.pendingUploadTtlSeconds: () => count */
+        expirePendingUploads: null,
+
+        /** Delete-for-everyone window (see DEFAULT_MESSAGE_POLICY) */
+        messagePolicy: DEFAULT_MESSAGE_POLICY
     },
 
     setConfig(config) {
@@ -41,6 +833,9 @@ const configurationProvider = {
     }
 };
 
+// How often init's sweep looks for expired pending uploads
+const PENDING_UPLOAD_SWEEP_MS = 60 * 60 * 1000;
+
 /**
  * Main Service Class
  */
@@ -114,19 +909,8 @@ class Service {
         const tableName = this.userModel.name;
         const modelColumns = this.userModel.columns;
 
-        // Step 1: Fetch DB columns from information_schema
-        const query = `
-        SELECT column_name 
-        FROM information_schema.columns
-        WHERE table_name = :tableName
-    `;
-
-        const dbCols = await sequelize.query(query, {
-            type: QueryTypes.SELECT,
-            replacements: { tableName }
-        });
-
-        const existingColumns = dbCols.map(c => c.column_name);
+        // Step 1: Fetch DB columns (information_schema / PRAGMA, per dialect)
+        const existingColumns = await sqlDialect(sequelize).columnsOf(tableName);
 
         // Step 2: Collect expected columns from config
         const requiredColumns = [];
@@ -149,6 +933,44 @@ class Service {
         return true;
     }
 
+    /**
+     * Merge uploadPolicy overrides with the defaults and validate them
+     */
+    validateUploadPolicy(uploadPolicy) {
+        const policy = { ...DEFAULT_UPLOAD_POLICY, ...(uploadPolicy || {}) };
+
+        ["maxFileSize", "maxMessageSize", "maxFiles"].forEach(key => {
+            if (!Number.isInteger(policy[key]) || policy[key] <= 0) {
+                throw new Error(`uploadPolicy.${key} must be a positive integer`);
+            }
+        });
+        if (policy.dailyQuotaBytes !== null && (!Number.isInteger(policy.dailyQuotaBytes) || policy.dailyQuotaBytes <= 0)) {
+            throw new Error("uploadPolicy.dailyQuotaBytes must be a positive integer or null");
+        }
+        if (policy.pendingUploadTtlSeconds !== null && (!Number.isInteger(policy.pendingUploadTtlSeconds) || policy.pendingUploadTtlSeconds <= 0)) {
+            throw new Error("uploadPolicy.pendingUploadTtlSeconds must be a positive integer or null");
+        }
+        if (!Array.isArray(policy.allowedMimeTypes) || policy.allowedMimeTypes.length === 0) {
+            throw new Error("uploadPolicy.allowedMimeTypes must be a non-empty array");
+        }
+
+        return policy;
+    }
+
+    /**
+     * Merge messagePolicy overrides with the defaults and validate them
+     */
+    validateMessagePolicy(messagePolicy) {
+        const policy = { ...DEFAULT_MESSAGE_POLICY, ...(messagePolicy || {}) };
+
+        const { deleteForEveryoneSeconds } = policy;
+        if (deleteForEveryoneSeconds !== null && (!Number.isInteger(deleteForEveryoneSeconds) || deleteForEveryoneSeconds <= 0)) {
+            throw new Error("messagePolicy.deleteForEveryoneSeconds must be a positive integer or null");
+        }
+
+        return policy;
+    }
+
     /**
      * ⚡ INIT FUNCTION (MAIN ENTRYPOINT)
      * Handles:
@@ -157,8 +979,33 @@ class Service {
      *   - DB Connect
      *   - Sync Tables
      *   - Bind Services
+     *
+     * authenticateSocket: optional async verifier used by socketAuthMiddleware.
+     * Receives the socket.io handshake and must resolve { userId, userInfo }
+     * for a trusted user, or null to reject the connection.
+     *
+     * presenceStore: optional presence backend shared by every node
+     * (e.g. new RedisPresenceStore({ client })). Defaults to in-memory.
+     *
+     * uploadPolicy: optional overrides of DEFAULT_UPLOAD_POLICY
+     * { maxFileSize, maxMessageSize, maxFiles, allowedMimeTypes, dailyQuotaBytes, pendingUploadTtlSeconds }.
+     * Types are checked by content, not by the client-sent type or extension.
+     * Uploads never sent with a message are swept every hour once older than
+     * pendingUploadTtlSeconds; hosts may also call expirePendingUploads() themselves.
+     *
+     * storage: optional attachment storage driver (e.g. new S3StorageDriver({...})).
+     * Defaults to local disk under ./public/uploads.
+     *
+     * messagePolicy: optional overrides of DEFAULT_MESSAGE_POLICY
+     * { deleteForEveryoneSeconds }.
+     *
+     * io: optional socket.io server; group services use it to announce
+     * membership and name changes and to move sockets between group rooms.
+     *
+     * importLegacyFiles: record files of messages sent before the attachments
+     * table existed (scans messagesdocs/). Run once when upgrading.
      */
-    async init({ dbconfig, userModel }) {
+    async init({ dbconfig, userModel, authenticateSocket = null, presenceStore = null, uploadPolicy = null, storage = null, messagePolicy = null, io = null, importLegacyFiles = false }) {
         try {
             /** 1. Build Upload Directories (Async Safe) */
             await fileManager?.buildStorageEnv();
@@ -167,6 +1014,17 @@ class Service {
             this.userModel = { ...this.userModel, ...userModel };
             /** 3. Validate */
             this.validateConfig();
+            if (authenticateSocket && typeof authenticateSocket !== "function") {
+                throw new Error("authenticateSocket must be a function");
+            }
+            const policy = this.validateUploadPolicy(uploadPolicy);
+            const messageRules = this.validateMessagePolicy(messagePolicy);
+            if (io && (typeof io.to !== "function" || typeof io.in !== "function")) {
+                throw new Error("io must be a socket.io server");
+            }
+            if (storage && !["put", "get", "stream", "stat", "delete", "list"].every(fn => typeof storage[fn] === "function")) {
+                throw new Error("storage must implement put, get, stream, stat, delete and list");
+            }
             /** 4. Connect Database */
             dbConnection.dbHandleConnection(this.dbconfig);
             await this.dbValidation();
@@ -190,6 +1048,7 @@ class Service {
             }) => {
                 try {
                     const { sequelize, models } = configurationProvider.getConfig();
+                    const dialect = sqlDialect(sequelize);
 
                     const tableName = this.userModel.name;
                     const columns = this.userModel.columns;
@@ -214,7 +1073,7 @@ class Service {
                         Object.keys(columns).forEach(key => {
                             (columns[key].columns || []).forEach(col => {
                                 if (col !== "id") {
-                                    likeConditions.push(`"${col}" ILIKE :search`);
+                                    likeConditions.push(dialect.iLike(dialect.quote(col), ":search"));
                                 }
                             });
                         });
@@ -226,7 +1085,7 @@ class Service {
 
                     /* ---------------- EXCLUDE CURRENT USER ---------------- */
                     if (userId) {
-                        whereParts.push(`"${columns.id.columns[0]}" != :currentUserId`);
+                        whereParts.push(`${dialect.quote(columns.id.columns[0])} != :currentUserId`);
                         replacements.currentUserId = Number(userId);
                     }
 
@@ -246,13 +1105,13 @@ class Service {
                             },
                             attributes: [
                                 [
-                                    Sequelize.literal(`
+                                    Sequelize.literal(dialect.sql(`
                             DISTINCT CASE
                                 WHEN "fromUserId" = ${Number(userId)}
                                 THEN "toUserId"
                                 ELSE "fromUserId"
                             END
-                        `),
+                        `)),
                                     "userId"
                                 ]
                             ],
@@ -275,7 +1134,7 @@ class Service {
                             };
                         }
 
-                        whereParts.push(`"${columns.id.columns[0]}" IN (:chatUserIds)`);
+                        whereParts.push(`${dialect.quote(columns.id.columns[0])} IN (:chatUserIds)`);
                         replacements.chatUserIds = chatUserIds;
                     }
 
@@ -284,7 +1143,7 @@ class Service {
                     /* ---------------- COUNT QUERY ---------------- */
                     const countQuery = `
             SELECT COUNT(*) AS count
-            FROM "${tableName}"
+            FROM ${dialect.quote(tableName)}
             WHERE ${whereSQL}
         `;
 
@@ -303,15 +1162,15 @@ class Service {
                         });
                     });
 
-                    const selectCols = dbColumns.map(c => `"${c}"`).join(", ");
+                    const selectCols = dbColumns.map(dialect.quote).join(", ");
 
                     /* ---------------- USERS QUERY ---------------- */
                     const usersQuery = `
             SELECT ${selectCols}
-            FROM "${tableName}"
+            FROM ${dialect.quote(tableName)}
             WHERE ${whereSQL}
-            ORDER BY "${columns.id.columns[0]}" DESC
-            OFFSET :offset LIMIT :limit
+            ORDER BY ${dialect.quote(columns.id.columns[0])} DESC
+            LIMIT :limit OFFSET :offset
         `;
 
                     const users = await sequelize.query(usersQuery, {
@@ -336,20 +1195,15 @@ class Service {
 
                     /* ---------------- LAST MESSAGE DATA ---------------- */
                     if (Number(moduleValue) === 1) {
+                        const peerUserIds = users.map(row => row[columns.id.columns[0]]);
+                        const unreadCounts = await countUnreadDirect(models, userId, peerUserIds);
+                        // Written messages only - never a system event
+                        const lastMessages = await fetchLastDirectMessages(models, sequelize, userId, peerUserIds);
+
                         for (let i = 0; i < mapped.length; i++) {
                             const targetUserId = users[i][columns.id.columns[0]];
-
-                            const lastMessage = await models.message.findOne({
-                                where: {
-                                    [Op.or]: [
-                                        { fromUserId: userId, toUserId: targetUserId },
-                                        { fromUserId: targetUserId, toUserId: userId }
-                                    ],
-                                    messageType: "text"
-                                },
-                                order: [["createdAt", "DESC"]],
-                                raw: true
-                            });
+                            const lastMessage = lastMessages[targetUserId];
+                            mapped[i].unreadCount = unreadCounts[targetUserId] || 0;
                             if (lastMessage) {
                                 mapped[i].messageId = lastMessage ? lastMessage.id : null;
                                 mapped[i].lastMessage = lastMessage.messageText;
@@ -395,7 +1249,7 @@ class Service {
                     const where = {};
 
                     if (search.trim() !== "") {
-                        where.name = { [Op.iLike]: `%${search.trim()}%` };
+                        where.name = { [sqlDialect(sequelize).iLikeOp]: `%${search.trim()}%` };
                     }
 
                     if (userId) {
@@ -421,49 +1275,10 @@ class Service {
                     const createdByUserIds = [...new Set(rows.map(row => row.createdBy).filter(id => id))];
 
                     // Fetch createdBy user details
-                    let createdByUserMap = {};
-                    if (createdByUserIds.length > 0) {
-                        const tableName = userModel.name;
-                        const columns = userModel.columns;
-
-                        // Build column list
-                        const dbColumns = [];
-                        Object.values(columns).forEach(colObj => {
-                            colObj.columns.forEach(col => {
-                                if (!dbColumns.includes(col)) dbColumns.push(col);
-                            });
-                        });
-
-                        const selectCols = dbColumns.map(c => `"${c}"`).join(", ");
-                        const idColumn = columns.id.columns[0];
-
-                        const usersQuery = `
-                SELECT ${selectCols}
-                FROM "${tableName}"
-                WHERE "${idColumn}" IN (:createdByUserIds)
-            `;
-
-                        const users = await sequelize.query(usersQuery, {
-                            type: QueryTypes.SELECT,
-                            replacements: { createdByUserIds }
-                        });
-
-                        // Create map of userId -> user details
-                        createdByUserMap = users.reduce((map, row) => {
-                            const obj = {};
-                            Object.keys(columns).forEach(key => {
-                                const vals = (columns[key].columns || [])
-                                    .map(c => row[c])
-                                    .filter(Boolean);
-                                obj[key] = vals.join(" ") || null;
-                            });
+                    const createdByUserMap = await fetchUsersByIds(sequelize, userModel, createdByUserIds);
 
-                            // Get user ID
-                            const userId = row[columns.id.columns[0]];
-                            map[userId] = obj;
-                            return map;
-                        }, {});
-                    }
+                    // Unread messages for the requesting user
+                    const unreadCounts = await countUnreadGroups(models, userId, rows.map(row => row.id));
 
                     // Construct final response with createdBy user details
                     const groupsWithCreator = rows.map(groupItem => {
@@ -472,6 +1287,7 @@ class Service {
 
                         return {
                             ...groupData,
+                            unreadCount: unreadCounts[groupData.id] || 0,
                             createdByUser: createdByUser ? {
                                 id: createdByUser.id,
                                 name: createdByUser.username || createdByUser.name || "Unknown User"
@@ -503,6 +1319,7 @@ class Service {
             const getGroupManageUsers = async ({ groupId, assigned = 0, search = "", page = 1, limit = 10, userId = 0 }) => {
                 try {
                     const { sequelize, models } = configurationProvider.getConfig();
+                    const dialect = sqlDialect(sequelize);
 
                     const tableName = this.userModel.name;
                     const columns = this.userModel.columns;
@@ -522,11 +1339,12 @@ class Service {
                                 [Op.not]: userId
                             }
                         },
-                        attributes: ["userId"],
+                        attributes: ["userId", "role"],
                         raw: true
                     });
 
                     let groupMemberIds = groupMembers.map(member => member.userId);
+                    const memberRoles = Object.fromEntries(groupMembers.map(member => [member.userId, member.role]));
 
                     // Build where conditions
                     let whereParts = ["1 = 1"];
@@ -544,7 +1362,7 @@ class Service {
                         Object.keys(columns).forEach(key => {
                             (columns[key].columns || []).forEach(col => {
                                 if (col !== "id") {
-                                    likeConditions.push(`"${col}" ILIKE :search`);
+                                    likeConditions.push(dialect.iLike(dialect.quote(col), ":search"));
                                 }
                             });
                         });
@@ -569,22 +1387,23 @@ class Service {
                                 }
                             };
                         }
-                        whereParts.push(`"${columns.id.columns[0]}" IN (:groupMemberIds)`);
+                        whereParts.push(`${dialect.quote(columns.id.columns[0])} IN (:groupMemberIds)`);
                         replacements.groupMemberIds = groupMemberIds;
                     } else {
                         // Get unassigned users (users not in the group)
                         if (groupMemberIds.length > 0) {
-                            whereParts.push(`"${columns.id.columns[0]}" NOT IN (:groupMemberIds)`);
+                            whereParts.push(`${dialect.quote(columns.id.columns[0])} NOT IN (:groupMemberIds)`);
                             replacements.groupMemberIds = groupMemberIds;
                         }
                     };
-                    whereParts.push(`"${columns.id.columns[0]}" != ${userId}`)
+                    whereParts.push(`${dialect.quote(columns.id.columns[0])} != :currentUserId`);
+                    replacements.currentUserId = Number(userId);
                     const whereSQL = whereParts.join(" AND ");
 
                     // Count query
                     const countQuery = `
             SELECT COUNT(*) AS count
-            FROM "${tableName}"
+            FROM ${dialect.quote(tableName)}
             WHERE ${whereSQL}
         `;
 
@@ -603,15 +1422,15 @@ class Service {
                         });
                     });
 
-                    const selectCols = dbColumns.map(c => `"${c}"`).join(", ");
+                    const selectCols = dbColumns.map(dialect.quote).join(", ");
 
                     // Users query
                     const usersQuery = `
             SELECT ${selectCols}
-            FROM "${tableName}"
+            FROM ${dialect.quote(tableName)}
             WHERE ${whereSQL}
-            ORDER BY "${columns.id.columns[0]}" DESC
-            OFFSET :offset LIMIT :limit
+            ORDER BY ${dialect.quote(columns.id.columns[0])} DESC
+            LIMIT :limit OFFSET :offset
         `;
 
                     const users = await sequelize.query(usersQuery, {
@@ -633,6 +1452,9 @@ class Service {
 
                         // Add assignment status
                         obj.isAssigned = Number(assigned) === 0;
+                        if (obj.isAssigned) {
+                            obj.role = memberRoles[row[columns.id.columns[0]]] || "member";
+                        }
 
                         return obj;
                     });
@@ -649,7 +1471,8 @@ class Service {
                         groupInfo: {
                             id: group.id,
                             name: group.name,
-                            totalMembers: groupMemberIds.length
+                            totalMembers: groupMemberIds.length,
+                            role: await findGroupRole(models, group.id, userId)
                         }
                     };
 
@@ -676,16 +1499,28 @@ class Service {
 
                     await models.GroupMember.create({
                         groupId: group.id,
-                        userId: createdBy
+                        userId: createdBy,
+                        role: "owner"
                     });
 
                     for (const id of groupUsers) {
+                        if (Number(id) === Number(createdBy)) continue;
                         await models.GroupMember.create({
                             groupId: group.id,
                             userId: id
                         });
                     }
 
+                    const memberIds = [...new Set([createdBy, ...groupUsers].map(Number))];
+                    await announceGroupChange(configurationProvider.getConfig(), group.id, {
+                        event: "group_created",
+                        payload: { group: { id: group.id, name: group.name, createdBy }, memberIds },
+                        actorId: Number(createdBy),
+                        systemEvent: { type: "group_created", name: group.name },
+                        join: memberIds,
+                        text: users => `${describeUsers(users, [Number(createdBy)])} created the group "${group.name}"`
+                    });
+
                     return {
                         status: "success",
                         message: "Group created",
@@ -703,7 +1538,7 @@ class Service {
             /**
              * UPDATE GROUP
              */
-            const updateGroup = async ({ groupId, name, groupUsers = [] }) => {
+            const updateGroup = async ({ groupId, name, groupUsers = [], userId }) => {
                 try {
                     const { models } = configurationProvider.getConfig();
 
@@ -713,6 +1548,10 @@ class Service {
                         return { status: "error", message: "Group not found" };
                     }
 
+                    if (!GROUP_MANAGER_ROLES.includes(await findGroupRole(models, groupId, userId))) {
+                        return forbidden("Only group owners and admins can update this group.");
+                    }
+
                     if (name) {
                         const duplicate = await models.group.findOne({
                             where: {
@@ -732,15 +1571,17 @@ class Service {
 
                     const existing = await models.GroupMember.findAll({
                         where: { groupId },
-                        attributes: ["userId"],
+                        attributes: ["userId", "role"],
                         raw: true
                     });
 
                     const existingIds = existing.map(u => u.userId);
+                    const ownerIds = existing.filter(u => u.role === "owner").map(u => u.userId);
                     groupUsers = groupUsers.map(Number);
 
                     const toAdd = groupUsers.filter(id => !existingIds.includes(id));
-                    const toRemove = existingIds.filter(id => !groupUsers.includes(id));
+                    // The owner stays a member whatever the list says
+                    const toRemove = existingIds.filter(id => !groupUsers.includes(id) && !ownerIds.includes(id));
 
                     for (const id of toAdd) {
                         await models.GroupMember.create({ groupId, userId: id });
@@ -752,38 +1593,71 @@ class Service {
                         });
                     }
 
+                    await announceMembershipChanges(configurationProvider.getConfig(), group, {
+                        actorId: Number(userId),
+                        name,
+                        added: toAdd,
+                        removed: toRemove
+                    });
+
                     return { status: "success", message: "Group updated" };
 
                 } catch (error) {
                     return { status: "error", message: error };
                 }
             };
-            const assignGroupMembers = async ({ groupId, unlinkAssigned, notAssigned, groupName }) => {
+            const assignGroupMembers = async ({ groupId, unlinkAssigned, notAssigned, groupName, userId }) => {
                 const transaction = await configurationProvider.getConfig()?.sequelize?.transaction();
 
                 try {
                     const { models } = configurationProvider.getConfig();
-                    if (groupName) {
-                        await models.group.update({
-                            name: groupName
-                        }, {
-                            where: { id: groupId },
+
+                    /* ------------------ CHECK PERMISSIONS ------------------ */
+                    if (!GROUP_MANAGER_ROLES.includes(await findGroupRole(models, groupId, userId, { transaction }))) {
+                        await transaction.rollback();
+                        return forbidden("Only group owners and admins can manage members.");
+                    }
+                    if (Array.isArray(unlinkAssigned) && unlinkAssigned.length > 0) {
+                        const owners = await models.GroupMember.count({
+                            where: { groupId, role: "owner", userId: { [Op.in]: unlinkAssigned } },
                             transaction
                         });
-                    };
+                        if (owners > 0) {
+                            await transaction.rollback();
+                            return forbidden("The group owner cannot be removed.");
+                        }
+                    }
                     /* ------------------ CHECK GROUP EXISTS ------------------ */
-                    const groupExists = await models.group.count({
+                    const group = await models.group.findOne({
                         where: { id: groupId },
+                        attributes: ["id", "name"],
                         transaction
                     });
 
-                    if (!groupExists) {
+                    if (!group) {
                         await transaction.rollback();
                         return { status: "error", message: "Group does not exist!" };
                     }
 
+                    if (groupName) {
+                        await models.group.update({
+                            name: groupName
+                        }, {
+                            where: { id: groupId },
+                            transaction
+                        });
+                    };
+
                     /* ------------------ UNLINK ASSIGNED USERS ------------------ */
+                    let removedUserIds = [];
                     if (Array.isArray(unlinkAssigned) && unlinkAssigned.length > 0) {
+                        const linked = await models.GroupMember.findAll({
+                            where: { groupId, userId: { [Op.in]: unlinkAssigned } },
+                            attributes: ["userId"],
+                            transaction
+                        });
+                        removedUserIds = linked.map(item => item.userId);
+
                         await models.GroupMember.destroy({
                             where: {
                                 groupId,
@@ -793,6 +1667,7 @@ class Service {
                         });
                     };
                     /* ------------------ ASSIGN NEW USERS ------------------ */
+                    let addedUserIds = [];
                     if (Array.isArray(notAssigned) && notAssigned.length > 0) {
 
                         // Find already existing assignments to avoid duplicates
@@ -815,9 +1690,17 @@ class Service {
                         if (newAssignments.length > 0) {
                             await models.GroupMember.bulkCreate(newAssignments, { transaction });
                         };
+                        addedUserIds = newAssignments.map(item => item.userId);
                     };
                     await transaction.commit();
 
+                    await announceMembershipChanges(configurationProvider.getConfig(), group, {
+                        actorId: Number(userId),
+                        name: groupName,
+                        added: addedUserIds,
+                        removed: removedUserIds
+                    });
+
                     return {
                         status: "success",
                         message: "Group details updated successfully!"
@@ -833,22 +1716,871 @@ class Service {
             };
 
             /**
-             * Register Everything
+             * MARK MESSAGES READ
+             * Moves the user's read marker in the message's conversation up to messageId
              */
-            configurationProvider.setConfig({
-                syncDatabase,
-                models: dbConnection.models,
-                sequelize: dbConnection.sequelize,
+            const markMessagesRead = async ({ userId, messageId }) => {
+                try {
+                    const { models } = configurationProvider.getConfig();
+                    userId = Number(userId);
 
-                /** Services */
-                getAllUsers,
-                getGroups,
-                getGroupManageUsers,
-                assignGroupMembers,
-                createGroup,
-                updateGroup,
-                userModel: this.userModel
-            });
+                    const message = await models.message.findByPk(Number(messageId));
+                    if (!message) {
+                        return { status: "error", message: "Message not found" };
+                    }
+
+                    let conversation;
+                    if (message.groupId) {
+                        const isMember = await models.GroupMember.count({
+                            where: { groupId: message.groupId, userId }
+                        });
+                        if (!isMember) {
+                            return { status: "error", message: "You are not a member of this group." };
+                        }
+                        conversation = { userId, peerUserId: null, groupId: message.groupId };
+                    } else if (message.fromUserId === userId || message.toUserId === userId) {
+                        const peerUserId = message.fromUserId === userId ? message.toUserId : message.fromUserId;
+                        conversation = { userId, peerUserId, groupId: null };
+                    } else {
+                        return { status: "error", message: "Message not found" };
+                    }
+
+                    const [state] = await models.MessageReadState.findOrCreate({
+                        where: conversation,
+                        defaults: { lastReadMessageId: message.id }
+                    });
+
+                    // Never move the marker backwards
+                    if (state.lastReadMessageId < message.id) {
+                        state.lastReadMessageId = message.id;
+                        await state.save();
+                    }
+
+                    return {
+                        status: "success",
+                        data: {
+                            ...conversation,
+                            lastReadMessageId: state.lastReadMessageId,
+                            readAt: state.updatedAt || new Date()
+                        }
+                    };
+
+                } catch (error) {
+                    console.error("Error in markMessagesRead:", error);
+                    return { status: "error", message: error.message };
+                }
+            };
+
+            /**
+             * GROUP MEMBER ROLE
+             * Promote a member to admin or demote an admin (owners and admins only)
+             */
+            const setGroupMemberRole = async ({ groupId, userId, memberId, role }) => {
+                try {
+                    const { models } = configurationProvider.getConfig();
+
+                    if (!["admin", "member"].includes(role)) {
+                        return { status: "error", message: "role must be \"admin\" or \"member\"." };
+                    }
+                    if (!GROUP_MANAGER_ROLES.includes(await findGroupRole(models, groupId, userId))) {
+                        return forbidden("Only group owners and admins can change member roles.");
+                    }
+
+                    const member = await models.GroupMember.findOne({
+                        where: { groupId: Number(groupId), userId: Number(memberId) }
+                    });
+                    if (!member) {
+                        return { status: "error", message: "User is not a member of this group." };
+                    }
+                    if (member.role === "owner") {
+                        return forbidden("The owner's role only changes through an ownership transfer.");
+                    }
+
+                    member.role = role;
+                    await member.save();
+
+                    return {
+                        status: "success",
+                        message: "Member role updated",
+                        data: { groupId: Number(groupId), userId: Number(memberId), role }
+                    };
+
+                } catch (error) {
+                    console.error("Error in setGroupMemberRole:", error);
+                    return { status: "error", message: error.message };
+                }
+            };
+
+            /**
+             * TRANSFER GROUP OWNERSHIP
+             * The owner hands the group to another member and becomes an admin
+             */
+            const transferGroupOwnership = async ({ groupId, userId, newOwnerId }) => {
+                const { models, sequelize } = configurationProvider.getConfig();
+                groupId = Number(groupId);
+                userId = Number(userId);
+                newOwnerId = Number(newOwnerId);
+
+                if ((await findGroupRole(models, groupId, userId)) !== "owner") {
+                    return forbidden("Only the group owner can transfer ownership.");
+                }
+                if (newOwnerId === userId) {
+                    return { status: "error", message: "You already own this group." };
+                }
+
+                const transaction = await sequelize.transaction();
+                try {
+                    // Lock the caller's row: a concurrent transfer may have demoted them already
+                    const role = await findGroupRole(models, groupId, userId, { transaction, lock: transaction.LOCK.UPDATE });
+                    if (role !== "owner") {
+                        await transaction.rollback();
+                        return forbidden("Only the group owner can transfer ownership.");
+                    }
+
+                    const [updated] = await models.GroupMember.update(
+                        { role: "owner" },
+                        { where: { groupId, userId: newOwnerId }, transaction }
+                    );
+                    if (updated === 0) {
+                        await transaction.rollback();
+                        return { status: "error", message: "User is not a member of this group." };
+                    }
+                    await models.GroupMember.update(
+                        { role: "admin" },
+                        { where: { groupId, userId }, transaction }
+                    );
+                    await transaction.commit();
+
+                    return {
+                        status: "success",
+                        message: "Group ownership transferred",
+                        data: { groupId, ownerId: newOwnerId, previousOwnerId: userId }
+                    };
+
+                } catch (error) {
+                    await transaction.rollback();
+                    console.error("Error in transferGroupOwnership:", error);
+                    return { status: "error", message: error.message };
+                }
+            };
+
+            /**
+             * LEAVE GROUP
+             * A member leaves on their own. The owner has to transfer ownership
+             * first unless nobody else is left in the group.
+             */
+            const leaveGroup = async ({ groupId, userId }) => {
+                try {
+                    const { models } = configurationProvider.getConfig();
+                    groupId = Number(groupId);
+                    userId = Number(userId);
+
+                    const role = await findGroupRole(models, groupId, userId);
+                    if (!role) {
+                        return { status: "error", message: "You are not a member of this group." };
+                    }
+                    if (role === "owner") {
+                        const others = await models.GroupMember.count({
+                            where: { groupId, userId: { [Op.ne]: userId } }
+                        });
+                        if (others > 0) {
+                            return forbidden("Transfer ownership before leaving the group.");
+                        }
+                    }
+
+                    await models.GroupMember.destroy({ where: { groupId, userId } });
+
+                    await announceGroupChange(configurationProvider.getConfig(), groupId, {
+                        event: "group_member_removed",
+                        payload: { userIds: [userId], removedBy: userId },
+                        actorId: userId,
+                        systemEvent: { type: "member_left" },
+                        leave: [userId],
+                        text: users => `${describeUsers(users, [userId])} left the group`
+                    });
+
+                    return { status: "success", message: "You left the group", data: { groupId, userId } };
+
+                } catch (error) {
+                    console.error("Error in leaveGroup:", error);
+                    return { status: "error", message: error.message };
+                }
+            };
+
+            /**
+             * EDIT MESSAGE
+             * Replace the text of the user's own text message, keeping the
+             * previous text as a revision
+             */
+            const editMessage = async ({ userId, messageId, messageText }) => {
+                const text = typeof messageText === "string" ? messageText.trim() : "";
+                if (!text) {
+                    return { status: "error", message: "Message text cannot be empty" };
+                }
+
+                const { models, sequelize } = configurationProvider.getConfig();
+                userId = Number(userId);
+
+                const message = await models.message.findByPk(Number(messageId));
+                if (!message || message.isDeleted) {
+                    return { status: "error", message: "Message not found" };
+                }
+                if (message.messageType === "system") {
+                    return { status: "error", message: "System messages cannot be edited" };
+                }
+                if (message.fromUserId !== userId) {
+                    return { status: "error", message: "Unauthorized to edit this message" };
+                }
+                if (message.messageType !== "text") {
+                    return { status: "error", message: "Only text messages can be edited" };
+                }
+                if (message.messageText === text) {
+                    return { status: "success", data: message.toJSON() };
+                }
+
+                const transaction = await sequelize.transaction();
+                try {
+                    const editedAt = new Date();
+                    await models.MessageRevision.create({
+                        messageId: message.id,
+                        editedBy: userId,
+                        previousText: message.messageText,
+                        editedAt
+                    }, { transaction });
+
+                    message.messageText = text;
+                    message.isEdited = true;
+                    message.editedAt = editedAt;
+                    await message.save({ transaction });
+
+                    await transaction.commit();
+                    return { status: "success", data: message.toJSON() };
+
+                } catch (error) {
+                    await transaction.rollback();
+                    console.error("Error in editMessage:", error);
+                    return { status: "error", message: error.message };
+                }
+            };
+
+            /**
+             * DELETE MESSAGE
+             * scope "me": hide the message for the user only (any participant).
+             * scope "everyone": replace it with a placeholder for all viewers and
+             * remove its files (sender only, within messagePolicy.deleteForEveryoneSeconds).
+             */
+            const deleteMessage = async ({ userId, messageId, scope = "everyone" }) => {
+                try {
+                    const { models, messagePolicy } = configurationProvider.getConfig();
+                    userId = Number(userId);
+
+                    if (!["me", "everyone"].includes(scope)) {
+                        return { status: "error", message: "scope must be \"me\" or \"everyone\"." };
+                    }
+
+                    const message = await findAccessibleMessage(models, messageId, userId);
+                    if (!message) {
+                        return { status: "error", message: "Message not found." };
+                    }
+
+                    if (message.messageType === "system") {
+                        return { status: "error", message: "System messages cannot be deleted." };
+                    }
+
+                    const conversation = {
+                        messageId: message.id,
+                        groupId: message.groupId || null,
+                        toUserId: message.toUserId || null,
+                        fromUserId: message.fromUserId
+                    };
+
+                    if (scope === "me") {
+                        await models.HiddenMessage.findOrCreate({
+                            where: { userId, messageId: message.id }
+                        });
+                        return { status: "success", data: { ...conversation, scope, deletedAt: new Date() } };
+                    }
+
+                    if (message.fromUserId !== userId) {
+                        return { status: "error", message: "Unauthorized to delete this message." };
+                    }
+                    if (message.isDeleted) {
+                        return { status: "error", message: "Message not found." };
+                    }
+
+                    const windowSeconds = messagePolicy?.deleteForEveryoneSeconds ?? null;
+                    if (windowSeconds !== null && Date.now() - new Date(message.createdAt).getTime() > windowSeconds * 1000) {
+                        return {
+                            status: "error",
+                            code: "DELETE_WINDOW_EXPIRED",
+                            message: "This message can no longer be deleted for everyone."
+                        };
+                    }
+
+                    try {
+                        await removeMessageAttachments(message.id);
+                    } catch (fileErr) {
+                        console.warn(`⚠️ Could not delete files for message ${message.id}:`, fileErr.message);
+                    }
+
+                    message.isDeleted = true;
+                    message.deletedAt = new Date();
+                    await message.save();
+
+                    return { status: "success", data: { ...conversation, scope, deletedAt: message.deletedAt } };
+
+                } catch (error) {
+                    console.error("Error in deleteMessage:", error);
+                    return { status: "error", message: error.message };
+                }
+            };
+
+            /**
+             * MESSAGE REVISIONS
+             * Edit history of a message for any participant of its conversation,
+             * oldest first
+             */
+            const getMessageRevisions = async ({ userId, messageId }) => {
+                try {
+                    const { models, sequelize, userModel } = configurationProvider.getConfig();
+
+                    const message = await findAccessibleMessage(models, messageId, Number(userId));
+                    if (!message) {
+                        return { status: "error", message: "Message not found" };
+                    }
+
+                    const revisions = await models.MessageRevision.findAll({
+                        where: { messageId: message.id },
+                        order: [["editedAt", "ASC"], ["id", "ASC"]]
+                    });
+                    const editors = await fetchUsersByIds(sequelize, userModel, revisions.map(r => r.editedBy));
+
+                    return {
+                        status: "success",
+                        data: {
+                            messageId: message.id,
+                            messageText: message.isDeleted ? null : message.messageText,
+                            isEdited: Boolean(message.isEdited),
+                            editedAt: message.editedAt || null,
+                            revisions: revisions.map(revision => ({
+                                id: revision.id,
+                                editedBy: revision.editedBy,
+                                editorName: editors[revision.editedBy]?.username || null,
+                                previousText: revision.previousText,
+                                editedAt: revision.editedAt
+                            }))
+                        }
+                    };
+
+                } catch (error) {
+                    console.error("Error in getMessageRevisions:", error);
+                    return { status: "error", message: error.message };
+                }
+            };
+
+            /**
+             * REACTIONS
+             * Add or remove one emoji of the user on a message. Returns the
+             * message's conversation and its updated reactions for broadcasting.
+             */
+            const updateReaction = async ({ userId, messageId, emoji }, action) => {
+                try {
+                    const { models } = configurationProvider.getConfig();
+                    userId = Number(userId);
+
+                    const value = normalizeEmoji(emoji);
+                    if (!value) {
+                        return { status: "error", message: "A single emoji is required." };
+                    }
+
+                    const message = await findAccessibleMessage(models, messageId, userId);
+                    if (!message || message.isDeleted) {
+                        return { status: "error", message: "Message not found" };
+                    }
+
+                    const where = { messageId: message.id, userId, emoji: value };
+                    if (action === "added") {
+                        await models.MessageReaction.findOrCreate({ where });
+                    } else {
+                        await models.MessageReaction.destroy({ where });
+                    }
+
+                    const reactions = await fetchReactions(models, [message.id]);
+                    return {
+                        status: "success",
+                        data: {
+                            messageId: message.id,
+                            groupId: message.groupId || null,
+                            fromUserId: message.fromUserId,
+                            toUserId: message.toUserId,
+                            userId,
+                            emoji: value,
+                            action,
+                            reactions: reactions[message.id] || []
+                        }
+                    };
+
+                } catch (error) {
+                    console.error(`Error in ${action === "added" ? "addReaction" : "removeReaction"}:`, error);
+                    return { status: "error", message: error.message };
+                }
+            };
+
+            const addReaction = (params) => updateReaction(params, "added");
+            const removeReaction = (params) => updateReaction(params, "removed");
+
+            /**
+             * REACTION SUMMARIES
+             * { [messageId]: [{ emoji, count, reacted }] } as seen by userId
+             */
+            const getReactionSummaries = async (messageIds = [], userId) => {
+                const { models } = configurationProvider.getConfig();
+                const reactions = await fetchReactions(models, messageIds);
+
+                const summaries = {};
+                Object.entries(reactions).forEach(([messageId, list]) => {
+                    summaries[messageId] = list.map(({ emoji, count, userIds }) => ({
+                        emoji,
+                        count,
+                        reacted: userIds.includes(Number(userId))
+                    }));
+                });
+                return summaries;
+            };
+
+            /**
+             * REPLY PREVIEWS
+             * Compact quotes of the given replied-to message ids, keyed by id
+             */
+            const getReplyPreviews = async (messageIds = [], users = null) => {
+                const { models, sequelize, userModel } = configurationProvider.getConfig();
+                return await fetchReplyPreviews(models, users || createUserResolver(sequelize, userModel), messageIds);
+            };
+
+            /**
+             * SYNC MESSAGES
+             * Every message created, edited or deleted in the user's direct and
+             * group conversations after `since` (ISO timestamp) or a previous `cursor`.
+             */
+            const syncMessages = async ({ userId, since = null, cursor = null, limit = 100 }) => {
+                try {
+                    const { models, sequelize, userModel } = configurationProvider.getConfig();
+                    userId = Number(userId);
+                    limit = Math.min(Number(limit) || 100, 500);
+
+                    let position;
+                    if (cursor) {
+                        position = decodeSyncCursor(cursor);
+                        if (!position) {
+                            return { status: "error", message: "Invalid sync cursor" };
+                        }
+                    } else {
+                        const sinceDate = new Date(since);
+                        if (!since || isNaN(sinceDate.getTime())) {
+                            return { status: "error", message: "A valid since timestamp or cursor is required" };
+                        }
+                        position = { updatedAt: sinceDate, id: 0, hidden: { createdAt: sinceDate, id: 0 } };
+                    }
+
+                    /* ---------------- CALLER'S CONVERSATIONS ---------------- */
+                    const memberships = await models.GroupMember.findAll({
+                        where: { userId },
+                        attributes: ["groupId"],
+                        raw: true
+                    });
+                    const groupIds = memberships.map(m => m.groupId);
+
+                    const conversations = [
+                        { groupId: null, [Op.or]: [{ fromUserId: userId }, { toUserId: userId }] }
+                    ];
+                    if (groupIds.length > 0) {
+                        conversations.push({ groupId: { [Op.in]: groupIds } });
+                    }
+
+                    /* ---------------- CHANGES AFTER CURSOR ---------------- */
+                    const rows = await models.message.findAll({
+                        where: {
+                            [Op.and]: [
+                                { [Op.or]: conversations },
+                                {
+                                    [Op.or]: [
+                                        { updatedAt: { [Op.gt]: position.updatedAt } },
+                                        { updatedAt: position.updatedAt, id: { [Op.gt]: position.id } }
+                                    ]
+                                }
+                            ]
+                        },
+                        order: [["updatedAt", "ASC"], ["id", "ASC"]],
+                        limit: limit + 1
+                    });
+
+                    // Delete-for-me leaves the message untouched: read the hides separately
+                    const hides = await models.HiddenMessage.findAll({
+                        where: {
+                            userId,
+                            [Op.or]: [
+                                { createdAt: { [Op.gt]: position.hidden.createdAt } },
+                                { createdAt: position.hidden.createdAt, id: { [Op.gt]: position.hidden.id } }
+                            ]
+                        },
+                        order: [["createdAt", "ASC"], ["id", "ASC"]],
+                        limit: limit + 1,
+                        raw: true
+                    });
+
+                    // Merge both feeds by change time and keep the first `limit`
+                    const feed = [
+                        ...rows.map(row => ({ at: new Date(row.updatedAt).getTime(), row })),
+                        ...hides.map(hide => ({ at: new Date(hide.createdAt).getTime(), hide }))
+                    ].sort((a, b) => a.at - b.at || (a.row ? 0 : 1) - (b.row ? 0 : 1));
+                    const hasMore = feed.length > limit;
+                    const taken = feed.slice(0, limit);
+                    const page = taken.filter(entry => entry.row).map(entry => entry.row);
+                    const pageHides = taken.filter(entry => entry.hide).map(entry => entry.hide);
+
+                    const users = createUserResolver(sequelize, userModel);
+                    const senders = await users.load(page.map(m => m.fromUserId));
+                    const attachments = await listAttachmentsByMessage(
+                        page.filter(m => m.messageType === "doc" && !m.isDeleted).map(m => m.id)
+                    );
+                    const replies = await fetchReplyPreviews(
+                        models, users,
+                        page.filter(m => !m.isDeleted).map(m => m.replyToMessageId)
+                    );
+                    // Messages the caller deleted for themselves
+                    const hidden = page.length === 0 ? [] : await models.HiddenMessage.findAll({
+                        where: { userId, messageId: { [Op.in]: page.map(m => m.id) } },
+                        attributes: ["messageId"],
+                        raw: true
+                    });
+                    const hiddenIds = new Set(hidden.map(h => h.messageId));
+
+                    // Hidden messages not already reported through the message feed
+                    const pageIds = new Set(page.map(m => m.id));
+                    const hiddenOnly = pageHides.filter(hide => !pageIds.has(hide.messageId));
+                    const hiddenMessages = hiddenOnly.length === 0 ? [] : await models.message.findAll({
+                        where: { id: { [Op.in]: hiddenOnly.map(hide => hide.messageId) } },
+                        attributes: ["id", "fromUserId", "toUserId", "groupId", "deletedAt"],
+                        raw: true
+                    });
+                    const hiddenById = new Map(hiddenMessages.map(m => [m.id, m]));
+
+                    const deletion = (msg, scope, updatedAt) => ({
+                        type: "deleted",
+                        message: {
+                            id: msg.id,
+                            fromUserId: msg.fromUserId,
+                            toUserId: msg.toUserId,
+                            groupId: msg.groupId,
+                            isDeleted: true,
+                            scope,
+                            deletedAt: msg.deletedAt || null,
+                            updatedAt
+                        }
+                    });
+
+                    const changes = [];
+                    for (const { row, hide } of taken) {
+                        if (hide) {
+                            const msg = hiddenById.get(hide.messageId);
+                            if (msg) changes.push(deletion(msg, "me", hide.createdAt));
+                            continue;
+                        }
+
+                        const msg = row.toJSON();
+                        const createdAt = new Date(msg.createdAt).getTime();
+                        const sinceTime = position.updatedAt.getTime();
+                        const isNew = createdAt > sinceTime || (createdAt === sinceTime && msg.id > position.id);
+
+                        if (msg.isDeleted || hiddenIds.has(msg.id)) {
+                            changes.push(deletion(msg, hiddenIds.has(msg.id) ? "me" : "everyone", msg.updatedAt));
+                            continue;
+                        }
+
+                        changes.push({
+                            type: isNew ? "created" : "edited",
+                            message: {
+                                ...msg,
+                                files: attachments[msg.id] || [],
+                                replyTo: replies[msg.replyToMessageId] || null,
+                                senderName: senders[msg.fromUserId]?.username || null
+                            }
+                        });
+                    }
+
+                    const last = page[page.length - 1];
+                    const lastHide = pageHides[pageHides.length - 1];
+                    return {
+                        status: "success",
+                        data: {
+                            changes,
+                            hasMore,
+                            nextCursor: encodeSyncCursor(last || position, lastHide || position.hidden),
+                            serverTime: new Date()
+                        }
+                    };
+
+                } catch (error) {
+                    console.error("Error in syncMessages:", error);
+                    return { status: "error", message: error.message };
+                }
+            };
+
+            /**
+             * CONVERSATION INBOX
+             * Direct chats and groups together, most recent activity first,
+             * each with a last-message preview, unread count and peer/group info
+             */
+            const getConversations = async ({ userId, page = 1, limit = 20 }) => {
+                try {
+                    const { sequelize, models, userModel } = configurationProvider.getConfig();
+                    userId = Number(userId);
+                    page = Number(page);
+                    limit = Number(limit);
+
+                    const { rows, totalRecords } = await fetchConversationPage(models, sequelize, userId, {
+                        limit,
+                        offset: (page - 1) * limit
+                    });
+
+                    // Peers and last-message senders in one lookup
+                    const users = await fetchUsersByIds(sequelize, userModel, [
+                        ...rows.map(row => row.peerUserId),
+                        ...rows.map(row => row.messageFromUserId)
+                    ]);
+                    const files = await listAttachmentsByMessage(
+                        rows
+                            .filter(row => row.messageType === "doc" && !row.messageIsDeleted)
+                            .map(row => row.messageId)
+                    );
+
+                    const data = rows.map(row => {
+                        let lastMessage = null;
+                        if (row.messageId) {
+                            const message = {
+                                id: Number(row.messageId),
+                                fromUserId: Number(row.messageFromUserId),
+                                messageType: row.messageType,
+                                isDeleted: Boolean(row.messageIsDeleted)
+                            };
+                            let snippet;
+                            if (message.isDeleted) {
+                                snippet = deletedMessageText(message, userId);
+                            } else if (message.messageType === "doc") {
+                                snippet = toSnippet((files[message.id] || []).map(file => file.name).join(", "));
+                            } else {
+                                snippet = toSnippet(row.messageText);
+                            }
+                            lastMessage = {
+                                ...message,
+                                senderName: users[message.fromUserId]?.username || null,
+                                snippet,
+                                createdAt: row.lastActivityAt
+                            };
+                        }
+
+                        const isGroup = row.type === "group";
+                        return {
+                            type: row.type,
+                            id: Number(isGroup ? row.groupId : row.peerUserId),
+                            peer: isGroup ? null : (users[row.peerUserId] || null),
+                            group: isGroup ? {
+                                id: Number(row.groupId),
+                                name: row.groupName,
+                                createdBy: Number(row.groupCreatedBy),
+                                role: row.role
+                            } : null,
+                            lastMessage,
+                            unreadCount: Number(row.unreadCount) || 0,
+                            lastActivityAt: row.lastActivityAt
+                        };
+                    });
+
+                    return {
+                        status: "success",
+                        data,
+                        pagination: {
+                            currentPage: page,
+                            totalPages: Math.ceil(totalRecords / limit),
+                            totalRecords,
+                            limit
+                        }
+                    };
+
+                } catch (error) {
+                    console.error("Error in getConversations:", error);
+                    return { status: "error", message: error.message };
+                }
+            };
+
+            /**
+             * SEARCH MESSAGES
+             * Every direct and group conversation of the caller, best match first.
+             * Filters: sender, createdAt range (a date-only endDate includes that day),
+             * with / without attachments
+             */
+            const searchMessages = async ({ userId, query, fromUserId, startDate, endDate, hasAttachments, page = 1, limit = 20 }) => {
+                try {
+                    const { sequelize, models, userModel } = configurationProvider.getConfig();
+                    userId = Number(userId);
+                    page = Number(page);
+                    limit = Number(limit);
+                    query = String(query || "").trim();
+
+                    if (!query) {
+                        return { status: "error", message: "Search text is required." };
+                    }
+
+                    let until = endDate ? new Date(endDate) : null;
+                    if (until && /^\d{4}-\d{2}-\d{2}$/.test(String(endDate))) {
+                        until.setUTCDate(until.getUTCDate() + 1);
+                    }
+                    if (typeof hasAttachments === "string") {
+                        hasAttachments = hasAttachments === "true";
+                    }
+
+                    const { rows, totalRecords } = await fetchSearchPage(models, sequelize, userId, {
+                        query,
+                        fromUserId,
+                        startDate: startDate ? new Date(startDate) : null,
+                        endDate: until,
+                        hasAttachments,
+                        limit,
+                        offset: (page - 1) * limit
+                    });
+
+                    const peerOf = row => (Number(row.fromUserId) === userId ? row.toUserId : row.fromUserId);
+                    const users = await fetchUsersByIds(sequelize, userModel, [
+                        ...rows.map(row => row.fromUserId),
+                        ...rows.filter(row => !row.groupId).map(peerOf)
+                    ]);
+                    const groupIds = [...new Set(rows.filter(row => row.groupId).map(row => Number(row.groupId)))];
+                    const groups = groupIds.length === 0 ? [] : await models.group.findAll({
+                        where: { id: { [Op.in]: groupIds } },
+                        attributes: ["id", "name"],
+                        raw: true
+                    });
+                    const groupsById = Object.fromEntries(groups.map(group => [group.id, group]));
+                    const files = await listAttachmentsByMessage(
+                        rows.filter(row => row.messageType === "doc").map(row => row.id)
+                    );
+
+                    const data = rows.map(row => ({
+                        id: Number(row.id),
+                        fromUserId: Number(row.fromUserId),
+                        senderName: users[row.fromUserId]?.username || null,
+                        messageType: row.messageType,
+                        messageText: row.messageText,
+                        files: files[row.id] || [],
+                        createdAt: row.createdAt,
+                        rank: Number(row.rank),
+                        snippet: row.snippet,
+                        conversation: row.groupId ? {
+                            type: "group",
+                            id: Number(row.groupId),
+                            group: groupsById[row.groupId] || null
+                        } : {
+                            type: "direct",
+                            id: Number(peerOf(row)),
+                            peer: users[peerOf(row)] || null
+                        }
+                    }));
+
+                    return {
+                        status: "success",
+                        data,
+                        pagination: {
+                            currentPage: page,
+                            totalPages: Math.ceil(totalRecords / limit),
+                            totalRecords,
+                            limit
+                        }
+                    };
+
+                } catch (error) {
+                    console.error("Error in searchMessages:", error);
+                    return { status: "error", message: error.message };
+                }
+            };
+
+            /**
+             * Register Everything
+             */
+            configurationProvider.setConfig({
+                syncDatabase,
+                models: dbConnection.models,
+                sequelize: dbConnection.sequelize,
+
+                /** Services */
+                getAllUsers,
+                getGroups,
+                getGroupManageUsers,
+                getConversations,
+                searchMessages,
+                assignGroupMembers,
+                setGroupMemberRole,
+                transferGroupOwnership,
+                leaveGroup,
+                createGroup,
+                updateGroup,
+                markMessagesRead,
+                syncMessages,
+                getReplyPreviews,
+                editMessage,
+                getMessageRevisions,
+                deleteMessage,
+                addReaction,
+                removeReaction,
+                getReactionSummaries,
+                createUserResolver: () => createUserResolver(dbConnection.sequelize, this.userModel),
+                userModel: this.userModel,
+                authenticateSocket,
+                ...(io && { io }),
+                ...(presenceStore && { presenceStore }),
+                uploadPolicy: policy,
+                expirePendingUploads: async () => policy.pendingUploadTtlSeconds
+                    ? await expirePendingUploads(policy.pendingUploadTtlSeconds)
+                    : 0,
+                messagePolicy: messageRules,
+                ...(storage && { storage })
+            });
+
+            /** 6. Give groups created before roles existed their owner */
+            try {
+                const owned = await backfillGroupOwners(dbConnection.models);
+                if (owned > 0) console.log(`✔ Assigned owners to ${owned} existing group(s)`);
+            } catch (error) {
+                console.error("⚠️ Group owner backfill failed:", error.message);
+            }
+
+            /** 7. Record files of messages sent before the attachments table existed (one-off, opt-in) */
+            if (importLegacyFiles) {
+                try {
+                    const imported = await importLegacyAttachments({ messageModel: dbConnection.models.message });
+                    console.log(`✔ Imported ${imported} legacy attachment(s)`);
+                } catch (error) {
+                    console.error("⚠️ Legacy attachment import failed:", error.message);
+                }
+            }
+
+            /** 8. Full-text index for message search (PostgreSQL only) */
+            try {
+                if (await ensureSearchIndex(dbConnection.models, dbConnection.sequelize)) {
+                    console.log("✔ Message search index ready");
+                }
+            } catch (error) {
+                console.error("⚠️ Message search index failed:", error.message);
+            }
+
+            /** 9. Sweep uploads that were never sent with a message */
+            clearInterval(this.pendingUploadSweep);
+            if (policy.pendingUploadTtlSeconds) {
+                this.pendingUploadSweep = setInterval(() => {
+                    configurationProvider.getConfig().expirePendingUploads()
+                        .catch(error => console.error("⚠️ Pending upload expiry failed:", error.message));
+                }, PENDING_UPLOAD_SWEEP_MS);
+                this.pendingUploadSweep.unref?.();
+            }
 
             return configurationProvider.getConfig();
 
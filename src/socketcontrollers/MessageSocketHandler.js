@@ -1,32 +1,31 @@
-const path = require("path");
-const { fileManager } = require("../utils/filemanager");
-const { getUserInfo, getUserMessagesMaster, getGroupMembers } = require("../utils/helper");
-
-const baseDir = path.join(fileManager.fileLocation, "messagesdocs");
+const { checkMessageAttachments, attachToMessage } = require("../utils/attachments");
+const { getUserInfo, getUserMessagesMaster, getGroupMembers, isGroupMember, isSameConversation } = require("../utils/helper");
+const { configurationProvider } = require("../services/ChatService");
 
 // ======================================================================
 // 🔌 ENHANCED SOCKET.IO STATE MANAGEMENT
 // ======================================================================
-let onlineUsers = new Map(); // userId -> { socketId, userInfo, lastSeen, status }
-let typingUsers = new Map(); // `${fromUserId}-${toUserId}` -> timestamp
-let userSocketMap = new Map(); // socketId -> userId (reverse lookup)
-let userRooms = new Map(); // userId -> Set of group room names
+// Presence lives in a pluggable store (in-memory by default, Redis for
+// several nodes). Deliveries always target rooms (`user_<id>`, `group_<id>`)
+// so a socket.io adapter can fan them out across processes.
+function getPresenceStore() {
+    return configurationProvider.getConfig().presenceStore;
+}
 
 /**
  * 🔄 Helper: Broadcast online users with detailed status
  */
-function broadcastOnlineUsers(io) {
-    const onlineUsersList = Array.from(onlineUsers.entries()).map(([userId, data]) => ({
-        userId,
-        status: data.status,
-        lastSeen: data.lastSeen,
-        ...data.userInfo
+async function broadcastOnlineUsers(io) {
+    const online = await getPresenceStore().listOnline();
+    const onlineUsersList = online.map(({ userInfo, ...data }) => ({
+        ...data,
+        ...userInfo
     }));
 
     io.emit("online_users_list", onlineUsersList);
 
     // Also emit simple array for backward compatibility
-    const userIds = Array.from(onlineUsers.keys());
+    const userIds = online.map(user => user.userId);
     io.emit("online_users", userIds);
 }
 
@@ -46,41 +45,58 @@ function broadcastUserStatus(io, userId, status, lastSeen = null) {
  */
 function notifyChatListUpdate(io, userIds, groupId = null) {
     userIds.forEach(userId => {
-        const user = onlineUsers.get(parseInt(userId));
-        if (user) {
-            io.to(user.socketId).emit("chat_list_update", {
-                type: groupId ? 'group' : 'user',
-                id: groupId || userId,
-                timestamp: new Date()
-            });
-            console.log(`📋 Notified user ${userId} to update chat list`);
-        }
+        // Personal room reaches every device of the user, on any node
+        io.to(`user_${userId}`).emit("chat_list_update", {
+            type: groupId ? 'group' : 'user',
+            id: groupId || userId,
+            timestamp: new Date()
+        });
     });
+    console.log(`📋 Notified ${userIds.length} user(s) to update chat list`);
 }
 
+// ======================================================================
+// 🔐 HANDSHAKE AUTHENTICATION
+// ======================================================================
 /**
- * 🧹 Helper: Clean up user on disconnect
+ * socket.io middleware: io.use(socketAuthMiddleware)
+ *
+ * Runs the `authenticateSocket` verifier registered through Service.init()
+ * against the handshake and binds the verified identity to socket.data.
+ * Every event handler reads the user from there, never from the payload.
  */
-function cleanupUser(userId, socketId) {
-    // Remove from online users
-    onlineUsers.delete(userId);
+async function socketAuthMiddleware(socket, next) {
+    try {
+        const { authenticateSocket } = configurationProvider.getConfig();
 
-    // Remove socket mapping
-    userSocketMap.delete(socketId);
+        if (typeof authenticateSocket !== "function") {
+            console.error("❌ authenticateSocket is not configured. Rejecting socket.");
+            return next(new Error("Socket authentication is not configured"));
+        }
 
-    // Remove from all rooms
-    if (userRooms.has(userId)) {
-        userRooms.delete(userId);
-    }
+        const identity = await authenticateSocket(socket.handshake);
+        const userId = Number(identity?.userId);
 
-    // Clear all typing indicators for this user
-    for (const [key] of typingUsers.entries()) {
-        if (key.startsWith(`${userId}-`)) {
-            typingUsers.delete(key);
+        if (!userId) {
+            return next(new Error("Unauthorized"));
         }
+
+        socket.data.userId = userId;
+        socket.data.userInfo = identity.userInfo || {};
+        next();
+    } catch (error) {
+        console.error("❌ Socket authentication error:", error.message);
+        next(new Error("Unauthorized"));
     }
 }
 
+/**
+ * 🔐 Helper: Verified user bound to the socket during the handshake
+ */
+function getSocketUserId(socket) {
+    return socket.data?.userId || null;
+}
+
 // ======================================================================
 // 🔌 ENHANCED SOCKET.IO CONTROLLERS
 // ======================================================================
@@ -93,77 +109,56 @@ let userMessagesControllers = (socket, io) => {
     // ======================================================================
     // 👤 USER CONNECTED - Enhanced with comprehensive status management
     // ======================================================================
-    socket.on("handleUserConnection", async (userData) => {
+    socket.on("handleUserConnection", async () => {
         try {
-            const { userId, userInfo } = userData;
+            // Identity comes from the authentication hook only, never from the payload
+            const userId = getSocketUserId(socket);
+            const userInfo = socket.data?.userInfo || {};
 
             if (!userId) {
-                console.error("❌ User connected without userId");
-                socket.emit("connection_error", { error: "User ID required" });
+                console.error("❌ User connected without an authenticated identity");
+                socket.emit("connection_error", { error: "Unauthenticated socket" });
                 return;
             }
 
-            // Check if user already connected from another device/tab
-            const existingUser = onlineUsers.get(userId);
-            if (existingUser && existingUser.socketId !== socket.id) {
-                console.log(`⚠️ User ${userId} already connected, disconnecting old session`);
-                const oldSocket = io.sockets.sockets.get(existingUser.socketId);
-                if (oldSocket) {
-                    oldSocket.emit("force_disconnect", {
-                        reason: "Connected from another location"
-                    });
-                    oldSocket.disconnect(true);
-                }
-            }
-
-            // Store user connection with enhanced status
-            onlineUsers.set(userId, {
-                socketId: socket.id,
-                userInfo: userInfo || {},
-                lastSeen: new Date(),
-                status: "online",
-                connectedAt: new Date()
-            });
-
-            // Store reverse mapping
-            userSocketMap.set(socket.id, userId);
+            // Several devices/tabs may be connected at once - track every socket
+            const presenceStore = getPresenceStore();
+            const { wasOnline, devices } = await presenceStore.addSocket(userId, socket.id, userInfo);
 
             // Join user to their personal room for private messages
             socket.join(`user_${userId}`);
 
             // Fetch user's groups and join group rooms
             try {
-                const groups = await getGroupMembers(userId);
-                groups.forEach(group => {
+                const groups = await getGroupMembers({ userId });
+                for (const group of groups) {
                     socket.join(`group_${group.id}`);
 
                     // Track user's rooms
-                    if (!userRooms.has(userId)) {
-                        userRooms.set(userId, new Set());
-                    }
-                    userRooms.get(userId).add(`group_${group.id}`);
-                });
+                    await presenceStore.addRoom(userId, `group_${group.id}`);
+                }
                 console.log(`✅ User ${userId} joined ${groups.length} group rooms`);
             } catch (groupError) {
                 console.warn(`⚠️ Could not fetch groups for user ${userId}:`, groupError.message);
             }
 
-            console.log(`✅ User ${userId} connected (socket: ${socket.id})`);
+            console.log(`✅ User ${userId} connected (socket: ${socket.id}, devices: ${devices})`);
 
             // Broadcast updated online users list
-            broadcastOnlineUsers(io);
+            await broadcastOnlineUsers(io);
 
-            // Broadcast individual status change
-            broadcastUserStatus(io, userId, "online");
+            // Broadcast individual status change (first device only)
+            if (!wasOnline) {
+                broadcastUserStatus(io, userId, "online");
+            }
 
             // Send initial online users list to the newly connected user
-            const onlineUsersList = Array.from(onlineUsers.entries())
-                .filter(([uid]) => uid !== userId)
-                .map(([uid, data]) => ({
-                    userId: uid,
-                    status: data.status,
-                    lastSeen: data.lastSeen,
-                    ...data.userInfo
+            const online = await presenceStore.listOnline();
+            const onlineUsersList = online
+                .filter(user => user.userId !== userId)
+                .map(({ userInfo: info, ...data }) => ({
+                    ...data,
+                    ...info
                 }));
 
             socket.emit("online_users_initial", onlineUsersList);
@@ -173,8 +168,9 @@ let userMessagesControllers = (socket, io) => {
                 message: "Connected to chat server",
                 userId,
                 socketId: socket.id,
+                devices,
                 timestamp: new Date(),
-                onlineUsers: Array.from(onlineUsers.keys())
+                onlineUsers: online.map(user => user.userId)
             });
 
         } catch (error) {
@@ -186,16 +182,11 @@ let userMessagesControllers = (socket, io) => {
     // ======================================================================
     // 💓 HEARTBEAT - Enhanced with status update
     // ======================================================================
-    socket.on("heartbeat", (data) => {
+    socket.on("heartbeat", async () => {
         try {
-            const { userId } = data;
-
-            if (userId && onlineUsers.has(userId)) {
-                const userData = onlineUsers.get(userId);
-                userData.lastSeen = new Date();
-                userData.status = "online";
-                onlineUsers.set(userId, userData);
+            const userId = getSocketUserId(socket);
 
+            if (userId && await getPresenceStore().touch(userId, socket.id)) {
                 socket.emit("heartbeat_ack", {
                     timestamp: new Date(),
                     status: "online"
@@ -206,59 +197,60 @@ let userMessagesControllers = (socket, io) => {
         }
     });
 
+    // The transport's own ping / pong keeps presence alive for clients that never send "heartbeat"
+    socket.conn?.on("heartbeat", () => {
+        const userId = getSocketUserId(socket);
+        if (!userId) return;
+        getPresenceStore().touch(userId, socket.id).catch(error => console.error("Heartbeat error:", error));
+    });
+
     // ======================================================================
     // ✏️ TYPING INDICATORS - Private chat only
     // ======================================================================
-    socket.on("typing_start", (data) => {
+    socket.on("typing_start", async (data) => {
         try {
-            const { fromUserId, toUserId } = data;
+            const fromUserId = getSocketUserId(socket);
+            const { toUserId } = data;
 
             if (!fromUserId || !toUserId) {
                 console.warn("⚠️ Invalid typing_start data:", data);
                 return;
             }
 
-            const typingKey = `${fromUserId}-${toUserId}`;
-            typingUsers.set(typingKey, Date.now());
+            await getPresenceStore().setTyping(fromUserId, toUserId);
 
-            // Notify the recipient only
-            const recipient = onlineUsers.get(parseInt(toUserId));
-            if (recipient) {
-                io.to(recipient.socketId).emit("user_typing", {
-                    userId: fromUserId,
-                    isTyping: true,
-                    timestamp: new Date()
-                });
-                console.log(`✏️ ${fromUserId} started typing to ${toUserId}`);
-            }
+            // Notify the recipient only (all of their devices)
+            io.to(`user_${toUserId}`).emit("user_typing", {
+                userId: fromUserId,
+                isTyping: true,
+                timestamp: new Date()
+            });
+            console.log(`✏️ ${fromUserId} started typing to ${toUserId}`);
 
         } catch (error) {
             console.error("Typing start error:", error);
         }
     });
 
-    socket.on("typing_stop", (data) => {
+    socket.on("typing_stop", async (data) => {
         try {
-            const { fromUserId, toUserId } = data;
+            const fromUserId = getSocketUserId(socket);
+            const { toUserId } = data;
 
             if (!fromUserId || !toUserId) {
                 console.warn("⚠️ Invalid typing_stop data:", data);
                 return;
             }
 
-            const typingKey = `${fromUserId}-${toUserId}`;
-            typingUsers.delete(typingKey);
+            await getPresenceStore().clearTyping(fromUserId, toUserId);
 
-            // Notify the recipient only
-            const recipient = onlineUsers.get(parseInt(toUserId));
-            if (recipient) {
-                io.to(recipient.socketId).emit("user_typing", {
-                    userId: fromUserId,
-                    isTyping: false,
-                    timestamp: new Date()
-                });
-                console.log(`⏹️ ${fromUserId} stopped typing to ${toUserId}`);
-            }
+            // Notify the recipient only (all of their devices)
+            io.to(`user_${toUserId}`).emit("user_typing", {
+                userId: fromUserId,
+                isTyping: false,
+                timestamp: new Date()
+            });
+            console.log(`⏹️ ${fromUserId} stopped typing to ${toUserId}`);
 
         } catch (error) {
             console.error("Typing stop error:", error);
@@ -271,7 +263,18 @@ let userMessagesControllers = (socket, io) => {
     socket.on("handleSendMessage", async (data) => {
         let messageModel = getUserMessagesMaster();
         try {
-            const { fromUserId, toUserId, groupId, messageType, messageText, files, tempId } = data;
+            const fromUserId = getSocketUserId(socket);
+            const { toUserId, groupId, messageType, messageText, tempId } = data;
+            // Ids returned by the upload route (POST /attachments)
+            const attachmentIds = Array.isArray(data.attachmentIds) ? data.attachmentIds : [];
+
+            if (!fromUserId) {
+                socket.emit("message_error", {
+                    tempId,
+                    error: "Unauthenticated socket."
+                });
+                return;
+            }
 
             if (!["doc", "text"].includes(messageType)) {
                 socket.emit("message_error", {
@@ -282,7 +285,7 @@ let userMessagesControllers = (socket, io) => {
             };
 
             // Validation
-            if (!fromUserId || (!toUserId && !groupId)) {
+            if (!toUserId && !groupId) {
                 socket.emit("message_error", {
                     tempId,
                     error: "Either toUserId or groupId required."
@@ -291,7 +294,7 @@ let userMessagesControllers = (socket, io) => {
             }
 
             // ⚠️ CRITICAL: Prevent sending both message and document simultaneously
-            if (messageText && messageText.trim() && files && files.length > 0) {
+            if (messageText && messageText.trim() && attachmentIds.length > 0) {
                 socket.emit("message_error", {
                     tempId,
                     error: "Cannot send text message and documents simultaneously. Please send one at a time."
@@ -300,7 +303,7 @@ let userMessagesControllers = (socket, io) => {
             }
 
             // Validate message type consistency
-            if (messageType === "text" && files && files.length > 0) {
+            if (messageType === "text" && attachmentIds.length > 0) {
                 socket.emit("message_error", {
                     tempId,
                     error: "Message type mismatch. Text messages cannot include files."
@@ -308,24 +311,49 @@ let userMessagesControllers = (socket, io) => {
                 return;
             }
 
-            if (messageType === "doc" && (!files || files.length === 0)) {
+            if (messageType === "doc" && attachmentIds.length === 0) {
                 socket.emit("message_error", {
                     tempId,
-                    error: "Document messages must include at least one file."
+                    error: "Document messages must include at least one attachment."
                 });
                 return;
             }
 
-            // Validate files array structure
-            if (files && files.length > 0) {
-                for (const file of files) {
-                    if (!file.base64 || !file.name) {
-                        socket.emit("message_error", {
-                            tempId,
-                            error: "Invalid file structure. Each file must have base64 and name properties."
-                        });
-                        return;
-                    }
+            if (attachmentIds.length > 0) {
+                // Every attachment must be a pending upload of this sender within the upload policy
+                try {
+                    await checkMessageAttachments(fromUserId, attachmentIds);
+                } catch (policyError) {
+                    if (!policyError.code) throw policyError;
+                    socket.emit("message_error", {
+                        tempId,
+                        code: policyError.code,
+                        error: policyError.message
+                    });
+                    return;
+                }
+            }
+
+            // Only members may post into a group
+            if (groupId && !(await isGroupMember(groupId, fromUserId))) {
+                socket.emit("message_error", {
+                    tempId,
+                    error: "You are not a member of this group."
+                });
+                return;
+            }
+
+            // A reply must quote a live message of the same conversation
+            const replyToMessageId = data.replyToMessageId ? Number(data.replyToMessageId) : null;
+            if (replyToMessageId) {
+                const parent = await messageModel.findByPk(replyToMessageId);
+                if (!parent || parent.isDeleted || !isSameConversation(parent, { fromUserId, toUserId, groupId })) {
+                    socket.emit("message_error", {
+                        tempId,
+                        code: "INVALID_REPLY_TARGET",
+                        error: "The message you replied to is not part of this conversation."
+                    });
+                    return;
                 }
             }
 
@@ -339,137 +367,40 @@ let userMessagesControllers = (socket, io) => {
                 groupId: groupId || null,
                 messageType,
                 messageText: messageType === "text" ? (messageText || null) : null,
+                replyToMessageId,
                 isEdited: false
             });
-            // Handle multiple file uploads if present
-            if (files && files.length > 0) {
+            // Link the referenced uploads to the message
+            let responseFiles = [];
+            if (attachmentIds.length > 0) {
                 try {
-                    const MAX_SIZE = 10 * 1024 * 1024; // 10 MB per file
-                    const MAX_TOTAL_SIZE = 50 * 1024 * 1024; // 50 MB total
-                    const MAX_FILES = 10; // Maximum files per message
-
-                    // Check file count limit
-                    if (files.length > MAX_FILES) {
-                        socket.emit("message_error", {
-                            tempId,
-                            error: `Too many files. Maximum ${MAX_FILES} files allowed.`
-                        });
-                        await message.destroy({ where: { id: message.id } });
-                        return;
-                    }
-
-                    // Check total size
-                    let totalSize = 0;
-                    for (const file of files) {
-                        const fileBuffer = Buffer.from(file.base64, "base64");
-                        totalSize += fileBuffer.length;
-                    }
-
-                    if (totalSize > MAX_TOTAL_SIZE) {
-                        socket.emit("message_error", {
-                            tempId,
-                            error: `Total files size exceeds ${MAX_TOTAL_SIZE / (1024 * 1024)}MB limit.`
-                        });
-                        await message.destroy({ where: { id: message.id } });
-                        return;
-                    }
-
-                    // Create message directory
-                    const messageDir = path.join(baseDir, `${message.id}`);
-                    fileManager.addDirs({ uploadpath: baseDir, dirs: [`${message.id}`] });
-
-                    const uploadedFiles = [];
-                    let fileIndex = 0;
-
-                    // Process each file
-                    for (const file of files) {
-                        try {
-                            console.log(`📎 Processing file: ${file}`);
-                            const fileBuffer = Buffer.from(file.base64, "base64");
-
-                            // Check individual file size
-                            if (fileBuffer.length > MAX_SIZE) {
-                                console.warn(`❌ File too large: ${file.name} (${fileBuffer.length} bytes)`);
-                                throw new Error(`File "${file.name}" exceeds 10MB size limit.`);
-                            }
-
-                            // Generate unique filename to avoid conflicts
-                            const fileExtension = path.extname(file.name);
-                            const fileName = path.basename(file.name, fileExtension);
-                            const uniqueFileName = `${fileName}_${Date.now()}_${fileIndex}${fileExtension}`;
-                            const filePath = path.join(messageDir, uniqueFileName);
-
-                            await fileManager.addFiles({ data: fileBuffer, location: filePath });
-
-                            // Store file info for response
-                            uploadedFiles.push({
-                                name: file.name,
-                                size: fileBuffer.length,
-                                type: file.type,
-                                path: filePath,
-                                uniqueName: uniqueFileName
-                            });
-
-                            console.log(`📎 File saved: ${file.name} as ${uniqueFileName}`);
-                            fileIndex++;
-
-                        } catch (fileError) {
-                            console.error(`❌ File save error for ${file.name}:`, fileError);
-
-                            // Cleanup: delete all already uploaded files
-                            for (const uploadedFile of uploadedFiles) {
-                                try {
-                                    await fileManager.removeFile(uploadedFile.path);
-                                } catch (deleteError) {
-                                    console.error(`Failed to delete ${uploadedFile.path}:`, deleteError);
-                                }
-                            }
-
-                            // Delete the message record
-                            await message.destroy({ where: { id: message.id } });
-
-                            socket.emit("message_error", {
-                                tempId,
-                                error: fileError.message || `Failed to upload file: ${file.name}`
-                            });
-                            return;
-                        }
-                    }
-
-                    console.log(`✅ All ${files.length} files uploaded successfully for message ${message.id}`);
-
+                    responseFiles = await attachToMessage({ userId: fromUserId, attachmentIds, messageId: message.id });
+                    console.log(`✅ ${responseFiles.length} attachment(s) linked to message ${message.id}`);
                 } catch (fileError) {
-                    console.error("❌ File processing error:", fileError);
+                    console.error("❌ Attachment linking error:", fileError);
 
-                    await message.destroy({ where: { id: message.id } });
+                    // Nothing was linked - the uploads stay pending for a retry
+                    await message.destroy();
 
                     socket.emit("message_error", {
                         tempId,
-                        error: "Failed to process files. Please try again."
+                        ...(fileError.code && { code: fileError.code }),
+                        error: fileError.message || "Failed to attach files. Please try again."
                     });
                     return;
                 }
             }
 
-            // Get uploaded files for response
-            let responseFiles = [];
-            if (files && files.length > 0) {
-                const messageDir = path.join("messagesdocs", String(message.id));
-                try {
-                    const fileData = await fileManager.getAllFiles(messageDir, "base64");
-                    responseFiles = fileData.map(file => ({
-                        name: file.name,
-                        base64: file.content,
-                        uploadedAt: new Date().toISOString()
-                    }));
-                } catch (error) {
-                    console.error("❌ Error getting uploaded files:", error);
-                }
-            };
+            let replyTo = null;
+            if (replyToMessageId) {
+                const previews = await configurationProvider.getConfig().getReplyPreviews?.([replyToMessageId]);
+                replyTo = previews?.[replyToMessageId] || null;
+            }
 
             const completeMessage = {
                 ...message.toJSON(),
                 files: responseFiles,
+                replyTo,
                 senderName: sender ? sender.username : null,
             };
 
@@ -479,7 +410,7 @@ let userMessagesControllers = (socket, io) => {
                 message: completeMessage,
                 status: "delivered",
                 timestamp: new Date(),
-                fileCount: files ? files.length : 0
+                fileCount: attachmentIds.length
             });
 
             // Deliver to recipients
@@ -488,55 +419,43 @@ let userMessagesControllers = (socket, io) => {
                 io.to(`group_${groupId}`).emit("new_message", {
                     message: completeMessage,
                     timestamp: new Date(),
-                    fileCount: files ? files.length : 0,
+                    fileCount: attachmentIds.length,
                     groupId: groupId
                 });
 
                 // Notify all group members to update their chat lists
                 try {
-                    const members = await getGroupMembers(groupId);
+                    const members = await getGroupMembers({ groupId });
                     const memberIds = members.map(m => m.userId);
                     notifyChatListUpdate(io, memberIds, groupId);
                 } catch (error) {
                     console.warn(`⚠️ Could not fetch group members for notification:`, error.message);
                 }
 
-                console.log(`📤 Group message sent to group ${groupId} (${files ? files.length : 0} files)`);
+                console.log(`📤 Group message sent to group ${groupId} (${attachmentIds.length} files)`);
             } else {
-                // Private message - deliver to specific recipient
-                const recipient = onlineUsers.get(parseInt(toUserId));
-                if (recipient && recipient.status === "online") {
-                    io.to(recipient.socketId).emit("new_message", {
-                        message: completeMessage,
-                        fromUser: onlineUsers.get(parseInt(fromUserId))?.userInfo,
-                        timestamp: new Date(),
-                        fileCount: files ? files.length : 0
-                    });
+                // Private message - every socket of the recipient, plus the
+                // sender's other devices, through their personal rooms
+                const recipientOnline = await getPresenceStore().isOnline(toUserId);
 
-                    // Send delivery confirmation
-                    socket.emit("message_delivered", {
-                        messageId: message.id,
-                        deliveredAt: new Date(),
-                        recipientOnline: true,
-                        fileCount: files ? files.length : 0
-                    });
+                io.to([`user_${toUserId}`, `user_${fromUserId}`]).except(socket.id).emit("new_message", {
+                    message: completeMessage,
+                    fromUser: socket.data.userInfo,
+                    timestamp: new Date(),
+                    fileCount: attachmentIds.length
+                });
 
+                // Send delivery confirmation
+                socket.emit("message_delivered", {
+                    messageId: message.id,
+                    deliveredAt: new Date(),
+                    recipientOnline,
+                    fileCount: attachmentIds.length
+                });
+
+                if (recipientOnline) {
                     console.log(`📤 Message delivered to ${toUserId} (online)`);
                 } else {
-                    // Recipient offline - still send to their room
-                    io.to(`user_${toUserId}`).emit("new_message", {
-                        message: completeMessage,
-                        fromUser: onlineUsers.get(parseInt(fromUserId))?.userInfo,
-                        timestamp: new Date(),
-                        fileCount: files ? files.length : 0
-                    });
-
-                    socket.emit("message_delivered", {
-                        messageId: message.id,
-                        deliveredAt: new Date(),
-                        recipientOnline: false,
-                        fileCount: files ? files.length : 0
-                    });
                     console.log(`📭 Recipient ${toUserId} is offline (message queued)`);
                 }
 
@@ -562,13 +481,12 @@ let userMessagesControllers = (socket, io) => {
     // ======================================================================
     // 📋 REQUEST ONLINE USERS
     // ======================================================================
-    socket.on("get_online_users", () => {
+    socket.on("get_online_users", async () => {
         try {
-            const onlineUsersList = Array.from(onlineUsers.entries()).map(([userId, data]) => ({
-                userId,
-                status: data.status,
-                lastSeen: data.lastSeen,
-                ...data.userInfo
+            const online = await getPresenceStore().listOnline();
+            const onlineUsersList = online.map(({ userInfo, ...data }) => ({
+                ...data,
+                ...userInfo
             }));
 
             socket.emit("online_users_list", onlineUsersList);
@@ -581,55 +499,46 @@ let userMessagesControllers = (socket, io) => {
     // 🗑️ DELETE MESSAGE - With chat list updates
     // ======================================================================
     socket.on("handleDeleteMessage", async (data) => {
-        let messageModel = getUserMessagesMaster();
         try {
-            const { messageId, fromUserId, toUserId, groupId } = data;
+            const fromUserId = getSocketUserId(socket);
+            const { messageId, scope = "everyone" } = data || {};
 
-            if (!messageId || !fromUserId) {
+            if (!fromUserId) {
                 return socket.emit("delete_message_error", {
-                    error: "messageId and fromUserId are required."
+                    error: "Unauthenticated socket."
                 });
             }
 
-            const message = await messageModel.findByPk(messageId);
-            if (!message) {
+            if (!messageId) {
                 return socket.emit("delete_message_error", {
-                    error: "Message not found."
+                    error: "messageId is required."
                 });
             }
 
-            if (message.fromUserId !== fromUserId) {
+            const response = await configurationProvider.getConfig().deleteMessage?.({ userId: fromUserId, messageId, scope });
+            if (response?.status !== "success") {
                 return socket.emit("delete_message_error", {
-                    error: "Unauthorized to delete this message."
+                    messageId,
+                    ...(response?.code && { code: response.code }),
+                    error: response?.message || "Failed to delete message."
                 });
             }
 
-            // Delete files
-            const messageDir = path.join(baseDir, String(message.id));
-            try {
-                const files = await fileManager.getAllFiles(messageDir);
-                if (files.length > 0) {
-                    await fileManager.removeDir(messageDir);
-                    console.log(`🗑️ Files deleted for message ${message.id}`);
-                }
-            } catch (fileErr) {
-                console.warn(`⚠️ Could not delete files for message ${message.id}:`, fileErr.message);
-            }
-            // Mark message as deleted in DB
-            message.isDeleted = true;
-            await message.save();
-            // Delete from database
-            // await message.destroy({ where: { id: messageId } });
-
+            // Route by the stored conversation, not by client-supplied ids
+            const { toUserId, groupId } = response.data;
             const deletedMessage = {
-                messageId,
-                groupId: groupId || null,
-                toUserId: toUserId || null,
-                fromUserId,
-                deleted: true,
-                deletedAt: new Date(),
+                ...response.data,
+                deleted: true
             };
 
+            // Only the user's own devices drop a message deleted for them
+            if (scope === "me") {
+                io.to(`user_${fromUserId}`).emit("message_deleted", deletedMessage);
+                notifyChatListUpdate(io, [fromUserId], groupId);
+                console.log(`🙈 Message ${messageId} deleted for user ${fromUserId}`);
+                return;
+            }
+
             // Notify sender
             socket.emit("message_deleted", deletedMessage);
 
@@ -639,17 +548,14 @@ let userMessagesControllers = (socket, io) => {
 
                 // Notify group members to update chat lists
                 try {
-                    const members = await getGroupMembers(groupId);
+                    const members = await getGroupMembers({ groupId });
                     const memberIds = members.map(m => m.userId);
                     notifyChatListUpdate(io, memberIds, groupId);
                 } catch (error) {
                     console.warn(`⚠️ Could not fetch group members:`, error.message);
                 }
             } else if (toUserId) {
-                const recipient = onlineUsers.get(parseInt(toUserId));
-                if (recipient) {
-                    io.to(recipient.socketId).emit("message_deleted", deletedMessage);
-                }
+                io.to([`user_${toUserId}`, `user_${fromUserId}`]).except(socket.id).emit("message_deleted", deletedMessage);
                 // Notify both users to update chat lists
                 notifyChatListUpdate(io, [fromUserId, toUserId]);
             }
@@ -665,45 +571,34 @@ let userMessagesControllers = (socket, io) => {
     // ✏️ EDIT MESSAGE - With chat list updates
     // ======================================================================
     socket.on("handleEditMessage", async (data) => {
-        let messageModel = getUserMessagesMaster();
         try {
-            const { messageId, messageText, fromUserId, toUserId, groupId } = data;
+            const fromUserId = getSocketUserId(socket);
+            const { messageId, messageText } = data || {};
 
-            if (!messageText || !messageText.trim()) {
+            if (!fromUserId) {
                 return socket.emit("edit_message_error", {
-                    error: "Message text cannot be empty"
+                    error: "Unauthenticated socket"
                 });
             }
 
-            const message = await messageModel.findByPk(messageId);
-            if (!message) {
+            // Stores the previous text as a revision before overwriting it
+            const response = await configurationProvider.getConfig().editMessage?.({ userId: fromUserId, messageId, messageText });
+            if (response?.status !== "success") {
                 return socket.emit("edit_message_error", {
-                    error: "Message not found"
+                    messageId,
+                    error: response?.message || "Failed to edit message."
                 });
             }
 
-            if (message.fromUserId !== fromUserId) {
-                return socket.emit("edit_message_error", {
-                    error: "Unauthorized to edit this message"
-                });
-            }
-
-            if (message.messageType !== "text") {
-                return socket.emit("edit_message_error", {
-                    error: "Only text messages can be edited"
-                });
-            }
-
-            message.messageText = messageText.trim();
-            message.isEdited = true;
-            await message.save();
+            // Route by the stored conversation, not by client-supplied ids
+            const message = response.data;
+            const { toUserId, groupId } = message;
 
             const sender = await getUserInfo(fromUserId);
             const updatedMessage = {
-                ...message.toJSON(),
+                ...message,
                 edited: true,
-                senderName: sender ? sender.username : null,
-                editedAt: new Date()
+                senderName: sender ? sender.username : null
             };
 
             // Notify sender
@@ -715,17 +610,14 @@ let userMessagesControllers = (socket, io) => {
 
                 // Notify group members to update chat lists
                 try {
-                    const members = await getGroupMembers(groupId);
+                    const members = await getGroupMembers({ groupId });
                     const memberIds = members.map(m => m.userId);
                     notifyChatListUpdate(io, memberIds, groupId);
                 } catch (error) {
                     console.warn(`⚠️ Could not fetch group members:`, error.message);
                 }
             } else {
-                const recipient = onlineUsers.get(parseInt(toUserId));
-                if (recipient) {
-                    io.to(recipient.socketId).emit("message_edited", updatedMessage);
-                }
+                io.to([`user_${toUserId}`, `user_${fromUserId}`]).except(socket.id).emit("message_edited", updatedMessage);
                 // Notify both users to update chat lists
                 notifyChatListUpdate(io, [fromUserId, toUserId]);
             }
@@ -737,26 +629,146 @@ let userMessagesControllers = (socket, io) => {
         }
     });
 
+    // ======================================================================
+    // 👁️ MARK READ - Persist read marker and broadcast receipt
+    // ======================================================================
+    socket.on("mark_read", async (data) => {
+        try {
+            const userId = getSocketUserId(socket);
+            const { messageId } = data || {};
+
+            if (!userId || !messageId) {
+                return socket.emit("mark_read_error", {
+                    messageId,
+                    error: "messageId is required."
+                });
+            }
+
+            const response = await configurationProvider.getConfig().markMessagesRead?.({ userId, messageId });
+            if (response?.status !== "success") {
+                return socket.emit("mark_read_error", {
+                    messageId,
+                    error: response?.message || "Failed to mark message as read."
+                });
+            }
+
+            const receipt = {
+                ...response.data,
+                readBy: userId
+            };
+
+            // Other participants see the receipt; the reader's own devices clear their badge
+            if (receipt.groupId) {
+                io.to(`group_${receipt.groupId}`).emit("message_read", receipt);
+            } else {
+                io.to([`user_${receipt.peerUserId}`, `user_${userId}`]).emit("message_read", receipt);
+            }
+
+            console.log(`👁️ User ${userId} read up to message ${receipt.lastReadMessageId}`);
+        } catch (error) {
+            console.error("Mark read error:", error);
+            socket.emit("mark_read_error", { error: error.message });
+        }
+    });
+
+    // ======================================================================
+    // 😀 REACTIONS - Add / remove an emoji and broadcast the new counts
+    // ======================================================================
+    const handleReaction = (serviceName) => async (data) => {
+        try {
+            const userId = getSocketUserId(socket);
+            const { messageId, emoji } = data || {};
+
+            if (!userId || !messageId || !emoji) {
+                return socket.emit("reaction_error", {
+                    messageId,
+                    emoji,
+                    error: "messageId and emoji are required."
+                });
+            }
+
+            const response = await configurationProvider.getConfig()[serviceName]?.({ userId, messageId, emoji });
+            if (response?.status !== "success") {
+                return socket.emit("reaction_error", {
+                    messageId,
+                    emoji,
+                    error: response?.message || "Failed to update reaction."
+                });
+            }
+
+            const { groupId, fromUserId, toUserId, ...update } = response.data;
+            const payload = { ...update, groupId };
+
+            if (groupId) {
+                io.to(`group_${groupId}`).emit("message_reaction_updated", payload);
+            } else {
+                io.to([`user_${fromUserId}`, `user_${toUserId}`]).emit("message_reaction_updated", payload);
+            }
+
+            console.log(`😀 User ${userId} ${update.action} ${update.emoji} on message ${update.messageId}`);
+        } catch (error) {
+            console.error("Reaction error:", error);
+            socket.emit("reaction_error", { error: error.message });
+        }
+    };
+
+    socket.on("add_reaction", handleReaction("addReaction"));
+    socket.on("remove_reaction", handleReaction("removeReaction"));
+
+    // ======================================================================
+    // 🔄 SYNC MESSAGES - Catch up after a reconnect
+    // ======================================================================
+    socket.on("sync_messages", async (data) => {
+        try {
+            const userId = getSocketUserId(socket);
+            const { since, cursor, limit } = data || {};
+
+            if (!userId) {
+                return socket.emit("sync_messages_error", { error: "Unauthenticated socket." });
+            }
+
+            const response = await configurationProvider.getConfig().syncMessages?.({ userId, since, cursor, limit });
+            if (response?.status !== "success") {
+                return socket.emit("sync_messages_error", {
+                    error: response?.message || "Failed to sync messages."
+                });
+            }
+
+            socket.emit("sync_messages_result", response.data);
+            console.log(`🔄 User ${userId} synced ${response.data.changes.length} change(s)`);
+        } catch (error) {
+            console.error("Sync messages error:", error);
+            socket.emit("sync_messages_error", { error: error.message });
+        }
+    });
+
     // ======================================================================
     // 👥 JOIN GROUP ROOM
     // ======================================================================
-    socket.on("join_group", (data) => {
+    socket.on("join_group", async (data) => {
         try {
-            const { userId, groupId } = data;
+            const userId = getSocketUserId(socket);
+            const { groupId } = data;
 
             if (!userId || !groupId) {
                 console.warn("⚠️ Invalid join_group data:", data);
                 return;
             }
 
+            if (!(await isGroupMember(groupId, userId))) {
+                console.warn(`⛔ User ${userId} tried to join group ${groupId} without membership`);
+                socket.emit("message_error", {
+                    groupId,
+                    error: "You are not a member of this group."
+                });
+                return;
+            }
+
             const roomName = `group_${groupId}`;
             socket.join(roomName);
 
             // Track user's rooms
-            if (!userRooms.has(userId)) {
-                userRooms.set(userId, new Set());
-            }
-            userRooms.get(userId).add(roomName);
+            await getPresenceStore().addRoom(userId, roomName);
 
             console.log(`👥 User ${userId} joined group room ${groupId}`);
 
@@ -775,9 +787,10 @@ let userMessagesControllers = (socket, io) => {
     // ======================================================================
     // 👋 LEAVE GROUP ROOM
     // ======================================================================
-    socket.on("leave_group", (data) => {
+    socket.on("leave_group", async (data) => {
         try {
-            const { userId, groupId } = data;
+            const userId = getSocketUserId(socket);
+            const { groupId } = data;
 
             if (!userId || !groupId) {
                 console.warn("⚠️ Invalid leave_group data:", data);
@@ -788,9 +801,7 @@ let userMessagesControllers = (socket, io) => {
             socket.leave(roomName);
 
             // Remove from user's rooms
-            if (userRooms.has(userId)) {
-                userRooms.get(userId).delete(roomName);
-            }
+            await getPresenceStore().removeRoom(userId, roomName);
 
             console.log(`👋 User ${userId} left group room ${groupId}`);
 
@@ -802,49 +813,50 @@ let userMessagesControllers = (socket, io) => {
     // ======================================================================
     // 🛑 DISCONNECT - Enhanced with comprehensive cleanup
     // ======================================================================
-    socket.on("disconnect", (reason) => {
+    socket.on("disconnect", async (reason) => {
         console.log(`🔴 Socket disconnected: ${socket.id} (${reason})`);
 
-        // Find user by socket ID
-        const userId = userSocketMap.get(socket.id);
+        try {
+            // Clean up socket data; the user stays online while other devices remain
+            const removed = await getPresenceStore().removeSocket(socket.id);
+            if (!removed) return;
 
-        if (userId) {
+            const { userId, remaining } = removed;
             const lastSeen = new Date();
 
-            // Clean up user data
-            cleanupUser(userId, socket.id);
+            if (remaining > 0) {
+                await broadcastOnlineUsers(io);
+                console.log(`📴 User ${userId} closed a session (${remaining} still open)`);
+                return;
+            }
 
             // Broadcast status change
             broadcastUserStatus(io, userId, "offline", lastSeen);
 
             // Broadcast updated online users list
-            broadcastOnlineUsers(io);
+            await broadcastOnlineUsers(io);
 
             console.log(`👋 User ${userId} went offline (last seen: ${lastSeen.toISOString()})`);
+        } catch (error) {
+            console.error("Disconnect cleanup error:", error);
         }
     });
 
     // ======================================================================
-    // 🔌 FORCE DISCONNECT - Handle multiple device connections
+    // 🔌 FORCE DISCONNECT - Explicit opt-in to drop the user's other devices
     // ======================================================================
-    socket.on("disconnect_other_sessions", (data) => {
+    socket.on("disconnect_other_sessions", () => {
         try {
-            const { userId } = data;
+            const userId = getSocketUserId(socket);
 
             if (!userId) return;
 
-            // Find and disconnect all other sessions for this user
-            for (const [uid, userData] of onlineUsers.entries()) {
-                if (uid === userId && userData.socketId !== socket.id) {
-                    const oldSocket = io.sockets.sockets.get(userData.socketId);
-                    if (oldSocket) {
-                        oldSocket.emit("force_disconnect", {
-                            reason: "Connected from another location"
-                        });
-                        oldSocket.disconnect(true);
-                    }
-                }
-            }
+            // Disconnect all other sessions for this user, on every node
+            const otherSessions = io.to(`user_${userId}`).except(socket.id);
+            otherSessions.emit("force_disconnect", {
+                reason: "Connected from another location"
+            });
+            otherSessions.disconnectSockets(true);
         } catch (error) {
             console.error("Disconnect other sessions error:", error);
         }
@@ -852,5 +864,6 @@ let userMessagesControllers = (socket, io) => {
 };
 
 module.exports = {
-    userMessagesControllers
+    userMessagesControllers,
+    socketAuthMiddleware
 };
\ No newline at end of file
@@ -0,0 +1,85 @@
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const { fileManager } = require("../utils/filemanager");
+
+/**
+ * Local Disk Storage Driver (default)
+ *
+ * Stores objects as files below a root directory (fileManager.fileLocation,
+ * i.e. ./public/uploads, unless `root` is given). Every storage driver exposes
+ * the same async interface; keys are "/"-separated paths:
+ *
+ *   put(key, data)             -> write a Buffer, string or readable stream
+ *   get(key)                   -> Buffer
+ *   stream(key, { start, end}) -> readable (optional inclusive byte range)
+ *   stat(key)                  -> { size } | null
+ *   delete(key)                -> removes the object; missing keys are ignored
+ *   list(prefix)               -> [{ key, size }] of every object below prefix
+ *
+ * get / stream reject with an error whose statusCode is 404 for missing keys.
+ */
+class LocalStorageDriver {
+    constructor({ root = null } = {}) {
+        // Without a root, follow fileManager.fileLocation (configurable at runtime)
+        this.files = root
+            ? Object.assign(Object.create(fileManager), { fileLocation: path.resolve(root) })
+            : fileManager;
+    }
+
+    _notFound(key) {
+        const error = new Error(`Object not found: ${key}`);
+        error.statusCode = 404;
+        return error;
+    }
+
+    async put(key, data) {
+        if (data && typeof data.pipe === "function") {
+            const output = await this.files.createWriteStream(key);
+            await pipeline(data, output);
+            return;
+        }
+        await this.files.addFiles({ data, location: key });
+    }
+
+    async get(key) {
+        if (!(await this.stat(key))) throw this._notFound(key);
+        return await this.files.readFileToBase64(key, null);
+    }
+
+    async stream(key, range = {}) {
+        if (!(await this.stat(key))) throw this._notFound(key);
+        return this.files.createReadStream(key, range);
+    }
+
+    async stat(key) {
+        const stat = await this.files.stat(key);
+        return stat && stat.isFile() ? { size: stat.size } : null;
+    }
+
+    async delete(key) {
+        await this.files.removeFile(key).catch(error => {
+            if (error.code !== "ENOENT") throw error;
+        });
+    }
+
+    async list(prefix = "") {
+        const baseDir = prefix.endsWith("/") || prefix === "" ? prefix : path.posix.dirname(prefix);
+        const objects = [];
+
+        const walk = async dir => {
+            for (const entry of await this.files.listEntries(dir)) {
+                const key = dir ? `${dir.replace(/\/$/, "")}/${entry.name}` : entry.name;
+                if (entry.isDirectory) {
+                    await walk(key);
+                } else if (key.startsWith(prefix)) {
+                    objects.push({ key, size: entry.size });
+                }
+            }
+        };
+
+        await walk(baseDir === "." ? "" : baseDir);
+        return objects;
+    }
+}
+
+module.exports = { LocalStorageDriver };
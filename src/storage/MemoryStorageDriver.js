@@ -0,0 +1,55 @@
+const { Readable } = require("stream");
+
+/**
+ * In-memory Storage Driver
+ *
+ * Keeps objects in a Map for the lifetime of the process - meant for tests
+ * and local experiments. Implements the same interface as LocalStorageDriver.
+ */
+class MemoryStorageDriver {
+    constructor() {
+        this.objects = new Map(); // key -> Buffer
+    }
+
+    _notFound(key) {
+        const error = new Error(`Object not found: ${key}`);
+        error.statusCode = 404;
+        return error;
+    }
+
+    async put(key, data) {
+        if (data && typeof data.pipe === "function") {
+            const chunks = [];
+            for await (const chunk of data) chunks.push(Buffer.from(chunk));
+            this.objects.set(key, Buffer.concat(chunks));
+            return;
+        }
+        this.objects.set(key, Buffer.from(data));
+    }
+
+    async get(key) {
+        if (!this.objects.has(key)) throw this._notFound(key);
+        return Buffer.from(this.objects.get(key));
+    }
+
+    async stream(key, { start, end } = {}) {
+        const data = await this.get(key);
+        return Readable.from([data.subarray(start ?? 0, end === undefined ? data.length : end + 1)]);
+    }
+
+    async stat(key) {
+        return this.objects.has(key) ? { size: this.objects.get(key).length } : null;
+    }
+
+    async delete(key) {
+        this.objects.delete(key);
+    }
+
+    async list(prefix = "") {
+        return Array.from(this.objects.entries())
+            .filter(([key]) => key.startsWith(prefix))
+            .map(([key, data]) => ({ key, size: data.length }));
+    }
+}
+
+module.exports = { MemoryStorageDriver };
@@ -0,0 +1,231 @@
+const http = require("http");
+const https = require("https");
+const crypto = require("crypto");
+
+/**
+ * S3-compatible Storage Driver
+ *
+ * Talks to AWS S3, MinIO, Ceph RGW, R2, ... over the S3 REST API with
+ * Signature V4 - no SDK required. Implements the same interface as
+ * LocalStorageDriver, so objects survive container restarts and are shared
+ * by every instance.
+ *
+ *   new S3StorageDriver({
+ *       endpoint: "http://minio:9000",   // or "https://s3.eu-west-1.amazonaws.com"
+ *       bucket: "chat-attachments",
+ *       region: "us-east-1",
+ *       accessKeyId, secretAccessKey,
+ *       prefix: "uploads/"               // optional key prefix inside the bucket
+ *   })
+ *
+ * Requests use path-style addressing (<endpoint>/<bucket>/<key>). Streams
+ * passed to put() are buffered before upload because S3 needs the length
+ * and payload hash up front; upload limits keep them small.
+ */
+const EMPTY_SHA256 = crypto.createHash("sha256").update("").digest("hex");
+
+function sha256Hex(data) {
+    return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+function hmac(key, data) {
+    return crypto.createHmac("sha256", key).update(data).digest();
+}
+
+// RFC 3986 encoding as required by SigV4
+function encodeRfc3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Compute the SigV4 Authorization header for one request.
+ * headers must already contain host, x-amz-date and x-amz-content-sha256;
+ * every header passed in is signed.
+ */
+function signRequest({ method, path, query = {}, headers, region, accessKeyId, secretAccessKey, service = "s3" }) {
+    const amzDate = headers["x-amz-date"];
+    const date = amzDate.slice(0, 8);
+
+    const canonicalPath = path.split("/").map(encodeRfc3986).join("/");
+    const canonicalQuery = Object.keys(query).sort()
+        .map(key => `${encodeRfc3986(key)}=${encodeRfc3986(String(query[key]))}`)
+        .join("&");
+
+    const names = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const lowered = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    const canonicalHeaders = names.map(name => `${name}:${String(lowered[name]).trim()}\n`).join("");
+    const signedHeaders = names.join(";");
+
+    const canonicalRequest = [
+        method,
+        canonicalPath,
+        canonicalQuery,
+        canonicalHeaders,
+        signedHeaders,
+        lowered["x-amz-content-sha256"]
+    ].join("\n");
+
+    const scope = `${date}/${region}/${service}/aws4_request`;
+    const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256Hex(canonicalRequest)].join("\n");
+
+    const dateKey = hmac(`AWS4${secretAccessKey}`, date);
+    const signingKey = hmac(hmac(hmac(dateKey, region), service), "aws4_request");
+    const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+
+    return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+}
+
+function decodeXml(value) {
+    return value
+        .replace(/&lt;/g, "<").replace(/&gt;/g, ">")
+        .replace(/&quot;/g, "\"").replace(/&apos;/g, "'")
+        .replace(/&amp;/g, "&");
+}
+
+class S3StorageDriver {
+    constructor({ endpoint, bucket, region = "us-east-1", accessKeyId, secretAccessKey, prefix = "" } = {}) {
+        if (!endpoint || !bucket) {
+            throw new Error("S3StorageDriver requires an endpoint and a bucket");
+        }
+        if (!accessKeyId || !secretAccessKey) {
+            throw new Error("S3StorageDriver requires accessKeyId and secretAccessKey");
+        }
+        this.endpoint = new URL(endpoint);
+        this.bucket = bucket;
+        this.region = region;
+        this.accessKeyId = accessKeyId;
+        this.secretAccessKey = secretAccessKey;
+        this.prefix = prefix;
+    }
+
+    _objectPath(key) {
+        const base = this.endpoint.pathname.replace(/\/$/, "");
+        return `${base}/${this.bucket}/${this.prefix}${key}`;
+    }
+
+    _error(response, body, key) {
+        const error = new Error(response.statusCode === 404
+            ? `Object not found: ${key}`
+            : `S3 request failed with ${response.statusCode}: ${body.toString().slice(0, 200)}`);
+        error.statusCode = response.statusCode;
+        return error;
+    }
+
+    /**
+     * Send one signed request. Resolves the raw response (body unread) so
+     * callers can stream it.
+     */
+    _request({ method, path, query = {}, headers = {}, body = null }) {
+        const payload = body ? Buffer.from(body) : null;
+        const signed = {
+            ...headers,
+            host: this.endpoint.host,
+            "x-amz-date": new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, ""),
+            "x-amz-content-sha256": payload ? sha256Hex(payload) : EMPTY_SHA256
+        };
+        if (payload) signed["content-length"] = payload.length;
+
+        signed.authorization = signRequest({
+            method,
+            path,
+            query,
+            headers: signed,
+            region: this.region,
+            accessKeyId: this.accessKeyId,
+            secretAccessKey: this.secretAccessKey
+        });
+
+        const search = new URLSearchParams(query).toString();
+        const transport = this.endpoint.protocol === "https:" ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const request = transport.request({
+                protocol: this.endpoint.protocol,
+                hostname: this.endpoint.hostname,
+                port: this.endpoint.port,
+                method,
+                path: path.split("/").map(encodeRfc3986).join("/") + (search ? `?${search}` : ""),
+                headers: signed
+            }, resolve);
+            request.on("error", reject);
+            request.end(payload || undefined);
+        });
+    }
+
+    async _readBody(response) {
+        const chunks = [];
+        for await (const chunk of response) chunks.push(chunk);
+        return Buffer.concat(chunks);
+    }
+
+    async put(key, data) {
+        let body = data;
+        if (data && typeof data.pipe === "function") {
+            body = await this._readBody(data);
+        }
+        const response = await this._request({ method: "PUT", path: this._objectPath(key), body: Buffer.from(body) });
+        const responseBody = await this._readBody(response);
+        if (response.statusCode >= 300) throw this._error(response, responseBody, key);
+    }
+
+    async get(key) {
+        const response = await this._request({ method: "GET", path: this._objectPath(key) });
+        const body = await this._readBody(response);
+        if (response.statusCode >= 300) throw this._error(response, body, key);
+        return body;
+    }
+
+    async stream(key, { start, end } = {}) {
+        const headers = {};
+        if (start !== undefined) headers.range = `bytes=${start}-${end ?? ""}`;
+
+        const response = await this._request({ method: "GET", path: this._objectPath(key), headers });
+        if (response.statusCode >= 300) {
+            throw this._error(response, await this._readBody(response), key);
+        }
+        return response;
+    }
+
+    async stat(key) {
+        const response = await this._request({ method: "HEAD", path: this._objectPath(key) });
+        response.resume();
+        if (response.statusCode === 404) return null;
+        if (response.statusCode >= 300) throw this._error(response, Buffer.alloc(0), key);
+        return { size: Number(response.headers["content-length"] || 0) };
+    }
+
+    async delete(key) {
+        const response = await this._request({ method: "DELETE", path: this._objectPath(key) });
+        const body = await this._readBody(response);
+        if (response.statusCode >= 300 && response.statusCode !== 404) throw this._error(response, body, key);
+    }
+
+    async list(prefix = "") {
+        const base = this.endpoint.pathname.replace(/\/$/, "");
+        const objects = [];
+        let continuationToken = null;
+
+        do {
+            const query = { "list-type": "2", prefix: `${this.prefix}${prefix}` };
+            if (continuationToken) query["continuation-token"] = continuationToken;
+
+            const response = await this._request({ method: "GET", path: `${base}/${this.bucket}`, query });
+            const body = (await this._readBody(response)).toString();
+            if (response.statusCode >= 300) throw this._error(response, Buffer.from(body), prefix);
+
+            for (const [, content] of body.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+                const key = decodeXml(/<Key>([\s\S]*?)<\/Key>/.exec(content)[1]);
+                const size = Number((/<Size>(\d+)<\/Size>/.exec(content) || [])[1] || 0);
+                objects.push({ key: key.slice(this.prefix.length), size });
+            }
+
+            const truncated = /<IsTruncated>true<\/IsTruncated>/.test(body);
+            const next = /<NextContinuationToken>([\s\S]*?)<\/NextContinuationToken>/.exec(body);
+            continuationToken = truncated && next ? decodeXml(next[1]) : null;
+        } while (continuationToken);
+
+        return objects;
+    }
+}
+
+module.exports = { S3StorageDriver, signRequest };
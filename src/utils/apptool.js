@@ -25,8 +25,63 @@ const ALLOWED_MIME_TYPES = [
     "image/webp",
     "image/gif"
 ];
+const MIME_TYPES_BY_EXTENSION = {
+    ".pdf": "application/pdf",
+    ".doc": "application/msword",
+    ".docx": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    ".xls": "application/vnd.ms-excel",
+    ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    ".txt": "text/plain",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".png": "image/png",
+    ".webp": "image/webp",
+    ".gif": "image/gif"
+};
+// Default attachment limits
+const ATTACHMENT_LIMITS = {
+    maxFileSize: 10 * 1024 * 1024, // 10 MB per file
+    maxMessageSize: 50 * 1024 * 1024, // 50 MB per message
+    maxFiles: 10 // Maximum files per message
+};
+// Default upload policy - override any field through Service.init({ uploadPolicy })
+const DEFAULT_UPLOAD_POLICY = {
+    ...ATTACHMENT_LIMITS,
+    allowedMimeTypes: ALLOWED_MIME_TYPES,
+    dailyQuotaBytes: null, // bytes a user may upload per UTC day, null = unlimited
+    pendingUploadTtlSeconds: 24 * 60 * 60 // uploads never sent with a message are deleted after this, null = keep
+};
+// Default message policy - override any field through Service.init({ messagePolicy })
+const DEFAULT_MESSAGE_POLICY = {
+    deleteForEveryoneSeconds: 24 * 60 * 60 // senders may delete for everyone this long after sending, null = always
+};
+// Text shown in place of a message deleted for everyone, from the viewer's side
+function deletedMessageText(message, viewerId) {
+    return Number(message?.fromUserId) === Number(viewerId)
+        ? "You deleted this message."
+        : "This message was deleted.";
+}
+// Search snippets: matches are wrapped in these markers by the query, then the
+// text is HTML-escaped and the markers become <mark> tags
+const HIGHLIGHT_START = "\u0002";
+const HIGHLIGHT_END = "\u0003";
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" };
+function highlightSnippet(text) {
+    return String(text || "")
+        .replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+        .split(HIGHLIGHT_START).join("<mark>")
+        .split(HIGHLIGHT_END).join("</mark>");
+}
 module.exports = {
     getAllDirectories,
     removeDirectories,
-    ALLOWED_MIME_TYPES
+    ALLOWED_MIME_TYPES,
+    MIME_TYPES_BY_EXTENSION,
+    ATTACHMENT_LIMITS,
+    DEFAULT_UPLOAD_POLICY,
+    DEFAULT_MESSAGE_POLICY,
+    deletedMessageText,
+    HIGHLIGHT_START,
+    HIGHLIGHT_END,
+    highlightSnippet
 };
\ No newline at end of file
@@ -0,0 +1,546 @@
+// attachments.js
+const path = require("path");
+const crypto = require("crypto");
+const { PassThrough } = require("stream");
+const { Op } = require("sequelize");
+const { SNIFF_BYTES, detectMimeType, checkFileType } = require("./filetype");
+const { canThumbnail, createThumbnail } = require("./thumbnails");
+
+/**
+ * Attachments are rows of the messageattachments table; the files themselves
+ * live in the configured storage driver (see src/storage) at `storageKey`:
+ *
+ *   messagesdocs/files/<uuid>         one file per attachment, never renamed
+ *   messagesdocs/thumbnails/<uuid>    webp thumbnail of an image attachment
+ *
+ * An upload is "pending" while messageId is null; sending it with a message
+ * only sets messageId. Pending uploads expire after pendingUploadTtlSeconds. Older messages kept their files directly in
+ * messagesdocs/<messageId>/ - importLegacyAttachments() records those once.
+ */
+const DOCS_DIR = "messagesdocs";
+const FILES_DIR = `${DOCS_DIR}/files`;
+const THUMBNAILS_DIR = `${DOCS_DIR}/thumbnails`;
+
+// Required lazily: ChatService imports this module
+function getConfig() {
+    return require("../services/ChatService").configurationProvider.getConfig();
+}
+
+function getAttachmentModel() {
+    return getConfig().models?.Attachment;
+}
+
+function getStorage() {
+    return getConfig().storage;
+}
+
+function getUploadPolicy() {
+    return getConfig().uploadPolicy;
+}
+
+function safeFileName(fileName) {
+    const base = path.basename(String(fileName || "file")).replace(/[\u0000-\u001f\\/]/g, "_");
+    return base && base !== "." && base !== ".." ? base : "file";
+}
+
+function toAttachmentId(value) {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Public metadata of an attachment row. Images add their dimensions;
+ * hasThumbnail tells clients to load the thumbnail route instead of the file.
+ */
+function toMetadata(row) {
+    return {
+        id: row.id,
+        name: row.originalName,
+        size: Number(row.size),
+        type: row.mimeType,
+        ...(row.width && { width: row.width, height: row.height }),
+        hasThumbnail: Boolean(row.thumbnailKey)
+    };
+}
+
+/**
+ * Store a thumbnail next to an image upload (best effort).
+ * Returns { thumbnailKey, width, height } for the attachment row
+ */
+async function storeThumbnail(storage, storageKey, mimeType) {
+    if (!canThumbnail(mimeType)) return {};
+
+    try {
+        const thumbnail = await createThumbnail(await storage.get(storageKey));
+        if (!thumbnail) return {};
+
+        const thumbnailKey = `${THUMBNAILS_DIR}/${path.posix.basename(storageKey)}`;
+        await storage.put(thumbnailKey, thumbnail.data);
+        return { thumbnailKey, width: thumbnail.originalWidth, height: thumbnail.originalHeight };
+    } catch (error) {
+        console.warn(`⚠️ Could not store thumbnail for ${storageKey}:`, error.message);
+        return {};
+    }
+}
+
+/**
+ * Upload policy error codes and the HTTP status REST callers answer with.
+ * Socket callers forward the code in message_error { code, error }.
+ */
+const UPLOAD_ERROR_STATUS = {
+    ATTACHMENT_NOT_FOUND: 404,
+    FILE_TOO_LARGE: 413,
+    MESSAGE_TOO_LARGE: 413,
+    TOO_MANY_FILES: 413,
+    FILE_TYPE_NOT_ALLOWED: 415,
+    FILE_TYPE_MISMATCH: 415,
+    DAILY_QUOTA_EXCEEDED: 429
+};
+
+/**
+ * Create an error carrying a machine-readable code and the matching HTTP status
+ */
+function uploadError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = UPLOAD_ERROR_STATUS[code] || 400;
+    return error;
+}
+
+function formatMegabytes(bytes) {
+    return `${Math.round((bytes / (1024 * 1024)) * 10) / 10}MB`;
+}
+
+function getUsageModel() {
+    return getConfig().models?.UploadUsage;
+}
+
+// Quota days run from 00:00 UTC
+function quotaDay() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+function quotaExceeded(policy) {
+    return uploadError(
+        "DAILY_QUOTA_EXCEEDED",
+        `Daily upload quota of ${formatMegabytes(policy.dailyQuotaBytes)} exceeded.`
+    );
+}
+
+/**
+ * Bytes a user uploaded today, including reservations of uploads in progress.
+ * Counted in uploadusages, so deleted attachments still count.
+ */
+async function uploadedBytesToday(userId) {
+    const usage = await getUsageModel().findOne({
+        where: { userId: Number(userId), day: quotaDay() }
+    });
+    return Number(usage?.bytes) || 0;
+}
+
+/**
+ * Throw DAILY_QUOTA_EXCEEDED when `additionalBytes` would push the user over
+ * policy.dailyQuotaBytes. No-op without a quota.
+ */
+async function checkDailyQuota(userId, additionalBytes = 0, policy = getUploadPolicy()) {
+    if (!policy.dailyQuotaBytes) return;
+    const used = await uploadedBytesToday(userId);
+    const exceeded = additionalBytes > 0
+        ? used + additionalBytes > policy.dailyQuotaBytes
+        : used >= policy.dailyQuotaBytes;
+    if (exceeded) throw quotaExceeded(policy);
+}
+
+/**
+ * Reserve up to `bytes` of today's quota before a file is stored, capped at
+ * what is left (uncapped without a quota). The counter is only moved from the
+ * value just read, so concurrent uploads cannot all take the same remaining bytes.
+ * Returns { day, bytes }; give the unused part back with releaseDailyQuota()
+ */
+async function reserveDailyQuota(userId, bytes, policy) {
+    const UploadUsage = getUsageModel();
+    const where = { userId: Number(userId), day: quotaDay() };
+    // Not findOrCreate: its transaction fails under concurrent uploads on SQLite
+    const usage = await UploadUsage.findOne({ where }) ||
+        await UploadUsage.create({ ...where, bytes: 0 }).catch(error => {
+            if (error.name !== "SequelizeUniqueConstraintError") throw error;
+            return UploadUsage.findOne({ where });
+        });
+    const limit = policy.dailyQuotaBytes || Infinity;
+
+    let used = Number(usage.bytes) || 0;
+    for (;;) {
+        const reserved = Math.min(bytes, limit - used);
+        if (reserved <= 0) throw quotaExceeded(policy);
+
+        const [updated] = await UploadUsage.update(
+            { bytes: used + reserved },
+            { where: { ...where, bytes: used } }
+        );
+        if (updated > 0) return { day: where.day, bytes: reserved };
+
+        // Another upload moved the counter first - retry from its value
+        used = Number((await UploadUsage.findOne({ where }))?.bytes) || 0;
+    }
+}
+
+/**
+ * Give back reserved bytes an upload did not store (best effort)
+ */
+async function releaseDailyQuota(userId, reservation, bytes) {
+    if (bytes <= 0) return;
+    await getUsageModel().decrement("bytes", {
+        by: bytes,
+        where: { userId: Number(userId), day: reservation.day }
+    }).catch(error => console.warn("⚠️ Could not release upload quota:", error.message));
+}
+
+/**
+ * Stream one uploaded file to storage and record it as a pending attachment.
+ * - stream: readable (busboy file stream); `truncated` is set when maxFileSize was hit
+ * - sizeHint: Content-Length of the request, an upper bound of the file size
+ * - policy: upload policy (defaults to the configured one)
+ * Returns { id, name, size, type }
+ */
+async function saveUpload({ userId, fileName, stream, sizeHint = null, policy = getUploadPolicy() }) {
+    const name = safeFileName(fileName);
+    const storageKey = `${FILES_DIR}/${crypto.randomUUID()}`;
+    const storage = getStorage();
+
+    // Quota is taken before anything is stored; the unused part is given back below.
+    // Usage is counted without a quota too, so enabling one later counts today's uploads.
+    const hint = Number(sizeHint);
+    const expected = Number.isInteger(hint) && hint > 0 ? Math.min(hint, policy.maxFileSize) : policy.maxFileSize;
+    const reservation = await reserveDailyQuota(userId, expected, policy);
+
+    const hash = crypto.createHash("sha256");
+    const headChunks = [];
+    let headSize = 0;
+    let size = 0;
+    let image = {};
+
+    const body = new PassThrough();
+    stream.on("data", chunk => {
+        size += chunk.length;
+        hash.update(chunk);
+        if (headSize < SNIFF_BYTES) {
+            headChunks.push(chunk);
+            headSize += chunk.length;
+        }
+    });
+    stream.on("error", error => body.destroy(error));
+    stream.pipe(body);
+
+    try {
+        // A failed or aborted write may leave a partial object behind; the catch removes it
+        await storage.put(storageKey, body);
+
+        if (stream.truncated || size > policy.maxFileSize) {
+            throw uploadError("FILE_TOO_LARGE", `File "${name}" exceeds ${formatMegabytes(policy.maxFileSize)} size limit.`);
+        }
+
+        // Type comes from the content, never from the client-sent type or extension
+        const mimeType = detectMimeType(Buffer.concat(headChunks).subarray(0, SNIFF_BYTES), name);
+        const rejection = checkFileType({ fileName: name, mimeType, allowedMimeTypes: policy.allowedMimeTypes });
+        if (rejection) {
+            throw uploadError(rejection.code, rejection.message);
+        }
+
+        if (size > reservation.bytes) throw quotaExceeded(policy);
+
+        image = await storeThumbnail(storage, storageKey, mimeType);
+
+        const row = await getAttachmentModel().create({
+            messageId: null,
+            uploadedBy: Number(userId),
+            originalName: name,
+            mimeType,
+            size,
+            checksum: hash.digest("hex"),
+            storageKey,
+            ...image
+        });
+        await releaseDailyQuota(userId, reservation, reservation.bytes - size);
+        return toMetadata(row);
+    } catch (error) {
+        await releaseDailyQuota(userId, reservation, reservation.bytes);
+        await storage.delete(storageKey).catch(() => null);
+        if (image.thumbnailKey) await storage.delete(image.thumbnailKey).catch(() => null);
+        throw error;
+    }
+}
+
+/**
+ * Metadata of a pending upload owned by userId, null when missing
+ */
+async function getPendingUpload(userId, attachmentId) {
+    const id = toAttachmentId(attachmentId);
+    if (!id) return null;
+    const row = await getAttachmentModel().findOne({
+        where: { id, uploadedBy: Number(userId), messageId: null }
+    });
+    return row ? toMetadata(row) : null;
+}
+
+/**
+ * Check the pending uploads referenced by a message against the policy
+ * (count, per-file size, total size, allowed types). The policy may have
+ * changed since the upload, so everything is re-checked at send time.
+ * Returns upload metadata in the order of attachmentIds, throws uploadError
+ */
+async function checkMessageAttachments(userId, attachmentIds, policy = getUploadPolicy()) {
+    if (attachmentIds.length > policy.maxFiles) {
+        throw uploadError("TOO_MANY_FILES", `Too many files. Maximum ${policy.maxFiles} files allowed.`);
+    }
+
+    const uploads = [];
+    let totalSize = 0;
+    for (const attachmentId of attachmentIds) {
+        const upload = await getPendingUpload(userId, attachmentId);
+        if (!upload) {
+            throw uploadError("ATTACHMENT_NOT_FOUND", `Attachment ${attachmentId} not found or already sent.`);
+        }
+        if (!policy.allowedMimeTypes.includes(upload.type)) {
+            throw uploadError("FILE_TYPE_NOT_ALLOWED", `File "${upload.name}" has type ${upload.type}, which is not allowed.`);
+        }
+        if (upload.size > policy.maxFileSize) {
+            throw uploadError("FILE_TOO_LARGE", `File "${upload.name}" exceeds ${formatMegabytes(policy.maxFileSize)} size limit.`);
+        }
+        totalSize += upload.size;
+        uploads.push(upload);
+    }
+
+    if (totalSize > policy.maxMessageSize) {
+        throw uploadError("MESSAGE_TOO_LARGE", `Total files size exceeds ${formatMegabytes(policy.maxMessageSize)} limit.`);
+    }
+
+    return uploads;
+}
+
+/**
+ * Link pending uploads of userId to a message, all or none.
+ * The rows are locked, so a concurrent send of the same uploads waits and
+ * then finds them taken. Returns attachment metadata in the order of attachmentIds
+ */
+async function attachToMessage({ userId, attachmentIds, messageId }) {
+    const Attachment = getAttachmentModel();
+    const ids = attachmentIds.map(toAttachmentId);
+    const transaction = await Attachment.sequelize.transaction();
+
+    try {
+        const rows = await Attachment.findAll({
+            where: { id: ids.filter(Boolean), uploadedBy: Number(userId), messageId: null },
+            lock: transaction.LOCK.UPDATE,
+            transaction
+        });
+        const byId = new Map(rows.map(row => [row.id, row]));
+
+        const missing = attachmentIds.find((attachmentId, index) => !byId.has(ids[index]));
+        if (missing !== undefined) {
+            throw uploadError("ATTACHMENT_NOT_FOUND", `Attachment ${missing} not found.`);
+        }
+
+        // Dialects without row locks (SQLite) still must not link a file twice
+        const [linked] = await Attachment.update(
+            { messageId },
+            { where: { id: rows.map(row => row.id), messageId: null }, transaction }
+        );
+        if (linked !== rows.length) {
+            throw uploadError("ATTACHMENT_NOT_FOUND", "Attachments were already sent with another message.");
+        }
+
+        await transaction.commit();
+        return ids.map(id => toMetadata(byId.get(id)));
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+}
+
+/**
+ * Delete stored files and rows; missing files are ignored
+ */
+async function destroyAttachments(rows) {
+    for (const row of rows) {
+        await getStorage().delete(row.storageKey).catch(() => null);
+        if (row.thumbnailKey) await getStorage().delete(row.thumbnailKey).catch(() => null);
+    }
+    if (rows.length > 0) {
+        await getAttachmentModel().destroy({ where: { id: rows.map(row => row.id) } });
+    }
+}
+
+/**
+ * Discard pending uploads (e.g. a failed multi-file upload)
+ */
+async function discardUploads(userId, attachmentIds) {
+    const ids = attachmentIds.map(toAttachmentId).filter(Boolean);
+    if (ids.length === 0) return;
+    const rows = await getAttachmentModel().findAll({
+        where: { id: ids, uploadedBy: Number(userId), messageId: null }
+    });
+    await destroyAttachments(rows);
+}
+
+/**
+ * Delete pending uploads older than maxAgeSeconds, i.e. files that were
+ * never sent with a message. Returns the number of uploads removed.
+ */
+async function expirePendingUploads(maxAgeSeconds) {
+    const Attachment = getAttachmentModel();
+    const rows = await Attachment.findAll({
+        where: { messageId: null, createdAt: { [Op.lt]: new Date(Date.now() - maxAgeSeconds * 1000) } }
+    });
+
+    let expired = 0;
+    for (const row of rows) {
+        // The row goes first: an upload sent with a message meanwhile is kept
+        if (await Attachment.destroy({ where: { id: row.id, messageId: null } }) === 0) continue;
+        await getStorage().delete(row.storageKey).catch(() => null);
+        if (row.thumbnailKey) await getStorage().delete(row.thumbnailKey).catch(() => null);
+        expired++;
+    }
+    return expired;
+}
+
+/**
+ * Attachment metadata of a message - no file contents are read
+ * Returns [{ id, name, size, type }]
+ */
+async function listMessageAttachments(messageId) {
+    const rows = await getAttachmentModel().findAll({
+        where: { messageId: Number(messageId) },
+        order: [["id", "ASC"]]
+    });
+    return rows.map(toMetadata);
+}
+
+/**
+ * Attachment metadata of several messages in one query
+ * Returns { [messageId]: [{ id, name, size, type }] }
+ */
+async function listAttachmentsByMessage(messageIds) {
+    const ids = [...new Set(messageIds.filter(Boolean).map(Number))];
+    if (ids.length === 0) return {};
+
+    const rows = await getAttachmentModel().findAll({
+        where: { messageId: { [Op.in]: ids } },
+        order: [["id", "ASC"]]
+    });
+
+    const map = {};
+    rows.forEach(row => {
+        (map[row.messageId] = map[row.messageId] || []).push(toMetadata(row));
+    });
+    return map;
+}
+
+/**
+ * Locate one attachment of a message
+ * Returns { location, thumbnailLocation, name, size, type, checksum } or null
+ */
+async function findAttachmentFile(messageId, attachmentId) {
+    const id = toAttachmentId(attachmentId);
+    if (!id) return null;
+
+    const row = await getAttachmentModel().findOne({
+        where: { id, messageId: Number(messageId) }
+    });
+    if (!row) return null;
+
+    return {
+        ...toMetadata(row),
+        location: row.storageKey,
+        thumbnailLocation: row.thumbnailKey || null,
+        checksum: row.checksum
+    };
+}
+
+/**
+ * Delete every attachment of a message
+ */
+async function removeMessageAttachments(messageId) {
+    const rows = await getAttachmentModel().findAll({
+        where: { messageId: Number(messageId) }
+    });
+    await destroyAttachments(rows);
+}
+
+// Legacy disk names look like "<name>_<timestamp>_<index>.<ext>"
+function legacyOriginalName(diskName) {
+    const match = /^(.*)_\d+_\d+(\.[^.]*)?$/.exec(diskName);
+    return match ? `${match[1]}${match[2] || ""}` : diskName;
+}
+
+// sha256 and sniffed type of a stored file
+async function inspectStoredFile(location, fileName) {
+    const hash = crypto.createHash("sha256");
+    let head = Buffer.alloc(0);
+    for await (const chunk of await getStorage().stream(location)) {
+        hash.update(chunk);
+        if (head.length < SNIFF_BYTES) head = Buffer.concat([head, chunk]).subarray(0, SNIFF_BYTES);
+    }
+    return { checksum: hash.digest("hex"), mimeType: detectMimeType(head, fileName) };
+}
+
+/**
+ * Record files of older messages (messagesdocs/<messageId>/<file>) in the
+ * attachments table. It lists the whole messagesdocs/ prefix and hashes every
+ * new file, so it is a one-off migration: Service.init runs it only with
+ * { importLegacyFiles: true }. Files already recorded are skipped, so an
+ * interrupted import can be run again. Returns the number of rows created.
+ */
+async function importLegacyAttachments({ messageModel }) {
+    const Attachment = getAttachmentModel();
+    const legacyFiles = (await getStorage().list(`${DOCS_DIR}/`))
+        .map(object => ({ ...object, match: /^messagesdocs\/(\d+)\/([^/]+)$/.exec(object.key) }))
+        .filter(object => object.match);
+    if (legacyFiles.length === 0) return 0;
+
+    const messages = await messageModel.findAll({
+        where: { id: [...new Set(legacyFiles.map(object => Number(object.match[1])))] },
+        attributes: ["id", "fromUserId"]
+    });
+    const senders = new Map(messages.map(message => [message.id, message.fromUserId]));
+    const recorded = new Set((await Attachment.findAll({
+        where: { storageKey: legacyFiles.map(object => object.key) },
+        attributes: ["storageKey"],
+        raw: true
+    })).map(row => row.storageKey));
+
+    let imported = 0;
+    for (const { key: storageKey, size, match } of legacyFiles) {
+        const messageId = Number(match[1]);
+        if (!senders.get(messageId) || recorded.has(storageKey)) continue;
+
+        const originalName = legacyOriginalName(match[2]);
+        const { checksum, mimeType } = await inspectStoredFile(storageKey, originalName);
+        await Attachment.create({
+            messageId,
+            uploadedBy: senders.get(messageId),
+            originalName,
+            mimeType,
+            size,
+            checksum,
+            storageKey
+        });
+        imported++;
+    }
+    return imported;
+}
+
+module.exports = {
+    uploadError,
+    checkDailyQuota,
+    checkMessageAttachments,
+    saveUpload,
+    getPendingUpload,
+    attachToMessage,
+    discardUploads,
+    expirePendingUploads,
+    listMessageAttachments,
+    listAttachmentsByMessage,
+    findAttachmentFile,
+    removeMessageAttachments,
+    importLegacyAttachments
+};
@@ -1,5 +1,6 @@
 // fileManager.js
 const fs = require("fs").promises;
+const { createReadStream, createWriteStream } = require("fs");
 const path = require("path");
 const { removeDirectories, getAllDirectories } = require("./apptool");
 
@@ -187,6 +188,55 @@ const fileManager = {
     async removeFile(filePath) {
         const target = this._resolveAndValidate(filePath);
         await fs.unlink(target);
+    },
+
+    /************ Streaming helpers ************/
+    /**
+     * Stat a file or directory, null when it does not exist.
+     */
+    async stat(targetPath) {
+        const resolved = this._resolveAndValidate(targetPath);
+        return await fs.stat(resolved).catch(() => null);
+    },
+
+    /**
+     * List entries of a directory without reading file contents.
+     * Returns array of { name, isDirectory, size }
+     */
+    async listEntries(dirPath = "") {
+        const dir = this._resolveAndValidate(dirPath);
+        const stat = await fs.stat(dir).catch(() => null);
+        if (!stat || !stat.isDirectory()) return [];
+
+        const entries = await fs.readdir(dir, { withFileTypes: true });
+        const results = [];
+        for (const entry of entries) {
+            const entryStat = await fs.stat(path.join(dir, entry.name));
+            results.push({
+                name: entry.name,
+                isDirectory: entry.isDirectory(),
+                size: entryStat.size
+            });
+        }
+        return results;
+    },
+
+    /**
+     * Open a write stream under fileLocation (parent dirs are created).
+     */
+    async createWriteStream(location) {
+        const resolved = this._resolveAndValidate(location);
+        await fs.mkdir(path.dirname(resolved), { recursive: true });
+        return createWriteStream(resolved);
+    },
+
+    /**
+     * Open a read stream under fileLocation.
+     * options: { start, end } byte range (inclusive) for partial reads
+     */
+    createReadStream(location, options = {}) {
+        const resolved = this._resolveAndValidate(location);
+        return createReadStream(resolved, options);
     }
 };
 
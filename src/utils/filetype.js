@@ -0,0 +1,113 @@
+// filetype.js
+const path = require("path");
+const { MIME_TYPES_BY_EXTENSION } = require("./apptool");
+
+/**
+ * Magic-byte file type detection.
+ *
+ * Only the first SNIFF_BYTES of a file are inspected; the client-sent
+ * Content-Type and the file extension are never trusted on their own.
+ */
+const SNIFF_BYTES = 8192;
+
+const OLE_TYPES = {
+    ".doc": "application/msword",
+    ".xls": "application/vnd.ms-excel"
+};
+
+function startsWith(head, bytes, offset = 0) {
+    if (head.length < offset + bytes.length) return false;
+    return bytes.every((byte, index) => head[offset + index] === byte);
+}
+
+function ascii(value) {
+    return Array.from(Buffer.from(value, "latin1"));
+}
+
+// Zip container: OOXML documents carry their part folders in the first entries
+function detectZip(head) {
+    const text = head.toString("latin1");
+    if (text.includes("word/")) return "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+    if (text.includes("xl/")) return "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+    return "application/zip";
+}
+
+function isPlainText(head) {
+    if (head.includes(0)) return false;
+    // A multi-byte character may be cut at the sniff boundary - drop it
+    let end = head.length;
+    for (let i = Math.max(head.length - 3, 0); i < head.length; i++) {
+        if (head[i] >= 0xc0) end = i;
+    }
+    return Buffer.from(head.subarray(0, end).toString("utf8"), "utf8").equals(head.subarray(0, end));
+}
+
+/**
+ * Detect the MIME type of a file from its first bytes.
+ * - head: Buffer with (up to) the first SNIFF_BYTES bytes
+ * - fileName: only used to tell legacy .doc/.xls apart (same container)
+ */
+function detectMimeType(head, fileName = "") {
+    if (!head || head.length === 0) return "application/octet-stream";
+
+    // Executables and scripts
+    if (startsWith(head, ascii("MZ"))) return "application/x-msdownload";
+    if (startsWith(head, [0x7f, 0x45, 0x4c, 0x46])) return "application/x-executable";
+    if ([[0xfe, 0xed, 0xfa, 0xce], [0xfe, 0xed, 0xfa, 0xcf], [0xce, 0xfa, 0xed, 0xfe], [0xcf, 0xfa, 0xed, 0xfe], [0xca, 0xfe, 0xba, 0xbe]]
+        .some(bytes => startsWith(head, bytes))) return "application/x-mach-binary";
+    if (startsWith(head, ascii("#!"))) return "text/x-shellscript";
+
+    // Documents and images
+    if (startsWith(head, ascii("%PDF-"))) return "application/pdf";
+    if (startsWith(head, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return "image/png";
+    if (startsWith(head, [0xff, 0xd8, 0xff])) return "image/jpeg";
+    if (startsWith(head, ascii("GIF87a")) || startsWith(head, ascii("GIF89a"))) return "image/gif";
+    if (startsWith(head, ascii("RIFF")) && startsWith(head, ascii("WEBP"), 8)) return "image/webp";
+    if (startsWith(head, [0x50, 0x4b, 0x03, 0x04])) return detectZip(head);
+    if (startsWith(head, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) {
+        return OLE_TYPES[path.extname(fileName).toLowerCase()] || "application/x-ole-storage";
+    }
+
+    if (isPlainText(head)) return "text/plain";
+    return "application/octet-stream";
+}
+
+/**
+ * Check sniffed content against the allow-list and the file extension.
+ * An extension must be one listed for the detected type, so text content
+ * cannot arrive as .html, .svg or .bat; files without an extension pass.
+ * Returns null when accepted, otherwise { code, message }:
+ *   FILE_TYPE_NOT_ALLOWED - content type is not on the allow-list
+ *   FILE_TYPE_MISMATCH    - extension is unknown or claims another type than the content
+ */
+function checkFileType({ fileName, mimeType, allowedMimeTypes }) {
+    if (!allowedMimeTypes.includes(mimeType)) {
+        return {
+            code: "FILE_TYPE_NOT_ALLOWED",
+            message: `File "${fileName}" has type ${mimeType}, which is not allowed.`
+        };
+    }
+
+    const extension = path.extname(fileName).toLowerCase();
+    const claimed = MIME_TYPES_BY_EXTENSION[extension];
+    if (extension && !claimed) {
+        return {
+            code: "FILE_TYPE_MISMATCH",
+            message: `File "${fileName}" has extension ${extension}, which is not allowed for ${mimeType} content.`
+        };
+    }
+    if (claimed && claimed !== mimeType) {
+        return {
+            code: "FILE_TYPE_MISMATCH",
+            message: `File "${fileName}" does not contain ${claimed} content (detected ${mimeType}).`
+        };
+    }
+
+    return null;
+}
+
+module.exports = {
+    SNIFF_BYTES,
+    detectMimeType,
+    checkFileType
+};
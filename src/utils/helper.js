@@ -1,5 +1,6 @@
-const { QueryTypes } = require('sequelize');
+const { QueryTypes, Op } = require('sequelize');
 const { configurationProvider } = require('../services/ChatService');
+const { sqlDialect } = require('./sqldialect');
 // Duplicate the helper functions from the original file
 function getUserMessagesMaster() {
     let { models } = configurationProvider?.getConfig?.();
@@ -11,20 +12,17 @@ async function getUserInfo(userId) {
     try {
         const sequelize = configurationProvider.getConfig()?.sequelize;
         const userModel = configurationProvider.getConfig().userModel;
+        const dialect = sqlDialect(sequelize);
         const tableName = userModel.name;
         const columns = userModel.columns;
+        const idColumn = dialect.quote(columns.id?.columns?.[0] || "id");
 
-        let usernameExpr = "''";
-        if (columns.username?.columns?.length > 0) {
-            usernameExpr = columns.username.columns
-                .map(col => `"${col}"`)
-                .join(` || ' ' || `);
-        }
+        const usernameExpr = dialect.concat((columns.username?.columns || []).map(dialect.quote), " ");
 
         const sql = `
-            SELECT id, ${usernameExpr} AS username
-            FROM "${tableName}"
-            WHERE id = :userId
+            SELECT ${idColumn} AS id, ${usernameExpr} AS username
+            FROM ${dialect.quote(tableName)}
+            WHERE ${idColumn} = :userId
             LIMIT 1;
         `;
 
@@ -40,12 +38,110 @@ async function getUserInfo(userId) {
     }
 };
 
-async function getGroupMembers(){
+/**
+ * Group membership lookup (groupuserslines).
+ * - { groupId } → members of that group: [{ userId, groupId }]
+ * - { userId }  → groups the user belongs to: [{ id, name }]
+ */
+async function getGroupMembers({ groupId = null, userId = null } = {}) {
+    const { models } = configurationProvider.getConfig();
+
+    if (groupId) {
+        return await models.GroupMember.findAll({
+            where: { groupId: Number(groupId) },
+            attributes: ["userId", "groupId"],
+            raw: true
+        });
+    }
+
+    if (userId) {
+        const memberships = await models.GroupMember.findAll({
+            where: { userId: Number(userId) },
+            attributes: ["groupId"],
+            include: [{
+                model: models.group,
+                as: "groupsTogroup",
+                attributes: ["id", "name"]
+            }],
+            raw: true,
+            nest: true
+        });
+
+        return memberships.map(m => ({
+            id: m.groupId,
+            name: m.groupsTogroup?.name || null
+        }));
+    }
+
     return [];
 }
 
+/**
+ * Check whether a user is a member of a group (groupuserslines)
+ */
+async function isGroupMember(groupId, userId) {
+    if (!groupId || !userId) return false;
+    const { models } = configurationProvider.getConfig();
+    const count = await models.GroupMember.count({
+        where: { groupId: Number(groupId), userId: Number(userId) }
+    });
+    return count > 0;
+}
+
+/**
+ * Check whether a user takes part in a message's conversation
+ * (sender/recipient of a direct message, or member of its group)
+ */
+async function canAccessMessage(message, userId) {
+    if (!message || !userId) return false;
+    userId = Number(userId);
+    if (message.groupId) {
+        return await isGroupMember(message.groupId, userId);
+    }
+    return message.fromUserId === userId || message.toUserId === userId;
+}
+
+/**
+ * Whether a stored message belongs to the conversation of a new message
+ * (same group, or the same two users in either direction)
+ */
+function isSameConversation(message, { fromUserId, toUserId = null, groupId = null }) {
+    if (!message) return false;
+    if (groupId || message.groupId) {
+        return Number(message.groupId) === Number(groupId);
+    }
+    const pair = [Number(fromUserId), Number(toUserId)].sort().join(":");
+    return [Number(message.fromUserId), Number(message.toUserId)].sort().join(":") === pair;
+}
+
+/**
+ * Where-condition on message ids that leaves out messages the user deleted
+ * for themselves (hiddenmessages), as a subquery.
+ * The id is written into the SQL, so anything but a positive integer throws.
+ */
+function notHiddenFor(userId) {
+    const id = Number(userId);
+    if (!Number.isInteger(id) || id <= 0) {
+        throw new Error(`Invalid user id: ${userId}`);
+    }
+
+    const { models, sequelize } = configurationProvider.getConfig();
+    const queryInterface = sequelize.getQueryInterface();
+    const q = name => queryInterface.quoteIdentifier(name);
+
+    return {
+        [Op.notIn]: sequelize.literal(
+            `(SELECT ${q("messageId")} FROM ${q(models.HiddenMessage.getTableName())} WHERE ${q("userId")} = ${id})`
+        )
+    };
+}
+
 module.exports = {
     getUserInfo,
     getUserMessagesMaster,
-    getGroupMembers
+    getGroupMembers,
+    isGroupMember,
+    canAccessMessage,
+    isSameConversation,
+    notHiddenFor
 };
\ No newline at end of file
@@ -0,0 +1,67 @@
+const { Op } = require("sequelize");
+
+/**
+ * SQL dialect layer for the raw queries
+ * PostgreSQL, MySQL / MariaDB and SQLite. Fixed query text is written with
+ * "double-quoted" identifiers and passed through sql(), which rewrites them to
+ * the connection's own quoting; identifiers that come from configuration (the
+ * host user table) go through quote().
+ */
+const SQL_TOKENS = /('(?:[^']|'')*')|"((?:[^"]|"")*)"/g;
+
+function sqlDialect(sequelize) {
+    const name = sequelize.getDialect();
+    const isPostgres = name === "postgres";
+    const isMysql = name === "mysql" || name === "mariadb";
+    const queryInterface = sequelize.getQueryInterface();
+
+    const quote = identifier => queryInterface.quoteIdentifier(identifier);
+
+    return {
+        name,
+        isPostgres,
+        isMysql,
+
+        /** Quoted identifier: "col" / `col` */
+        quote,
+
+        /** Quoted table of a model, with its schema where the dialect has one */
+        table: model => queryInterface.queryGenerator.quoteTable(model.getTableName()),
+
+        /** Rewrite "identifiers" outside string literals to the dialect's quoting */
+        sql: text => (isPostgres ? text : text.replace(SQL_TOKENS, (match, literal, identifier) =>
+            literal !== undefined ? literal : quote(identifier.replace(/""/g, "\""))
+        )),
+
+        /** Case-insensitive LIKE between two SQL expressions */
+        iLike: (expression, pattern) => (isPostgres
+            ? `${expression} ILIKE ${pattern}`
+            : `LOWER(${expression}) LIKE LOWER(${pattern})`),
+
+        /** Case-insensitive LIKE operator for Sequelize where clauses */
+        iLikeOp: isPostgres ? Op.iLike : Op.like,
+
+        /** Join SQL expressions with a literal separator */
+        concat: (expressions, separator = "") => {
+            if (expressions.length <= 1) return expressions[0] || "''";
+            const glue = sequelize.escape(separator);
+            return isMysql
+                ? `CONCAT_WS(${glue}, ${expressions.join(", ")})`
+                : expressions.join(` || ${glue} || `);
+        },
+
+        /** Length in characters (LENGTH counts bytes on MySQL) */
+        charLength: expression => (isMysql ? `CHAR_LENGTH(${expression})` : `LENGTH(${expression})`),
+
+        /** Column names of a table, [] when it does not exist */
+        columnsOf: async tableName => {
+            try {
+                return Object.keys(await queryInterface.describeTable(tableName));
+            } catch (error) {
+                return [];
+            }
+        }
+    };
+}
+
+module.exports = { sqlDialect };
@@ -0,0 +1,70 @@
+// thumbnails.js
+
+/**
+ * Thumbnails for image attachments (best effort).
+ *
+ * Generated with sharp at upload time; when sharp cannot be loaded (e.g. no
+ * prebuilt binary for the platform) or an image cannot be decoded, the
+ * attachment is simply stored without a thumbnail.
+ */
+const THUMBNAIL_MAX_SIZE = 320; // px, longest edge
+const THUMBNAIL_TYPE = "image/webp";
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp", "image/gif"];
+
+let sharp;
+function loadSharp() {
+    if (sharp === undefined) {
+        try {
+            sharp = require("sharp");
+        } catch (error) {
+            console.warn("⚠️ sharp is not available - image thumbnails are disabled:", error.message);
+            sharp = null;
+        }
+    }
+    return sharp;
+}
+
+function canThumbnail(mimeType) {
+    return IMAGE_TYPES.includes(mimeType);
+}
+
+/**
+ * Create a thumbnail of an image.
+ * Returns { data, type, width, height } of the thumbnail plus the original
+ * image's { originalWidth, originalHeight }, or null when not possible.
+ */
+async function createThumbnail(image) {
+    const imageLib = loadSharp();
+    if (!imageLib) return null;
+
+    try {
+        // First frame only for animated images; EXIF orientation is applied
+        const source = imageLib(image, { animated: false, limitInputPixels: 40_000_000 });
+        const meta = await source.metadata();
+        const rotated = (meta.orientation || 1) >= 5;
+
+        const { data, info } = await source
+            .rotate()
+            .resize(THUMBNAIL_MAX_SIZE, THUMBNAIL_MAX_SIZE, { fit: "inside", withoutEnlargement: true })
+            .webp({ quality: 70 })
+            .toBuffer({ resolveWithObject: true });
+
+        return {
+            data,
+            type: THUMBNAIL_TYPE,
+            width: info.width,
+            height: info.height,
+            originalWidth: rotated ? meta.height : meta.width,
+            originalHeight: rotated ? meta.width : meta.height
+        };
+    } catch (error) {
+        console.warn("⚠️ Thumbnail generation failed:", error.message);
+        return null;
+    }
+}
+
+module.exports = {
+    THUMBNAIL_TYPE,
+    canThumbnail,
+    createThumbnail
+};
@@ -60,6 +60,52 @@ const validateGetMessages = [
     query("search")
         .optional()
         .isString().withMessage("search must be a string"),
+
+    query("before")
+        .optional()
+        .isInt({ min: 1 }).withMessage("before must be a message id"),
+
+    query("after")
+        .optional()
+        .isInt({ min: 1 }).withMessage("after must be a message id"),
+
+    query("around")
+        .optional()
+        .isInt({ min: 1 }).withMessage("around must be a message id"),
+
+    query()
+        .custom((value, { req }) => {
+            const cursors = ["before", "after", "around"].filter(key => req.query[key] !== undefined);
+            if (cursors.length > 1) {
+                throw new Error("Use only one of before, after or around");
+            }
+            if (cursors.length === 1 && req.query.page !== undefined) {
+                throw new Error("page cannot be combined with before, after or around");
+            }
+            return true;
+        }),
+    validatorHandler
+];
+const validateSyncMessages = [
+    query("since")
+        .optional()
+        .isISO8601().withMessage("since must be an ISO 8601 timestamp"),
+
+    query("cursor")
+        .optional()
+        .isString().withMessage("cursor must be a string"),
+
+    query("limit")
+        .optional()
+        .isInt({ min: 1, max: 500 }).withMessage("limit must be between 1 and 500"),
+
+    query()
+        .custom((value, { req }) => {
+            if (!req.query.since && !req.query.cursor) {
+                throw new Error("Either since or cursor is required");
+            }
+            return true;
+        }),
     validatorHandler
 ];
 const validatorCreateGroup = [
@@ -209,12 +255,97 @@ const assignGroupMembersValidator = [
         .isString().withMessage("Group name must be a string"),
     validatorHandler
 ];
+const validateMessageRevisions = [
+    param("messageId")
+        .exists().withMessage("messageId is required")
+        .isInt({ gt: 0 }).withMessage("messageId must be a positive integer"),
+    validatorHandler
+];
+const validateGroupMemberRole = [
+    param("groupId")
+        .exists().withMessage("groupId is required")
+        .isInt({ gt: 0 }).withMessage("groupId must be a positive integer"),
+
+    param("memberId")
+        .exists().withMessage("memberId is required")
+        .isInt({ gt: 0 }).withMessage("memberId must be a positive integer"),
+
+    body("role")
+        .exists().withMessage("role is required")
+        .isIn(["admin", "member"]).withMessage("role must be either admin or member"),
+    validatorHandler
+];
+const validateTransferOwnership = [
+    param("groupId")
+        .exists().withMessage("groupId is required")
+        .isInt({ gt: 0 }).withMessage("groupId must be a positive integer"),
+
+    body("userId")
+        .exists().withMessage("userId is required")
+        .isInt({ gt: 0 }).withMessage("userId must be a positive integer"),
+    validatorHandler
+];
+const validateLeaveGroup = [
+    param("groupId")
+        .exists().withMessage("groupId is required")
+        .isInt({ gt: 0 }).withMessage("groupId must be a positive integer"),
+    validatorHandler
+];
+const validateSearchMessages = [
+    query("q")
+        .exists().withMessage("q is required")
+        .isString().withMessage("q must be a string")
+        .trim()
+        .isLength({ min: 1, max: 200 }).withMessage("q must be between 1 and 200 characters"),
+
+    query("fromUserId")
+        .optional()
+        .isInt({ min: 1 }).withMessage("fromUserId must be a positive integer"),
+
+    query("startDate")
+        .optional()
+        .isISO8601().withMessage("startDate must be an ISO 8601 date"),
+
+    query("endDate")
+        .optional()
+        .isISO8601().withMessage("endDate must be an ISO 8601 date"),
+
+    query("hasAttachments")
+        .optional()
+        .isIn(["true", "false"]).withMessage("hasAttachments must be true or false"),
+
+    query("page")
+        .optional()
+        .isInt({ min: 1 }).withMessage("page must be a positive integer"),
+
+    query("limit")
+        .optional()
+        .isInt({ min: 1, max: 50 }).withMessage("limit must be between 1 and 50"),
+    validatorHandler
+];
+const validateGetConversations = [
+    query("page")
+        .optional()
+        .isInt({ min: 1 }).withMessage("page must be a positive integer"),
+
+    query("limit")
+        .optional()
+        .isInt({ min: 1, max: 100 }).withMessage("limit must be between 1 and 100"),
+    validatorHandler
+];
 module.exports = {
     validatorUpdateGroup,
     validatorCreateGroup,
     validatorGetGroups,
     validatorGetUsers,
+    validateGetConversations,
     validateGetMessages,
+    validateSearchMessages,
+    validateSyncMessages,
+    validateMessageRevisions,
     validateGetGroupManageUsers,
-    assignGroupMembersValidator
+    assignGroupMembersValidator,
+    validateGroupMemberRole,
+    validateTransferOwnership,
+    validateLeaveGroup
 };
\ No newline at end of file
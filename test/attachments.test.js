@@ -0,0 +1,503 @@
+/**
+ * @file attachments.test.js
+ * Tests for attachment storage and the upload / download controllers.
+ */
+
+const os = require("os");
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const { Readable } = require("stream");
+const { Op } = require("sequelize");
+const sharp = require("sharp");
+
+const { fileManager } = require("../src/utils/filemanager");
+const { DEFAULT_UPLOAD_POLICY } = require("../src/utils/apptool");
+const { configurationProvider } = require("../src/services/ChatService");
+const MessageControllers = require("../src/controllers/MessageController");
+const { createRes } = require("./helpers/http");
+const {
+    saveUpload,
+    checkMessageAttachments,
+    getPendingUpload,
+    attachToMessage,
+    discardUploads,
+    expirePendingUploads,
+    listMessageAttachments,
+    listAttachmentsByMessage,
+    findAttachmentFile,
+    removeMessageAttachments,
+    importLegacyAttachments
+} = require("../src/utils/attachments");
+
+/**
+ * In-memory stand-in for the messageattachments and uploadusages models:
+ * supports the plain, array, Op.in and Op.lt where clauses the attachment helpers use
+ * and an optional unique key. Transactions only record how they ended.
+ */
+function createMemoryModel({ unique = [] } = {}) {
+    const rows = [];
+    let nextId = 1;
+
+    const matches = (row, where = {}) => Object.entries(where).every(([key, expected]) => {
+        if (Array.isArray(expected)) return expected.includes(row[key]);
+        if (expected && typeof expected === "object" && expected[Op.in]) return expected[Op.in].includes(row[key]);
+        if (expected && typeof expected === "object" && expected[Op.lt]) return row[key] < expected[Op.lt];
+        return row[key] === expected;
+    });
+
+    const transactions = [];
+
+    return {
+        rows,
+        transactions,
+        sequelize: {
+            async transaction() {
+                const transaction = {
+                    LOCK: { UPDATE: "UPDATE" },
+                    commit: jest.fn(async () => { transaction.state = "committed"; }),
+                    rollback: jest.fn(async () => { transaction.state = "rolled back"; })
+                };
+                transactions.push(transaction);
+                return transaction;
+            }
+        },
+        async create(values) {
+            if (unique.length > 0 && rows.some(row => unique.every(field => row[field] === values[field]))) {
+                throw Object.assign(new Error("Validation error"), { name: "SequelizeUniqueConstraintError" });
+            }
+            const row = { id: nextId++, createdAt: new Date(), ...values };
+            rows.push(row);
+            return row;
+        },
+        async findOne({ where }) {
+            return rows.find(row => matches(row, where)) || null;
+        },
+        async findAll({ where }) {
+            return rows.filter(row => matches(row, where));
+        },
+        async decrement(field, { by, where }) {
+            rows.filter(row => matches(row, where)).forEach(row => { row[field] -= by; });
+        },
+        async update(values, { where }) {
+            const matched = rows.filter(row => matches(row, where));
+            matched.forEach(row => Object.assign(row, values));
+            return [matched.length];
+        },
+        async destroy({ where }) {
+            const matched = rows.filter(row => matches(row, where));
+            matched.forEach(row => rows.splice(rows.indexOf(row), 1));
+            return matched.length;
+        }
+    };
+}
+
+function multipartRequest(files, userId = 1) {
+    const boundary = "----chattestboundary";
+    const parts = files.map(({ name, content }) => Buffer.concat([
+        Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="files"; filename="${name}"\r\nContent-Type: application/octet-stream\r\n\r\n`),
+        Buffer.from(content),
+        Buffer.from("\r\n")
+    ]));
+    const body = Buffer.concat([...parts, Buffer.from(`--${boundary}--\r\n`)]);
+    const req = Readable.from([body]);
+    req.headers = { "content-type": `multipart/form-data; boundary=${boundary}`, "content-length": String(body.length) };
+    req.user_data = { user_id: userId };
+    return req;
+}
+
+describe("attachment storage", () => {
+    let tmpDir;
+    let Attachment;
+    let UploadUsage;
+
+    beforeEach(async () => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "chat-attachments-"));
+        fileManager.fileLocation = tmpDir;
+        await fileManager.buildStorageEnv();
+
+        Attachment = createMemoryModel();
+        UploadUsage = createMemoryModel({ unique: ["userId", "day"] });
+        configurationProvider.setConfig({ models: { Attachment, UploadUsage }, uploadPolicy: DEFAULT_UPLOAD_POLICY });
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test("records an upload as pending and links it to a message", async () => {
+        const upload = await saveUpload({ userId: 3, fileName: "quote.pdf", stream: Readable.from([Buffer.from("%PDF-1.7")]) });
+
+        expect(upload).toEqual({ id: 1, name: "quote.pdf", size: 8, type: "application/pdf", hasThumbnail: false });
+        expect(Attachment.rows[0]).toEqual(expect.objectContaining({
+            messageId: null,
+            uploadedBy: 3,
+            originalName: "quote.pdf",
+            checksum: crypto.createHash("sha256").update("%PDF-1.7").digest("hex")
+        }));
+        expect(await getPendingUpload(3, upload.id)).toEqual(upload);
+        expect(await getPendingUpload(4, upload.id)).toBeNull();
+
+        await attachToMessage({ userId: 3, attachmentIds: [upload.id], messageId: 12 });
+
+        expect(await getPendingUpload(3, upload.id)).toBeNull();
+        expect(await listMessageAttachments(12)).toEqual([upload]);
+        expect(await listAttachmentsByMessage([12, 13])).toEqual({ 12: [upload] });
+        expect(await findAttachmentFile(12, upload.id)).toEqual(expect.objectContaining({
+            name: "quote.pdf",
+            size: 8,
+            location: Attachment.rows[0].storageKey
+        }));
+    });
+
+    test("refuses to link uploads of another user and leaves them pending", async () => {
+        const upload = await saveUpload({ userId: 3, fileName: "a.txt", stream: Readable.from([Buffer.from("a")]) });
+
+        await expect(attachToMessage({ userId: 4, attachmentIds: [upload.id], messageId: 12 }))
+            .rejects.toThrow(`Attachment ${upload.id} not found.`);
+        expect(await getPendingUpload(3, upload.id)).toEqual(upload);
+    });
+
+    test("removes the partly written file when storing an upload fails", async () => {
+        const storage = configurationProvider.getConfig().storage;
+        const put = jest.spyOn(storage, "put").mockImplementationOnce(async () => {
+            throw new Error("disk full");
+        });
+        const remove = jest.spyOn(storage, "delete");
+
+        await expect(saveUpload({ userId: 3, fileName: "a.txt", stream: Readable.from([Buffer.from("a")]) }))
+            .rejects.toThrow("disk full");
+        expect(remove).toHaveBeenCalledWith(put.mock.calls[0][0]);
+        expect(Attachment.rows).toEqual([]);
+
+        put.mockRestore();
+        remove.mockRestore();
+    });
+
+    test("links an upload to only one of two concurrent messages", async () => {
+        const upload = await saveUpload({ userId: 3, fileName: "a.txt", stream: Readable.from([Buffer.from("a")]) });
+
+        const results = await Promise.allSettled([
+            attachToMessage({ userId: 3, attachmentIds: [upload.id], messageId: 12 }),
+            attachToMessage({ userId: 3, attachmentIds: [upload.id], messageId: 13 })
+        ]);
+
+        expect(results.map(result => result.status)).toEqual(["fulfilled", "rejected"]);
+        expect(results[1].reason.code).toBe("ATTACHMENT_NOT_FOUND");
+        expect(Attachment.rows[0].messageId).toBe(12);
+        expect(Attachment.transactions.map(transaction => transaction.state)).toEqual(["committed", "rolled back"]);
+    });
+
+    test("removes files and rows together", async () => {
+        const kept = await saveUpload({ userId: 3, fileName: "a.txt", stream: Readable.from([Buffer.from("a")]) });
+        const sent = await saveUpload({ userId: 3, fileName: "b.txt", stream: Readable.from([Buffer.from("b")]) });
+        await attachToMessage({ userId: 3, attachmentIds: [sent.id], messageId: 7 });
+        const sentKey = Attachment.rows[1].storageKey;
+
+        await removeMessageAttachments(7);
+        expect(await fileManager.stat(sentKey)).toBeNull();
+        expect(await listMessageAttachments(7)).toEqual([]);
+
+        await discardUploads(3, [kept.id]);
+        expect(Attachment.rows).toEqual([]);
+    });
+
+    test("expires pending uploads past their age and keeps sent ones", async () => {
+        const stale = await saveUpload({ userId: 3, fileName: "a.txt", stream: Readable.from([Buffer.from("a")]) });
+        const sent = await saveUpload({ userId: 3, fileName: "b.txt", stream: Readable.from([Buffer.from("b")]) });
+        const fresh = await saveUpload({ userId: 3, fileName: "c.txt", stream: Readable.from([Buffer.from("c")]) });
+        await attachToMessage({ userId: 3, attachmentIds: [sent.id], messageId: 7 });
+        const staleKey = Attachment.rows[0].storageKey;
+        const dayAgo = new Date(Date.now() - 25 * 60 * 60 * 1000);
+        Attachment.rows.slice(0, 2).forEach(row => { row.createdAt = dayAgo; });
+
+        expect(await expirePendingUploads(24 * 60 * 60)).toBe(1);
+
+        expect(await fileManager.stat(staleKey)).toBeNull();
+        expect(Attachment.rows.map(row => row.id)).toEqual([sent.id, fresh.id]);
+    });
+
+    test("imports files of older messages once", async () => {
+        await fileManager.addFiles({ data: Buffer.from("hello"), location: "messagesdocs/5/notes_1700000000_0.txt" });
+        const messageModel = { findAll: jest.fn().mockResolvedValue([{ id: 5, fromUserId: 2 }]) };
+
+        expect(await importLegacyAttachments({ messageModel })).toBe(1);
+        const lookups = jest.spyOn(Attachment, "findAll");
+        expect(await importLegacyAttachments({ messageModel })).toBe(0);
+        expect(lookups).toHaveBeenCalledTimes(1);
+
+        const [attachment] = await listMessageAttachments(5);
+        expect(attachment).toEqual({ id: 1, name: "notes.txt", size: 5, type: "text/plain", hasThumbnail: false });
+        expect((await findAttachmentFile(5, attachment.id)).location).toBe("messagesdocs/5/notes_1700000000_0.txt");
+    });
+
+    test("enforces the per-user daily quota", async () => {
+        const policy = { ...DEFAULT_UPLOAD_POLICY, dailyQuotaBytes: 10 };
+        await saveUpload({ userId: 3, fileName: "a.txt", stream: Readable.from([Buffer.from("12345678")]), policy });
+
+        await expect(saveUpload({ userId: 3, fileName: "b.txt", stream: Readable.from([Buffer.from("12345")]), policy }))
+            .rejects.toMatchObject({ code: "DAILY_QUOTA_EXCEEDED", statusCode: 429 });
+        // Quota is per user
+        await saveUpload({ userId: 4, fileName: "b.txt", stream: Readable.from([Buffer.from("12345")]), policy });
+        expect(Attachment.rows).toHaveLength(2);
+        expect(UploadUsage.rows.map(usage => [usage.userId, usage.bytes])).toEqual([[3, 8], [4, 5]]);
+    });
+
+    test("keeps counting quota for deleted uploads", async () => {
+        const policy = { ...DEFAULT_UPLOAD_POLICY, dailyQuotaBytes: 10 };
+        const upload = await saveUpload({ userId: 3, fileName: "a.txt", stream: Readable.from([Buffer.from("12345678")]), policy });
+        await discardUploads(3, [upload.id]);
+
+        await expect(saveUpload({ userId: 3, fileName: "b.txt", stream: Readable.from([Buffer.from("12345")]), policy }))
+            .rejects.toMatchObject({ code: "DAILY_QUOTA_EXCEEDED" });
+        expect(UploadUsage.rows[0].bytes).toBe(8);
+    });
+
+    test("reserves quota before storing, so parallel uploads cannot share the last bytes", async () => {
+        const policy = { ...DEFAULT_UPLOAD_POLICY, maxFileSize: 6, dailyQuotaBytes: 10 };
+        const storage = configurationProvider.getConfig().storage;
+        const put = jest.spyOn(storage, "put");
+
+        const results = await Promise.allSettled(["a.txt", "b.txt"].map(fileName =>
+            saveUpload({ userId: 3, fileName, stream: Readable.from([Buffer.from("123456")]), policy })
+        ));
+
+        // Whichever reserved second only got the 4 bytes left and was refused
+        const refused = results.filter(result => result.status === "rejected");
+        expect(refused.map(result => result.reason.code)).toEqual(["DAILY_QUOTA_EXCEEDED"]);
+        expect(UploadUsage.rows[0].bytes).toBe(6);
+        expect(Attachment.rows).toHaveLength(1);
+        expect(put).toHaveBeenCalledTimes(2);
+        put.mockRestore();
+    });
+
+    test("reserves only the request's Content-Length when it is below maxFileSize", async () => {
+        const policy = { ...DEFAULT_UPLOAD_POLICY, dailyQuotaBytes: 20 };
+
+        const uploads = await Promise.all(["a.txt", "b.txt"].map(fileName =>
+            saveUpload({ userId: 3, fileName, stream: Readable.from([Buffer.from("123456")]), sizeHint: "8", policy })
+        ));
+
+        expect(uploads.map(upload => upload.size)).toEqual([6, 6]);
+        expect(UploadUsage.rows[0].bytes).toBe(12);
+    });
+
+    test("rejects files above the configured size", async () => {
+        const policy = { ...DEFAULT_UPLOAD_POLICY, maxFileSize: 4 };
+
+        await expect(saveUpload({ userId: 3, fileName: "a.txt", stream: Readable.from([Buffer.from("12345")]), policy }))
+            .rejects.toMatchObject({ code: "FILE_TOO_LARGE", statusCode: 413 });
+        expect(Attachment.rows).toEqual([]);
+    });
+
+    test("re-checks pending uploads against the policy at send time", async () => {
+        const a = await saveUpload({ userId: 3, fileName: "a.txt", stream: Readable.from([Buffer.from("123456")]) });
+        const b = await saveUpload({ userId: 3, fileName: "b.pdf", stream: Readable.from([Buffer.from("%PDF-1.4")]) });
+
+        await expect(checkMessageAttachments(3, [a.id, b.id])).resolves.toEqual([a, b]);
+        await expect(checkMessageAttachments(3, [a.id, b.id], { ...DEFAULT_UPLOAD_POLICY, maxFiles: 1 }))
+            .rejects.toMatchObject({ code: "TOO_MANY_FILES" });
+        await expect(checkMessageAttachments(3, [a.id, b.id], { ...DEFAULT_UPLOAD_POLICY, maxMessageSize: 10 }))
+            .rejects.toMatchObject({ code: "MESSAGE_TOO_LARGE" });
+        await expect(checkMessageAttachments(3, [b.id], { ...DEFAULT_UPLOAD_POLICY, allowedMimeTypes: ["text/plain"] }))
+            .rejects.toMatchObject({ code: "FILE_TYPE_NOT_ALLOWED" });
+        await expect(checkMessageAttachments(4, [a.id]))
+            .rejects.toMatchObject({ code: "ATTACHMENT_NOT_FOUND" });
+    });
+
+    test("stores a thumbnail and the dimensions of image uploads", async () => {
+        const png = await sharp({ create: { width: 1200, height: 800, channels: 3, background: "#3366cc" } }).png().toBuffer();
+
+        const upload = await saveUpload({ userId: 3, fileName: "photo.png", stream: Readable.from([png]) });
+
+        expect(upload).toEqual(expect.objectContaining({ type: "image/png", width: 1200, height: 800, hasThumbnail: true }));
+        const thumbnail = await sharp(await configurationProvider.getConfig().storage.get(Attachment.rows[0].thumbnailKey)).metadata();
+        expect(thumbnail).toEqual(expect.objectContaining({ format: "webp", width: 320, height: 213 }));
+
+        await attachToMessage({ userId: 3, attachmentIds: [upload.id], messageId: 9 });
+        const { thumbnailLocation } = await findAttachmentFile(9, upload.id);
+        await removeMessageAttachments(9);
+        expect(await fileManager.stat(thumbnailLocation)).toBeNull();
+    });
+
+    test("keeps images that cannot be decoded, without a thumbnail", async () => {
+        const broken = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.from("not really")]);
+
+        const upload = await saveUpload({ userId: 3, fileName: "broken.png", stream: Readable.from([broken]) });
+
+        expect(upload).toEqual(expect.objectContaining({ type: "image/png", hasThumbnail: false }));
+    });
+
+    test("ignores malformed attachment ids", async () => {
+        expect(await findAttachmentFile(5, "../pending")).toBeNull();
+        expect(await getPendingUpload(3, "abc")).toBeNull();
+    });
+});
+
+describe("upload / download controllers", () => {
+    let tmpDir;
+    let messageModel;
+
+    beforeEach(async () => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "chat-attachments-"));
+        fileManager.fileLocation = tmpDir;
+        await fileManager.buildStorageEnv();
+
+        messageModel = { findByPk: jest.fn() };
+        configurationProvider.setConfig({
+            models: {
+                message: messageModel,
+                GroupMember: { count: jest.fn().mockResolvedValue(0) },
+                Attachment: createMemoryModel(),
+                UploadUsage: createMemoryModel({ unique: ["userId", "day"] })
+            },
+            uploadPolicy: DEFAULT_UPLOAD_POLICY
+        });
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    async function uploadAndAttach(content) {
+        const res = createRes();
+        MessageControllers.uploadAttachments(multipartRequest([{ name: "spec.txt", content }]), res);
+        await res.done;
+        const [upload] = res.body.data;
+        await attachToMessage({ userId: 1, attachmentIds: [upload.id], messageId: 30 });
+        messageModel.findByPk.mockResolvedValue({ id: 30, fromUserId: 1, toUserId: 2, groupId: null, isDeleted: false });
+        return { res, upload };
+    }
+
+    test("uploadAttachments returns attachment ids for each file", async () => {
+        const { res, upload } = await uploadAndAttach("0123456789");
+
+        expect(res.status).toHaveBeenCalledWith(201);
+        expect(upload).toEqual(expect.objectContaining({ name: "spec.txt", size: 10, type: "text/plain" }));
+    });
+
+    test("uploadAttachments rejects content that is not on the allow-list", async () => {
+        configurationProvider.setConfig({ uploadPolicy: { ...DEFAULT_UPLOAD_POLICY, allowedMimeTypes: ["application/pdf"] } });
+        const res = createRes();
+
+        MessageControllers.uploadAttachments(multipartRequest([{ name: "setup.pdf", content: "MZ\x90\x00binary" }]), res);
+        await res.done;
+
+        expect(res.status).toHaveBeenCalledWith(415);
+        expect(res.body.code).toBe("FILE_TYPE_NOT_ALLOWED");
+        expect(configurationProvider.getConfig().models.Attachment.rows).toEqual([]);
+        expect(fs.readdirSync(path.join(tmpDir, "messagesdocs", "files"))).toEqual([]);
+    });
+
+    test("uploadAttachments refuses uploads once the daily quota is used up", async () => {
+        await uploadAndAttach("0123456789");
+        configurationProvider.setConfig({ uploadPolicy: { ...DEFAULT_UPLOAD_POLICY, dailyQuotaBytes: 10 } });
+        const res = createRes();
+
+        await MessageControllers.uploadAttachments(multipartRequest([{ name: "more.txt", content: "x" }]), res);
+
+        expect(res.status).toHaveBeenCalledWith(429);
+        expect(res.body.code).toBe("DAILY_QUOTA_EXCEEDED");
+    });
+
+    test("uploadAttachments reports too many files", async () => {
+        configurationProvider.setConfig({ uploadPolicy: { ...DEFAULT_UPLOAD_POLICY, maxFiles: 1 } });
+        const res = createRes();
+
+        MessageControllers.uploadAttachments(multipartRequest([
+            { name: "a.txt", content: "a" },
+            { name: "b.txt", content: "b" }
+        ]), res);
+        await res.done;
+
+        expect(res.status).toHaveBeenCalledWith(413);
+        expect(res.body.code).toBe("TOO_MANY_FILES");
+        expect(configurationProvider.getConfig().models.Attachment.rows).toEqual([]);
+    });
+
+    test("downloadAttachment streams the whole file with its content type", async () => {
+        const { upload } = await uploadAndAttach("0123456789");
+        const res = createRes();
+
+        await MessageControllers.downloadAttachment({
+            params: { messageId: "30", attachmentId: upload.id },
+            headers: {},
+            user_data: { user_id: 2 }
+        }, res);
+        await res.done;
+
+        expect(res.statusCode).toBe(200);
+        expect(res.headers["content-type"]).toBe("text/plain");
+        expect(res.headers["x-content-type-options"]).toBe("nosniff");
+        expect(res.headers["content-disposition"]).toBe("attachment; filename*=UTF-8''spec.txt");
+        expect(res.headers.etag).toBe(`"${crypto.createHash("sha256").update("0123456789").digest("hex")}"`);
+        expect(res.body.toString()).toBe("0123456789");
+    });
+
+    test("downloadAttachment serves byte ranges", async () => {
+        const { upload } = await uploadAndAttach("0123456789");
+        const res = createRes();
+
+        await MessageControllers.downloadAttachment({
+            params: { messageId: "30", attachmentId: upload.id },
+            headers: { range: "bytes=2-5" },
+            user_data: { user_id: 1 }
+        }, res);
+        await res.done;
+
+        expect(res.statusCode).toBe(206);
+        expect(res.headers["content-range"]).toBe("bytes 2-5/10");
+        expect(res.body.toString()).toBe("2345");
+    });
+
+    test("downloadThumbnail serves the preview and 404s for non-images", async () => {
+        const png = await sharp({ create: { width: 64, height: 64, channels: 3, background: "#ff0000" } }).png().toBuffer();
+        const uploadRes = createRes();
+        MessageControllers.uploadAttachments(multipartRequest([{ name: "dot.png", content: png }]), uploadRes);
+        await uploadRes.done;
+        const [image] = uploadRes.body.data;
+        await attachToMessage({ userId: 1, attachmentIds: [image.id], messageId: 30 });
+        const { upload: text } = await uploadAndAttach("plain");
+
+        const res = createRes();
+        await MessageControllers.downloadThumbnail({
+            params: { messageId: "30", attachmentId: image.id },
+            user_data: { user_id: 2 }
+        }, res);
+        await res.done;
+
+        expect(res.statusCode).toBe(200);
+        expect(res.headers["content-type"]).toBe("image/webp");
+        expect((await sharp(res.body).metadata()).format).toBe("webp");
+
+        // Images are the only type shown inline
+        const original = createRes();
+        await MessageControllers.downloadAttachment({
+            params: { messageId: "30", attachmentId: image.id },
+            headers: {},
+            user_data: { user_id: 2 }
+        }, original);
+        await original.done;
+        expect(original.headers["content-disposition"]).toBe("inline; filename*=UTF-8''dot.png");
+
+        const missing = createRes();
+        await MessageControllers.downloadThumbnail({
+            params: { messageId: "30", attachmentId: text.id },
+            user_data: { user_id: 2 }
+        }, missing);
+        expect(missing.status).toHaveBeenCalledWith(404);
+    });
+
+    test("downloadAttachment refuses users outside the conversation", async () => {
+        const { upload } = await uploadAndAttach("0123456789");
+        const res = createRes();
+
+        await MessageControllers.downloadAttachment({
+            params: { messageId: "30", attachmentId: upload.id },
+            headers: {},
+            user_data: { user_id: 9 }
+        }, res);
+
+        expect(res.status).toHaveBeenCalledWith(403);
+    });
+});
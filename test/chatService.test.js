@@ -0,0 +1,1239 @@
+/**
+ * @file chatService.test.js
+ * Tests for the services registered by Service.init().
+ */
+
+const { Op } = require("sequelize");
+const { Service, configurationProvider } = require("../src/services/ChatService");
+
+jest.mock("../src/utils/filemanager", () => ({
+    fileManager: {
+        buildStorageEnv: jest.fn().mockResolvedValue(true),
+        listEntries: jest.fn().mockResolvedValue([])
+    }
+}));
+
+jest.mock("../src/config/DatabaseConfig", () => {
+    const queryInterface = {
+        quoteIdentifier: name => `"${name}"`,
+        queryGenerator: { quoteTable: table => `"${table}"` },
+        describeTable: jest.fn()
+    };
+    return {
+        dbConnection: {
+            sequelize: {
+                sync: jest.fn().mockResolvedValue(true),
+                query: jest.fn(),
+                transaction: jest.fn(),
+                escape: value => `'${value}'`,
+                literal: sql => ({ sql }),
+                getDialect: jest.fn().mockReturnValue("sqlite"),
+                getQueryInterface: () => queryInterface
+            },
+            dbHandleConnection: jest.fn(),
+            models: {}
+        }
+    };
+});
+
+const { dbConnection } = require("../src/config/DatabaseConfig");
+
+const dbconfig = {
+    host: "localhost",
+    username: "postgres",
+    password: "postgres",
+    database: "chat",
+    dialect: "postgres"
+};
+
+const userModel = {
+    name: "users",
+    columns: {
+        id: { columns: ["id"] },
+        username: { columns: ["firstName", "lastName"] },
+        email: { columns: ["email"] }
+    }
+};
+
+function createModels() {
+    return {
+        message: { findAll: jest.fn(), findOne: jest.fn(), findByPk: jest.fn(), create: jest.fn(), getTableName: () => "usersmessagesmaster" },
+        group: { findOne: jest.fn(), findAndCountAll: jest.fn(), findAll: jest.fn().mockResolvedValue([]), create: jest.fn(), update: jest.fn() },
+        GroupMember: {
+            findAll: jest.fn().mockResolvedValue([]),
+            findOne: jest.fn(),
+            count: jest.fn(),
+            create: jest.fn(),
+            update: jest.fn().mockResolvedValue([1]),
+            destroy: jest.fn(),
+            bulkCreate: jest.fn()
+        },
+        MessageReadState: { findAll: jest.fn().mockResolvedValue([]), findOrCreate: jest.fn() },
+        MessageReaction: { findAll: jest.fn().mockResolvedValue([]), findOrCreate: jest.fn(), destroy: jest.fn() },
+        MessageRevision: { create: jest.fn(), findAll: jest.fn().mockResolvedValue([]) },
+        HiddenMessage: { findOrCreate: jest.fn(), findAll: jest.fn().mockResolvedValue([]), getTableName: () => "hiddenmessages" }
+    };
+}
+
+function describeUserTable() {
+    dbConnection.sequelize.getQueryInterface().describeTable.mockResolvedValue(
+        Object.fromEntries(["id", "firstName", "lastName", "email"].map(column => [column, {}]))
+    );
+}
+
+async function initService(options = {}) {
+    dbConnection.models = createModels();
+    dbConnection.sequelize.query.mockReset().mockResolvedValue([]);
+    describeUserTable();
+    await new Service().init({ dbconfig, userModel, ...options });
+    return dbConnection.models;
+}
+
+describe("markMessagesRead()", () => {
+    let models;
+
+    beforeEach(async () => {
+        models = await initService();
+    });
+
+    test("moves the direct chat read marker forward", async () => {
+        const state = { lastReadMessageId: 4, save: jest.fn(), updatedAt: new Date() };
+        models.message.findByPk.mockResolvedValue({ id: 9, fromUserId: 2, toUserId: 1, groupId: null });
+        models.MessageReadState.findOrCreate.mockResolvedValue([state, false]);
+
+        const res = await configurationProvider.getConfig().markMessagesRead({ userId: 1, messageId: 9 });
+
+        expect(models.MessageReadState.findOrCreate).toHaveBeenCalledWith(expect.objectContaining({
+            where: { userId: 1, peerUserId: 2, groupId: null }
+        }));
+        expect(state.save).toHaveBeenCalled();
+        expect(res.status).toBe("success");
+        expect(res.data.lastReadMessageId).toBe(9);
+    });
+
+    test("never moves the marker backwards", async () => {
+        const state = { lastReadMessageId: 20, save: jest.fn() };
+        models.message.findByPk.mockResolvedValue({ id: 9, fromUserId: 2, toUserId: 1, groupId: null });
+        models.MessageReadState.findOrCreate.mockResolvedValue([state, false]);
+
+        const res = await configurationProvider.getConfig().markMessagesRead({ userId: 1, messageId: 9 });
+
+        expect(state.save).not.toHaveBeenCalled();
+        expect(res.data.lastReadMessageId).toBe(20);
+    });
+
+    test("rejects group messages for non-members", async () => {
+        models.message.findByPk.mockResolvedValue({ id: 9, fromUserId: 2, toUserId: null, groupId: 5 });
+        models.GroupMember.count.mockResolvedValue(0);
+
+        const res = await configurationProvider.getConfig().markMessagesRead({ userId: 1, messageId: 9 });
+
+        expect(res.status).toBe("error");
+        expect(models.MessageReadState.findOrCreate).not.toHaveBeenCalled();
+    });
+
+    test("rejects direct messages the user is not part of", async () => {
+        models.message.findByPk.mockResolvedValue({ id: 9, fromUserId: 2, toUserId: 3, groupId: null });
+
+        const res = await configurationProvider.getConfig().markMessagesRead({ userId: 1, messageId: 9 });
+
+        expect(res.status).toBe("error");
+    });
+});
+
+describe("getGroups() unread counts", () => {
+    test("adds unreadCount per group for the requesting user", async () => {
+        const models = await initService();
+        models.GroupMember.findAll.mockResolvedValue([{ groupId: 1 }, { groupId: 2 }]);
+        models.group.findAndCountAll.mockResolvedValue({
+            rows: [1, 2].map(id => ({ id, toJSON: () => ({ id, name: `G${id}` }) })),
+            count: 2
+        });
+        models.MessageReadState.findAll.mockResolvedValue([{ groupId: 1, lastReadMessageId: 10 }]);
+        models.message.findAll.mockResolvedValue([{ groupId: 1, unreadCount: "3" }]);
+
+        const res = await configurationProvider.getConfig().getGroups({ userId: 7 });
+
+        expect(res.data.map(g => g.unreadCount)).toEqual([3, 0]);
+        expect(models.message.findAll).toHaveBeenCalledWith(expect.objectContaining({
+            where: expect.objectContaining({
+                messageType: { [Op.ne]: "system" },
+                // Messages the user deleted for themselves are not unread
+                id: { [Op.notIn]: { sql: '(SELECT "messageId" FROM "hiddenmessages" WHERE "userId" = 7)' } }
+            })
+        }));
+    });
+});
+
+describe("syncMessages()", () => {
+    const since = "2026-03-01T10:00:00.000Z";
+
+    function row(data) {
+        return { ...data, toJSON: () => data };
+    }
+
+    test("classifies created, edited and deleted messages after the cursor", async () => {
+        const models = await initService();
+        models.GroupMember.findAll.mockResolvedValue([{ groupId: 4 }]);
+        models.message.findAll.mockResolvedValue([
+            row({ id: 1, fromUserId: 2, toUserId: 1, groupId: null, messageType: "text", messageText: "old", isDeleted: false, createdAt: "2026-02-01T00:00:00.000Z", updatedAt: "2026-03-01T11:00:00.000Z" }),
+            row({ id: 5, fromUserId: 3, toUserId: null, groupId: 4, messageType: "text", messageText: "new", isDeleted: false, createdAt: "2026-03-01T12:00:00.000Z", updatedAt: "2026-03-01T12:00:00.000Z" }),
+            row({ id: 2, fromUserId: 1, toUserId: 2, groupId: null, messageType: "text", messageText: "gone", isDeleted: true, createdAt: "2026-02-02T00:00:00.000Z", updatedAt: "2026-03-01T13:00:00.000Z" })
+        ]);
+        dbConnection.sequelize.query.mockResolvedValueOnce([
+            { id: 2, firstName: "Ravi", lastName: "K", email: "r@x.io" },
+            { id: 3, firstName: "Mei", lastName: "L", email: "m@x.io" }
+        ]);
+
+        const res = await configurationProvider.getConfig().syncMessages({ userId: 1, since });
+
+        expect(res.status).toBe("success");
+        expect(res.data.changes.map(c => c.type)).toEqual(["edited", "created", "deleted"]);
+        expect(res.data.changes[1].message.senderName).toBe("Mei L");
+        expect(res.data.changes[2].message.messageText).toBeUndefined();
+        expect(res.data.hasMore).toBe(false);
+    });
+
+    test("reports messages the caller deleted for themselves as deleted", async () => {
+        const models = await initService();
+        models.GroupMember.findAll.mockResolvedValue([]);
+        models.message.findAll.mockResolvedValue([
+            row({ id: 3, fromUserId: 2, toUserId: 1, groupId: null, messageType: "text", messageText: "hide me", isDeleted: false, createdAt: "2026-03-01T11:00:00.000Z", updatedAt: "2026-03-01T11:00:00.000Z" })
+        ]);
+        models.HiddenMessage.findAll
+            .mockResolvedValueOnce([{ id: 1, userId: 1, messageId: 3, createdAt: "2026-03-01T11:30:00.000Z" }])
+            .mockResolvedValueOnce([{ messageId: 3 }]);
+        dbConnection.sequelize.query.mockResolvedValueOnce([]);
+
+        const res = await configurationProvider.getConfig().syncMessages({ userId: 1, since });
+
+        expect(res.data.changes).toEqual([{
+            type: "deleted",
+            message: expect.objectContaining({ id: 3, scope: "me", isDeleted: true })
+        }]);
+        expect(res.data.changes[0].message.messageText).toBeUndefined();
+    });
+
+    test("reports a hide of a message created before the cursor", async () => {
+        const models = await initService();
+        models.GroupMember.findAll.mockResolvedValue([]);
+        // Nothing changed on the message itself; only the hide is new
+        models.message.findAll
+            .mockResolvedValueOnce([])
+            .mockResolvedValueOnce([{ id: 3, fromUserId: 2, toUserId: 1, groupId: null, deletedAt: null }]);
+        models.HiddenMessage.findAll.mockResolvedValueOnce([
+            { id: 4, userId: 1, messageId: 3, createdAt: "2026-03-01T11:30:00.000Z" }
+        ]);
+        dbConnection.sequelize.query.mockResolvedValueOnce([]);
+
+        const res = await configurationProvider.getConfig().syncMessages({ userId: 1, since });
+
+        expect(models.HiddenMessage.findAll.mock.calls[0][0].where.userId).toBe(1);
+        expect(res.data.changes).toEqual([{
+            type: "deleted",
+            message: {
+                id: 3, fromUserId: 2, toUserId: 1, groupId: null, isDeleted: true,
+                scope: "me", deletedAt: null, updatedAt: "2026-03-01T11:30:00.000Z"
+            }
+        }]);
+
+        // The next page starts after the hide
+        models.message.findAll.mockResolvedValue([]);
+        const next = await configurationProvider.getConfig().syncMessages({ userId: 1, cursor: res.data.nextCursor });
+        const [hideWhere] = models.HiddenMessage.findAll.mock.calls.at(-1);
+        expect(hideWhere.where[Op.or][1]).toEqual({ createdAt: new Date("2026-03-01T11:30:00.000Z"), id: { [Op.gt]: 4 } });
+        expect(next.data.changes).toEqual([]);
+    });
+
+    test("pages with an opaque cursor", async () => {
+        const models = await initService();
+        models.GroupMember.findAll.mockResolvedValue([]);
+        models.message.findAll.mockResolvedValue([
+            row({ id: 7, fromUserId: 1, toUserId: 2, groupId: null, messageType: "text", isDeleted: false, createdAt: since, updatedAt: "2026-03-02T00:00:00.000Z" }),
+            row({ id: 8, fromUserId: 1, toUserId: 2, groupId: null, messageType: "text", isDeleted: false, createdAt: since, updatedAt: "2026-03-03T00:00:00.000Z" })
+        ]);
+        dbConnection.sequelize.query.mockResolvedValueOnce([]);
+
+        const first = await configurationProvider.getConfig().syncMessages({ userId: 1, since, limit: 1 });
+        expect(first.data.hasMore).toBe(true);
+        expect(first.data.changes).toHaveLength(1);
+
+        models.message.findAll.mockResolvedValue([]);
+        const second = await configurationProvider.getConfig().syncMessages({ userId: 1, cursor: first.data.nextCursor });
+        expect(second.status).toBe("success");
+        expect(second.data.nextCursor).toBe(first.data.nextCursor);
+    });
+
+    test("rejects a missing since and a malformed cursor", async () => {
+        await initService();
+        const { syncMessages } = configurationProvider.getConfig();
+
+        expect((await syncMessages({ userId: 1 })).status).toBe("error");
+        expect((await syncMessages({ userId: 1, cursor: "not-a-cursor" })).message).toBe("Invalid sync cursor");
+    });
+});
+
+describe("getReplyPreviews()", () => {
+    test("builds compact quotes with sender, snippet and deleted flag", async () => {
+        const models = await initService();
+        models.message.findAll.mockResolvedValue([
+            { id: 3, fromUserId: 2, messageType: "text", messageText: `  Quote\n${"x".repeat(200)}`, isDeleted: false },
+            { id: 4, fromUserId: 2, messageType: "text", messageText: "secret", isDeleted: true }
+        ]);
+        dbConnection.sequelize.query.mockResolvedValueOnce([{ id: 2, firstName: "Ravi", lastName: "K", email: "r@x.io" }]);
+
+        const previews = await configurationProvider.getConfig().getReplyPreviews([3, 4, 3, null]);
+
+        expect(models.message.findAll).toHaveBeenCalledTimes(1);
+        expect(previews[3]).toEqual(expect.objectContaining({ senderName: "Ravi K", isDeleted: false }));
+        expect(previews[3].snippet).toHaveLength(120);
+        expect(previews[3].snippet.startsWith("Quote xxx")).toBe(true);
+        expect(previews[4]).toEqual(expect.objectContaining({ snippet: null, isDeleted: true }));
+    });
+
+    test("skips the lookup when nothing is a reply", async () => {
+        const models = await initService();
+
+        expect(await configurationProvider.getConfig().getReplyPreviews([null, undefined])).toEqual({});
+        expect(models.message.findAll).not.toHaveBeenCalled();
+    });
+});
+
+describe("reactions", () => {
+    let models;
+
+    beforeEach(async () => {
+        models = await initService();
+    });
+
+    test("adds a reaction and returns the updated counts", async () => {
+        models.message.findByPk.mockResolvedValue({ id: 9, fromUserId: 2, toUserId: 1, groupId: null, isDeleted: false });
+        models.MessageReaction.findOrCreate.mockResolvedValue([{}, true]);
+        models.MessageReaction.findAll.mockResolvedValue([
+            { messageId: 9, userId: 2, emoji: "👍" },
+            { messageId: 9, userId: 1, emoji: "👍" },
+            { messageId: 9, userId: 1, emoji: "🎉" }
+        ]);
+
+        const res = await configurationProvider.getConfig().addReaction({ userId: "1", messageId: 9, emoji: " 👍 " });
+
+        expect(models.MessageReaction.findOrCreate).toHaveBeenCalledWith({
+            where: { messageId: 9, userId: 1, emoji: "👍" }
+        });
+        expect(res).toEqual({
+            status: "success",
+            data: {
+                messageId: 9, groupId: null, fromUserId: 2, toUserId: 1,
+                userId: 1, emoji: "👍", action: "added",
+                reactions: [
+                    { emoji: "👍", count: 2, userIds: [2, 1] },
+                    { emoji: "🎉", count: 1, userIds: [1] }
+                ]
+            }
+        });
+    });
+
+    test("removes only the caller's reaction", async () => {
+        models.message.findByPk.mockResolvedValue({ id: 9, fromUserId: 2, toUserId: null, groupId: 5, isDeleted: false });
+        models.GroupMember.count.mockResolvedValue(1);
+
+        const res = await configurationProvider.getConfig().removeReaction({ userId: 1, messageId: 9, emoji: "👍🏽" });
+
+        expect(models.MessageReaction.destroy).toHaveBeenCalledWith({
+            where: { messageId: 9, userId: 1, emoji: "👍🏽" }
+        });
+        expect(res.data).toEqual(expect.objectContaining({ groupId: 5, action: "removed", reactions: [] }));
+    });
+
+    test.each([
+        ["plain text", "ok"],
+        ["digits", "123"],
+        ["several words", "👍 👍"],
+        ["an overlong sequence", "👍".repeat(17)],
+        ["a non-string", 5]
+    ])("rejects %s as emoji", async (label, emoji) => {
+        const res = await configurationProvider.getConfig().addReaction({ userId: 1, messageId: 9, emoji });
+
+        expect(res).toEqual({ status: "error", message: "A single emoji is required." });
+        expect(models.message.findByPk).not.toHaveBeenCalled();
+    });
+
+    test("accepts flags, keycaps and ZWJ sequences", async () => {
+        models.message.findByPk.mockResolvedValue(null);
+
+        for (const emoji of ["🇮🇳", "1️⃣", "👩‍💻", "❤️"]) {
+            const res = await configurationProvider.getConfig().addReaction({ userId: 1, messageId: 9, emoji });
+            expect(res.message).toBe("Message not found");
+        }
+    });
+
+    test("rejects deleted messages and conversations the user is not in", async () => {
+        models.message.findByPk.mockResolvedValueOnce({ id: 9, fromUserId: 1, toUserId: 2, groupId: null, isDeleted: true });
+        models.message.findByPk.mockResolvedValueOnce({ id: 9, fromUserId: 2, toUserId: 3, groupId: null, isDeleted: false });
+        models.message.findByPk.mockResolvedValueOnce({ id: 9, fromUserId: 2, toUserId: null, groupId: 5, isDeleted: false });
+        models.GroupMember.count.mockResolvedValue(0);
+
+        for (let i = 0; i < 3; i++) {
+            const res = await configurationProvider.getConfig().addReaction({ userId: 1, messageId: 9, emoji: "👍" });
+            expect(res).toEqual({ status: "error", message: "Message not found" });
+        }
+        expect(models.MessageReaction.findOrCreate).not.toHaveBeenCalled();
+    });
+
+    test("summarises reactions per message from the caller's point of view", async () => {
+        models.MessageReaction.findAll.mockResolvedValue([
+            { messageId: 9, userId: 2, emoji: "👍" },
+            { messageId: 9, userId: 1, emoji: "👍" },
+            { messageId: 10, userId: 2, emoji: "😂" }
+        ]);
+
+        const summaries = await configurationProvider.getConfig().getReactionSummaries([9, 10, 9], 1);
+
+        expect(models.MessageReaction.findAll).toHaveBeenCalledTimes(1);
+        expect(summaries).toEqual({
+            9: [{ emoji: "👍", count: 2, reacted: true }],
+            10: [{ emoji: "😂", count: 1, reacted: false }]
+        });
+    });
+});
+
+describe("editMessage()", () => {
+    let models;
+    let transaction;
+
+    function storedMessage(fields = {}) {
+        const message = {
+            id: 9, fromUserId: 1, toUserId: 2, groupId: null,
+            messageType: "text", messageText: "Helo", isDeleted: false,
+            save: jest.fn(),
+            ...fields
+        };
+        message.toJSON = () => {
+            const { save, toJSON, ...json } = message;
+            return json;
+        };
+        return message;
+    }
+
+    beforeEach(async () => {
+        models = await initService();
+        transaction = { LOCK: { UPDATE: "UPDATE" }, commit: jest.fn(), rollback: jest.fn() };
+        dbConnection.sequelize.transaction.mockResolvedValue(transaction);
+    });
+
+    test("keeps the previous text as a revision and flags the message", async () => {
+        const message = storedMessage();
+        models.message.findByPk.mockResolvedValue(message);
+
+        const res = await configurationProvider.getConfig().editMessage({ userId: "1", messageId: 9, messageText: " Hello " });
+
+        expect(models.MessageRevision.create).toHaveBeenCalledWith({
+            messageId: 9,
+            editedBy: 1,
+            previousText: "Helo",
+            editedAt: expect.any(Date)
+        }, { transaction });
+        expect(message.save).toHaveBeenCalledWith({ transaction });
+        expect(transaction.commit).toHaveBeenCalled();
+        expect(res.data).toEqual(expect.objectContaining({
+            messageText: "Hello",
+            isEdited: true,
+            editedAt: models.MessageRevision.create.mock.calls[0][0].editedAt
+        }));
+    });
+
+    test("rolls back when the message cannot be saved", async () => {
+        const message = storedMessage({ save: jest.fn().mockRejectedValue(new Error("db down")) });
+        models.message.findByPk.mockResolvedValue(message);
+
+        const res = await configurationProvider.getConfig().editMessage({ userId: 1, messageId: 9, messageText: "Hello" });
+
+        expect(transaction.rollback).toHaveBeenCalled();
+        expect(transaction.commit).not.toHaveBeenCalled();
+        expect(res).toEqual({ status: "error", message: "db down" });
+    });
+
+    test("does not record a revision when the text is unchanged", async () => {
+        models.message.findByPk.mockResolvedValue(storedMessage());
+
+        const res = await configurationProvider.getConfig().editMessage({ userId: 1, messageId: 9, messageText: "Helo" });
+
+        expect(res.status).toBe("success");
+        expect(models.MessageRevision.create).not.toHaveBeenCalled();
+    });
+
+    test.each([
+        ["empty text", {}, "   ", "Message text cannot be empty"],
+        ["another user's message", { fromUserId: 2 }, "Hi", "Unauthorized to edit this message"],
+        ["a document", { messageType: "doc" }, "Hi", "Only text messages can be edited"],
+        ["a deleted message", { isDeleted: true }, "Hi", "Message not found"]
+    ])("rejects %s", async (label, fields, messageText, error) => {
+        models.message.findByPk.mockResolvedValue(storedMessage(fields));
+
+        const res = await configurationProvider.getConfig().editMessage({ userId: 1, messageId: 9, messageText });
+
+        expect(res).toEqual({ status: "error", message: error });
+        expect(models.MessageRevision.create).not.toHaveBeenCalled();
+    });
+});
+
+describe("getMessageRevisions()", () => {
+    let models;
+
+    beforeEach(async () => {
+        models = await initService();
+    });
+
+    test("lists revisions oldest first with editor names", async () => {
+        const first = new Date("2026-03-01T10:00:00Z");
+        models.message.findByPk.mockResolvedValue({
+            id: 9, fromUserId: 2, toUserId: null, groupId: 5,
+            messageText: "Final", isEdited: true, editedAt: new Date("2026-03-01T11:00:00Z")
+        });
+        models.GroupMember.count.mockResolvedValue(1);
+        models.MessageRevision.findAll.mockResolvedValue([
+            { id: 1, editedBy: 2, previousText: "Draft", editedAt: first },
+            { id: 2, editedBy: 2, previousText: "Draft 2", editedAt: new Date("2026-03-01T11:00:00Z") }
+        ]);
+        dbConnection.sequelize.query.mockResolvedValueOnce([{ id: 2, firstName: "Ravi", lastName: "K", email: "r@x.io" }]);
+
+        const res = await configurationProvider.getConfig().getMessageRevisions({ userId: 1, messageId: "9" });
+
+        expect(models.MessageRevision.findAll).toHaveBeenCalledWith({
+            where: { messageId: 9 },
+            order: [["editedAt", "ASC"], ["id", "ASC"]]
+        });
+        expect(res.data.messageText).toBe("Final");
+        expect(res.data.revisions[0]).toEqual({ id: 1, editedBy: 2, editorName: "Ravi K", previousText: "Draft", editedAt: first });
+        expect(res.data.revisions).toHaveLength(2);
+    });
+
+    test("hides revisions from users outside the conversation", async () => {
+        models.message.findByPk.mockResolvedValue({ id: 9, fromUserId: 2, toUserId: 3, groupId: null });
+
+        const res = await configurationProvider.getConfig().getMessageRevisions({ userId: 1, messageId: 9 });
+
+        expect(res).toEqual({ status: "error", message: "Message not found" });
+        expect(models.MessageRevision.findAll).not.toHaveBeenCalled();
+    });
+});
+
+describe("deleteMessage()", () => {
+    let models;
+
+    function storedMessage(fields = {}) {
+        return {
+            id: 9, fromUserId: 1, toUserId: 2, groupId: null,
+            messageType: "text", isDeleted: false, createdAt: new Date(),
+            save: jest.fn(),
+            ...fields
+        };
+    }
+
+    beforeEach(async () => {
+        models = await initService({ messagePolicy: { deleteForEveryoneSeconds: 600 } });
+    });
+
+    test("deletes the sender's message for everyone inside the window", async () => {
+        const message = storedMessage();
+        models.message.findByPk.mockResolvedValue(message);
+
+        const res = await configurationProvider.getConfig().deleteMessage({ userId: 1, messageId: 9, scope: "everyone" });
+
+        expect(message.isDeleted).toBe(true);
+        expect(message.deletedAt).toBeInstanceOf(Date);
+        expect(message.save).toHaveBeenCalled();
+        expect(res.data).toEqual({
+            messageId: 9, groupId: null, toUserId: 2, fromUserId: 1,
+            scope: "everyone", deletedAt: message.deletedAt
+        });
+    });
+
+    test("refuses to delete for everyone after the window", async () => {
+        const message = storedMessage({ createdAt: new Date(Date.now() - 601 * 1000) });
+        models.message.findByPk.mockResolvedValue(message);
+
+        const res = await configurationProvider.getConfig().deleteMessage({ userId: 1, messageId: 9 });
+
+        expect(res).toEqual({
+            status: "error",
+            code: "DELETE_WINDOW_EXPIRED",
+            message: "This message can no longer be deleted for everyone."
+        });
+        expect(message.save).not.toHaveBeenCalled();
+    });
+
+    test("lets only the sender delete for everyone", async () => {
+        models.message.findByPk.mockResolvedValue(storedMessage({ fromUserId: 2, toUserId: 1 }));
+
+        const res = await configurationProvider.getConfig().deleteMessage({ userId: 1, messageId: 9, scope: "everyone" });
+
+        expect(res).toEqual({ status: "error", message: "Unauthorized to delete this message." });
+    });
+
+    test("hides any message of the conversation for the caller only", async () => {
+        const message = storedMessage({ fromUserId: 2, toUserId: 1, createdAt: new Date(0) });
+        models.message.findByPk.mockResolvedValue(message);
+
+        const res = await configurationProvider.getConfig().deleteMessage({ userId: "1", messageId: 9, scope: "me" });
+
+        expect(models.HiddenMessage.findOrCreate).toHaveBeenCalledWith({ where: { userId: 1, messageId: 9 } });
+        expect(message.save).not.toHaveBeenCalled();
+        expect(res.data).toEqual(expect.objectContaining({ messageId: 9, scope: "me" }));
+    });
+
+    test("rejects unknown scopes and outsiders", async () => {
+        const { deleteMessage } = configurationProvider.getConfig();
+
+        expect((await deleteMessage({ userId: 1, messageId: 9, scope: "all" })).message).toBe("scope must be \"me\" or \"everyone\".");
+
+        models.message.findByPk.mockResolvedValue(storedMessage({ fromUserId: 2, toUserId: 3 }));
+        expect(await deleteMessage({ userId: 1, messageId: 9, scope: "me" })).toEqual({ status: "error", message: "Message not found." });
+        expect(models.HiddenMessage.findOrCreate).not.toHaveBeenCalled();
+    });
+});
+
+describe("validateMessagePolicy()", () => {
+    test("merges overrides with the defaults", () => {
+        expect(new Service().validateMessagePolicy(null)).toEqual({ deleteForEveryoneSeconds: 86400 });
+        expect(new Service().validateMessagePolicy({ deleteForEveryoneSeconds: null })).toEqual({ deleteForEveryoneSeconds: null });
+    });
+
+    test("rejects a non-positive window", () => {
+        expect(() => new Service().validateMessagePolicy({ deleteForEveryoneSeconds: 0 }))
+            .toThrow("messagePolicy.deleteForEveryoneSeconds must be a positive integer or null");
+    });
+});
+
+describe("group roles", () => {
+    let models;
+    let transaction;
+
+    function membership(role) {
+        return { id: 1, role, save: jest.fn() };
+    }
+
+    beforeEach(async () => {
+        models = await initService();
+        transaction = { LOCK: { UPDATE: "UPDATE" }, commit: jest.fn(), rollback: jest.fn() };
+        dbConnection.sequelize.transaction.mockResolvedValue(transaction);
+    });
+
+    test("makes the creator the owner of a new group", async () => {
+        models.group.findOne.mockResolvedValue(null);
+        models.group.create.mockResolvedValue({ id: 4, name: "Buyers" });
+
+        await configurationProvider.getConfig().createGroup({ name: "Buyers", groupUsers: [7, 2], createdBy: 7 });
+
+        expect(models.GroupMember.create).toHaveBeenCalledWith({ groupId: 4, userId: 7, role: "owner" });
+        expect(models.GroupMember.create).toHaveBeenCalledWith({ groupId: 4, userId: 2 });
+        expect(models.GroupMember.create).toHaveBeenCalledTimes(2);
+    });
+
+    test("lets only owners and admins update a group", async () => {
+        models.group.findOne.mockResolvedValue({ id: 4 });
+        models.GroupMember.findOne.mockResolvedValue(membership("member"));
+
+        const res = await configurationProvider.getConfig().updateGroup({ groupId: 4, name: "New", groupUsers: [], userId: 2 });
+
+        expect(res).toEqual({ status: "error", code: "FORBIDDEN", message: "Only group owners and admins can update this group." });
+        expect(models.group.update).not.toHaveBeenCalled();
+    });
+
+    test("never removes the owner when an admin replaces the member list", async () => {
+        models.group.findOne.mockResolvedValueOnce({ id: 4 }).mockResolvedValueOnce(null);
+        models.GroupMember.findOne.mockResolvedValue(membership("admin"));
+        models.GroupMember.findAll.mockResolvedValue([
+            { userId: 7, role: "owner" },
+            { userId: 2, role: "admin" },
+            { userId: 3, role: "member" }
+        ]);
+
+        const res = await configurationProvider.getConfig().updateGroup({ groupId: 4, name: "New", groupUsers: [2], userId: 2 });
+
+        expect(res.status).toBe("success");
+        expect(models.GroupMember.destroy).toHaveBeenCalledWith({
+            where: { groupId: 4, userId: { [Op.in]: [3] } }
+        });
+    });
+
+    test("refuses member changes from plain members and removal of the owner", async () => {
+        const { assignGroupMembers } = configurationProvider.getConfig();
+
+        models.GroupMember.findOne.mockResolvedValueOnce(membership("member"));
+        expect((await assignGroupMembers({ groupId: 4, notAssigned: [9], userId: 3 })).code).toBe("FORBIDDEN");
+
+        models.GroupMember.findOne.mockResolvedValueOnce(membership("admin"));
+        models.GroupMember.count.mockResolvedValueOnce(1);
+        expect(await assignGroupMembers({ groupId: 4, unlinkAssigned: [7], userId: 2 })).toEqual({
+            status: "error", code: "FORBIDDEN", message: "The group owner cannot be removed."
+        });
+
+        expect(transaction.rollback).toHaveBeenCalledTimes(2);
+        expect(models.GroupMember.destroy).not.toHaveBeenCalled();
+        expect(models.GroupMember.bulkCreate).not.toHaveBeenCalled();
+    });
+
+    test("promotes a member to admin", async () => {
+        const target = membership("member");
+        models.GroupMember.findOne.mockResolvedValueOnce(membership("admin")).mockResolvedValueOnce(target);
+
+        const res = await configurationProvider.getConfig().setGroupMemberRole({ groupId: "4", userId: 2, memberId: "3", role: "admin" });
+
+        expect(target.role).toBe("admin");
+        expect(target.save).toHaveBeenCalled();
+        expect(res.data).toEqual({ groupId: 4, userId: 3, role: "admin" });
+    });
+
+    test("does not change the owner's role or let members promote", async () => {
+        const { setGroupMemberRole } = configurationProvider.getConfig();
+
+        models.GroupMember.findOne.mockResolvedValueOnce(membership("admin")).mockResolvedValueOnce(membership("owner"));
+        expect((await setGroupMemberRole({ groupId: 4, userId: 2, memberId: 7, role: "member" })).code).toBe("FORBIDDEN");
+
+        models.GroupMember.findOne.mockResolvedValueOnce(membership("member"));
+        expect((await setGroupMemberRole({ groupId: 4, userId: 3, memberId: 3, role: "admin" })).code).toBe("FORBIDDEN");
+
+        expect((await setGroupMemberRole({ groupId: 4, userId: 2, memberId: 3, role: "owner" })).message)
+            .toBe("role must be \"admin\" or \"member\".");
+    });
+
+    test("transfers ownership and keeps the previous owner as admin", async () => {
+        models.GroupMember.findOne.mockResolvedValue(membership("owner"));
+
+        const res = await configurationProvider.getConfig().transferGroupOwnership({ groupId: "4", userId: 7, newOwnerId: "3" });
+
+        expect(models.GroupMember.update).toHaveBeenCalledWith({ role: "owner" }, { where: { groupId: 4, userId: 3 }, transaction });
+        expect(models.GroupMember.update).toHaveBeenCalledWith({ role: "admin" }, { where: { groupId: 4, userId: 7 }, transaction });
+        expect(models.GroupMember.findOne).toHaveBeenLastCalledWith(expect.objectContaining({
+            where: { groupId: 4, userId: 7 },
+            transaction,
+            lock: "UPDATE"
+        }));
+        expect(transaction.commit).toHaveBeenCalled();
+        expect(res.data).toEqual({ groupId: 4, ownerId: 3, previousOwnerId: 7 });
+    });
+
+    test("aborts when the owner lost ownership before the transaction locked their row", async () => {
+        models.GroupMember.findOne
+            .mockResolvedValueOnce(membership("owner"))
+            .mockResolvedValueOnce(membership("admin"));
+
+        const res = await configurationProvider.getConfig().transferGroupOwnership({ groupId: 4, userId: 7, newOwnerId: 3 });
+
+        expect(res.code).toBe("FORBIDDEN");
+        expect(models.GroupMember.update).not.toHaveBeenCalled();
+        expect(transaction.rollback).toHaveBeenCalled();
+        expect(transaction.commit).not.toHaveBeenCalled();
+    });
+
+    test("only the owner can transfer ownership, and only to a member", async () => {
+        const { transferGroupOwnership } = configurationProvider.getConfig();
+
+        models.GroupMember.findOne.mockResolvedValueOnce(membership("admin"));
+        expect((await transferGroupOwnership({ groupId: 4, userId: 2, newOwnerId: 3 })).code).toBe("FORBIDDEN");
+
+        models.GroupMember.findOne.mockResolvedValue(membership("owner"));
+        models.GroupMember.update.mockResolvedValueOnce([0]);
+        expect((await transferGroupOwnership({ groupId: 4, userId: 7, newOwnerId: 99 })).message)
+            .toBe("User is not a member of this group.");
+        expect(transaction.rollback).toHaveBeenCalled();
+    });
+
+    test("exposes member roles in getGroupManageUsers", async () => {
+        models.group.findOne.mockResolvedValue({ id: 4, name: "Buyers" });
+        models.GroupMember.findAll.mockResolvedValue([{ userId: 2, role: "admin" }, { userId: 3, role: "member" }]);
+        models.GroupMember.findOne.mockResolvedValue(membership("owner"));
+        dbConnection.sequelize.query
+            .mockResolvedValueOnce([{ count: 2 }])
+            .mockResolvedValueOnce([
+                { id: 3, firstName: "Mei", lastName: "L", email: "m@x.io" },
+                { id: 2, firstName: "Ravi", lastName: "K", email: "r@x.io" }
+            ]);
+
+        const res = await configurationProvider.getConfig().getGroupManageUsers({ groupId: 4, assigned: 0, userId: 7 });
+
+        expect(res.data.map(u => [u.username, u.role])).toEqual([["Mei L", "member"], ["Ravi K", "admin"]]);
+        expect(res.groupInfo.role).toBe("owner");
+    });
+});
+
+describe("group owner backfill", () => {
+    test("makes the creator the owner of groups without one", async () => {
+        dbConnection.models = createModels();
+        dbConnection.models.GroupMember.findAll.mockResolvedValue([{ groupId: 1 }]);
+        dbConnection.models.group.findAll.mockResolvedValue([{ id: 2, createdBy: 5 }]);
+        describeUserTable();
+
+        await new Service().init({ dbconfig, userModel });
+
+        expect(dbConnection.models.group.findAll).toHaveBeenCalledWith(expect.objectContaining({
+            where: { id: { [Op.notIn]: [1] } }
+        }));
+        expect(dbConnection.models.GroupMember.update).toHaveBeenCalledWith(
+            { role: "owner" },
+            { where: { groupId: 2, userId: 5 } }
+        );
+    });
+});
+
+describe("legacy attachment import", () => {
+    const createStorage = () => ({
+        put: jest.fn(), get: jest.fn(), stream: jest.fn(), stat: jest.fn(), delete: jest.fn(),
+        list: jest.fn().mockResolvedValue([])
+    });
+
+    test("does not scan storage on a normal start", async () => {
+        const storage = createStorage();
+        await initService({ storage });
+
+        expect(storage.list).not.toHaveBeenCalled();
+    });
+
+    test("runs once when asked with importLegacyFiles", async () => {
+        const storage = createStorage();
+        await initService({ storage, importLegacyFiles: true });
+
+        expect(storage.list).toHaveBeenCalledWith("messagesdocs/");
+    });
+});
+
+describe("group events", () => {
+    let models;
+    let io;
+    let transaction;
+
+    function createIo() {
+        const room = { emit: jest.fn() };
+        const sockets = { socketsJoin: jest.fn(), socketsLeave: jest.fn() };
+        return {
+            room,
+            sockets,
+            to: jest.fn(() => room),
+            in: jest.fn(() => sockets)
+        };
+    }
+
+    function systemMessage(fields) {
+        return { ...fields, id: 50, toJSON: () => ({ id: 50, ...fields }) };
+    }
+
+    beforeEach(async () => {
+        io = createIo();
+        models = await initService({ io });
+        transaction = { LOCK: { UPDATE: "UPDATE" }, commit: jest.fn(), rollback: jest.fn() };
+        dbConnection.sequelize.transaction.mockResolvedValue(transaction);
+        models.message.create.mockImplementation(async fields => systemMessage(fields));
+        dbConnection.sequelize.query.mockResolvedValue([
+            { id: 7, firstName: "Ravi", lastName: "K", email: "r@x.io" },
+            { id: 2, firstName: "Mei", lastName: "L", email: "m@x.io" },
+            { id: 3, firstName: "Tom", lastName: "B", email: "t@x.io" }
+        ]);
+    });
+
+    test("joins every member to a new group and records who created it", async () => {
+        models.group.findOne.mockResolvedValue(null);
+        models.group.create.mockResolvedValue({ id: 4, name: "Buyers" });
+        const { presenceStore } = configurationProvider.getConfig();
+        await presenceStore.addSocket(2, "mei-socket");
+
+        await configurationProvider.getConfig().createGroup({ name: "Buyers", groupUsers: [2, 3], createdBy: 7 });
+
+        expect(io.in.mock.calls.map(([room]) => room)).toEqual(["user_7", "user_2", "user_3"]);
+        expect(io.sockets.socketsJoin).toHaveBeenCalledWith("group_4");
+        // Only connected members are tracked; the others join on connect
+        expect(await presenceStore.getRooms(2)).toContain("group_4");
+        expect(await presenceStore.getRooms(3)).toEqual([]);
+        await presenceStore.removeSocket("mei-socket");
+        expect(io.to).toHaveBeenCalledWith("group_4");
+        expect(io.room.emit).toHaveBeenCalledWith("group_created", expect.objectContaining({
+            groupId: 4,
+            group: { id: 4, name: "Buyers", createdBy: 7 },
+            memberIds: [7, 2, 3]
+        }));
+        expect(models.message.create).toHaveBeenCalledWith({
+            fromUserId: 7,
+            groupId: 4,
+            messageType: "system",
+            messageText: "Ravi K created the group \"Buyers\"",
+            systemEvent: { type: "group_created", name: "Buyers", actorId: 7 }
+        });
+        expect(io.room.emit).toHaveBeenCalledWith("new_message", expect.objectContaining({
+            groupId: 4,
+            message: expect.objectContaining({ messageType: "system" })
+        }));
+    });
+
+    test("announces added and removed members and evicts removed sockets after telling them", async () => {
+        models.GroupMember.findOne.mockResolvedValue({ role: "admin" });
+        models.GroupMember.count.mockResolvedValue(0);
+        models.group.findOne.mockResolvedValue({ id: 4, name: "Buyers" });
+        models.GroupMember.findAll
+            .mockResolvedValueOnce([{ userId: 3 }])   // members among unlinkAssigned
+            .mockResolvedValueOnce([]);               // already assigned among notAssigned
+
+        const res = await configurationProvider.getConfig().assignGroupMembers({
+            groupId: 4, unlinkAssigned: [3], notAssigned: [2], groupName: "Buyers", userId: 7
+        });
+
+        expect(res.status).toBe("success");
+        expect(transaction.commit).toHaveBeenCalled();
+
+        const events = io.room.emit.mock.calls.map(([event]) => event);
+        expect(events).toEqual(["group_member_added", "new_message", "group_member_removed", "new_message"]);
+        expect(io.room.emit).toHaveBeenCalledWith("group_member_added", expect.objectContaining({ groupId: 4, userIds: [2], addedBy: 7 }));
+        expect(io.room.emit).toHaveBeenCalledWith("group_member_removed", expect.objectContaining({ groupId: 4, userIds: [3], removedBy: 7 }));
+        expect(models.message.create.mock.calls.map(([m]) => m.messageText)).toEqual([
+            "Ravi K added Mei L",
+            "Ravi K removed Tom B"
+        ]);
+        expect(models.message.create.mock.calls.map(([m]) => m.systemEvent)).toEqual([
+            { type: "members_added", userIds: [2], actorId: 7 },
+            { type: "members_removed", userIds: [3], actorId: 7 }
+        ]);
+
+        const removedAt = io.room.emit.mock.invocationCallOrder[2];
+        expect(io.sockets.socketsLeave).toHaveBeenCalledWith("group_4");
+        expect(io.sockets.socketsLeave.mock.invocationCallOrder[0]).toBeGreaterThan(removedAt);
+    });
+
+    test("announces a rename", async () => {
+        models.group.findOne.mockResolvedValueOnce({ id: 4, name: "Buyers" }).mockResolvedValueOnce(null);
+        models.GroupMember.findOne.mockResolvedValue({ role: "owner" });
+        models.GroupMember.findAll.mockResolvedValue([{ userId: 7, role: "owner" }]);
+
+        await configurationProvider.getConfig().updateGroup({ groupId: 4, name: "Suppliers", groupUsers: [7], userId: 7 });
+
+        expect(io.room.emit).toHaveBeenCalledWith("group_updated", expect.objectContaining({ groupId: 4, name: "Suppliers", updatedBy: 7 }));
+        expect(models.message.create).toHaveBeenCalledWith(expect.objectContaining({
+            messageText: "Ravi K renamed the group to \"Suppliers\""
+        }));
+    });
+
+    test("lets a member leave and records it in the timeline", async () => {
+        models.GroupMember.findOne.mockResolvedValue({ role: "member" });
+
+        const res = await configurationProvider.getConfig().leaveGroup({ groupId: "4", userId: "2" });
+
+        expect(res).toEqual({ status: "success", message: "You left the group", data: { groupId: 4, userId: 2 } });
+        expect(models.GroupMember.destroy).toHaveBeenCalledWith({ where: { groupId: 4, userId: 2 } });
+        expect(io.room.emit).toHaveBeenCalledWith("group_member_removed", expect.objectContaining({ userIds: [2], removedBy: 2 }));
+        expect(models.message.create).toHaveBeenCalledWith(expect.objectContaining({
+            messageText: "Mei L left the group",
+            systemEvent: { type: "member_left", actorId: 2 }
+        }));
+        expect(io.in).toHaveBeenCalledWith("user_2");
+        expect(io.sockets.socketsLeave).toHaveBeenCalledWith("group_4");
+    });
+
+    test("keeps the owner until ownership is transferred", async () => {
+        const { leaveGroup } = configurationProvider.getConfig();
+
+        models.GroupMember.findOne.mockResolvedValueOnce({ role: "owner" });
+        models.GroupMember.count.mockResolvedValueOnce(2);
+        expect(await leaveGroup({ groupId: 4, userId: 7 })).toEqual({
+            status: "error", code: "FORBIDDEN", message: "Transfer ownership before leaving the group."
+        });
+
+        models.GroupMember.findOne.mockResolvedValueOnce(null);
+        expect((await leaveGroup({ groupId: 4, userId: 9 })).message).toBe("You are not a member of this group.");
+        expect(models.GroupMember.destroy).not.toHaveBeenCalled();
+
+        models.GroupMember.findOne.mockResolvedValueOnce({ role: "owner" });
+        models.GroupMember.count.mockResolvedValueOnce(0);
+        expect((await leaveGroup({ groupId: 4, userId: 7 })).status).toBe("success");
+    });
+
+    test("rejects an io that is not a socket.io server", async () => {
+        dbConnection.models = createModels();
+        const consoleError = jest.spyOn(console, "error").mockImplementation(() => {});
+
+        await expect(new Service().init({ dbconfig, userModel, io: {} })).rejects.toThrow("io must be a socket.io server");
+        consoleError.mockRestore();
+    });
+});
+
+describe("system messages", () => {
+    const systemMessage = { id: 30, fromUserId: 1, toUserId: null, groupId: 4, messageType: "system", messageText: "Ravi K added Mei L", isDeleted: false, createdAt: new Date(), save: jest.fn() };
+
+    test("cannot be edited or deleted", async () => {
+        const models = await initService();
+        models.message.findByPk.mockResolvedValue(systemMessage);
+        models.GroupMember.count.mockResolvedValue(1);
+        const { editMessage, deleteMessage } = configurationProvider.getConfig();
+
+        expect(await editMessage({ userId: 1, messageId: 30, messageText: "changed" }))
+            .toEqual({ status: "error", message: "System messages cannot be edited" });
+        expect(await deleteMessage({ userId: 1, messageId: 30, scope: "everyone" }))
+            .toEqual({ status: "error", message: "System messages cannot be deleted." });
+        expect(await deleteMessage({ userId: 1, messageId: 30, scope: "me" }))
+            .toEqual({ status: "error", message: "System messages cannot be deleted." });
+        expect(systemMessage.save).not.toHaveBeenCalled();
+        expect(models.HiddenMessage.findOrCreate).not.toHaveBeenCalled();
+    });
+});
+
+describe("getConversations()", () => {
+    let models;
+
+    beforeEach(async () => {
+        models = await initService();
+        Object.entries({ message: "messages", group: "groupsmaster", GroupMember: "groupuserslines", MessageReadState: "messagereadstates", HiddenMessage: "hiddenmessages" })
+            .forEach(([key, table]) => { models[key].getTableName = () => table; });
+        models.Attachment = { findAll: jest.fn().mockResolvedValue([]) };
+        dbConnection.sequelize.query.mockClear();
+    });
+
+
+    const directRow = {
+        type: "direct", peerUserId: 2, groupId: null, groupName: null, groupCreatedBy: null, role: null,
+        messageId: 40, messageFromUserId: 2, messageType: "text", messageText: "See you  at\n6", messageIsDeleted: false,
+        lastActivityAt: "2026-03-02T10:00:00.000Z", unreadCount: "3", totalRecords: "3"
+    };
+    const groupRow = {
+        type: "group", peerUserId: null, groupId: 7, groupName: "Design", groupCreatedBy: 1, role: "owner",
+        messageId: 41, messageFromUserId: 3, messageType: "doc", messageText: null, messageIsDeleted: false,
+        lastActivityAt: "2026-03-02T11:00:00.000Z", unreadCount: "1", totalRecords: "3"
+    };
+    const emptyGroupRow = {
+        type: "group", peerUserId: null, groupId: 8, groupName: "New", groupCreatedBy: 3, role: "member",
+        messageId: null, messageFromUserId: null, messageType: null, messageText: null, messageIsDeleted: null,
+        lastActivityAt: "2026-03-01T09:00:00.000Z", unreadCount: "0", totalRecords: "3"
+    };
+
+    test("builds the page in one query and resolves users in one lookup", async () => {
+        dbConnection.sequelize.query
+            .mockResolvedValueOnce([groupRow, directRow, emptyGroupRow])
+            .mockResolvedValueOnce([
+                { id: 2, firstName: "Mei", lastName: "L", email: "mei@example.com" },
+                { id: 3, firstName: "Ravi", lastName: "K", email: "ravi@example.com" }
+            ]);
+        models.Attachment.findAll.mockResolvedValue([
+            { id: 5, messageId: 41, originalName: "brief.pdf", size: 10, mimeType: "application/pdf" }
+        ]);
+
+        const res = await configurationProvider.getConfig().getConversations({ userId: 1, page: 1, limit: 20 });
+
+        expect(dbConnection.sequelize.query).toHaveBeenCalledTimes(2);
+        const [sql, options] = dbConnection.sequelize.query.mock.calls[0];
+        expect(sql).toContain("ROW_NUMBER() OVER");
+        expect(sql).toContain('"hiddenmessages"');
+        expect(options.replacements).toEqual({ userId: 1, limit: 20, offset: 0 });
+        expect(models.message.findOne).not.toHaveBeenCalled();
+
+        expect(res.status).toBe("success");
+        expect(res.pagination).toEqual({ currentPage: 1, totalPages: 1, totalRecords: 3, limit: 20 });
+        expect(res.data.map(c => [c.type, c.id])).toEqual([["group", 7], ["direct", 2], ["group", 8]]);
+        expect(res.data[0]).toEqual({
+            type: "group",
+            id: 7,
+            peer: null,
+            group: { id: 7, name: "Design", createdBy: 1, role: "owner" },
+            lastMessage: {
+                id: 41, fromUserId: 3, messageType: "doc", isDeleted: false,
+                senderName: "Ravi K", snippet: "brief.pdf", createdAt: groupRow.lastActivityAt
+            },
+            unreadCount: 1,
+            lastActivityAt: groupRow.lastActivityAt
+        });
+        expect(res.data[1].peer).toEqual({ id: "2", username: "Mei L", email: "mei@example.com" });
+        expect(res.data[1].lastMessage.snippet).toBe("See you at 6");
+        expect(res.data[1].unreadCount).toBe(3);
+        expect(res.data[2].lastMessage).toBeNull();
+    });
+
+    test("shows the deleted placeholder from the viewer's side", async () => {
+        dbConnection.sequelize.query.mockResolvedValueOnce([
+            { ...directRow, messageFromUserId: 1, messageIsDeleted: true, totalRecords: "1" }
+        ]);
+
+        const res = await configurationProvider.getConfig().getConversations({ userId: 1 });
+
+        expect(res.data[0].lastMessage).toEqual(expect.objectContaining({
+            isDeleted: true,
+            snippet: "You deleted this message."
+        }));
+    });
+
+    test("counts the conversations when the page is past the end", async () => {
+        dbConnection.sequelize.query
+            .mockResolvedValueOnce([])
+            .mockResolvedValueOnce([{ totalRecords: "3" }]);
+
+        const res = await configurationProvider.getConfig().getConversations({ userId: 1, page: 4, limit: 2 });
+
+        expect(dbConnection.sequelize.query.mock.calls[1][1].replacements).toEqual({ userId: 1 });
+        expect(res.data).toEqual([]);
+        expect(res.pagination).toEqual({ currentPage: 4, totalPages: 2, totalRecords: 3, limit: 2 });
+    });
+});
+
+describe("searchMessages()", () => {
+    let models;
+
+    beforeEach(async () => {
+        models = await initService();
+        Object.entries({ message: "usersmessagesmaster", GroupMember: "groupuserslines", HiddenMessage: "hiddenmessages" })
+            .forEach(([key, table]) => { models[key].getTableName = () => table; });
+        models.Attachment = { getTableName: () => "messageattachments", findAll: jest.fn().mockResolvedValue([]) };
+        dbConnection.sequelize.query.mockClear();
+    });
+
+    afterEach(() => {
+        dbConnection.sequelize.getDialect.mockReturnValue("sqlite");
+    });
+
+    const hit = {
+        id: 70, fromUserId: 2, toUserId: 1, groupId: null, messageType: "text",
+        messageText: "The <b>invoice</b> for March is attached, invoice number 12",
+        createdAt: "2026-03-03T09:00:00.000Z", rank: 2, snippet: null, totalRecords: "2"
+    };
+    const groupHit = {
+        id: 66, fromUserId: 1, toUserId: null, groupId: 4, messageType: "text",
+        messageText: "Invoice sent", createdAt: "2026-03-01T09:00:00.000Z", rank: 1, snippet: null, totalRecords: "2"
+    };
+
+    test("uses full-text search on PostgreSQL", async () => {
+        dbConnection.sequelize.getDialect.mockReturnValue("postgres");
+        dbConnection.sequelize.query.mockResolvedValueOnce([{ ...hit, snippet: "The <b>\u0002invoice\u0003</b> for March" }]);
+
+        const res = await configurationProvider.getConfig().searchMessages({ userId: 1, query: "invoice march" });
+
+        const [sql, options] = dbConnection.sequelize.query.mock.calls[0];
+        expect(sql).toContain(`to_tsvector('simple', COALESCE(m."messageText", '')) @@ websearch_to_tsquery('simple', :query)`);
+        expect(sql).toContain("ts_rank(");
+        expect(sql).toContain("ts_headline(");
+        expect(sql).toContain('"hiddenmessages"');
+        expect(options.replacements).toEqual(expect.objectContaining({ userId: 1, query: "invoice march", limit: 20, offset: 0 }));
+        expect(res.data[0].snippet).toBe("The &lt;b&gt;<mark>invoice</mark>&lt;/b&gt; for March");
+    });
+
+    test("falls back to LIKE on other dialects and builds the snippet itself", async () => {
+        dbConnection.sequelize.query
+            .mockResolvedValueOnce([hit, groupHit])
+            .mockResolvedValueOnce([
+                { id: 1, firstName: "Ravi", lastName: "K", email: "ravi@example.com" },
+                { id: 2, firstName: "Mei", lastName: "L", email: "mei@example.com" }
+            ]);
+        models.group.findAll.mockResolvedValue([{ id: 4, name: "Finance" }]);
+
+        const res = await configurationProvider.getConfig().searchMessages({ userId: 1, query: "Invoice 50%" });
+
+        const [sql, options] = dbConnection.sequelize.query.mock.calls[0];
+        expect(sql).not.toContain("to_tsvector");
+        expect(sql).toContain(`LOWER(m."messageText") LIKE :like0 ESCAPE '!'`);
+        expect(options.replacements).toEqual(expect.objectContaining({ like0: "%invoice%", like1: "%50!%%" }));
+
+        expect(res.status).toBe("success");
+        expect(res.pagination).toEqual({ currentPage: 1, totalPages: 1, totalRecords: 2, limit: 20 });
+        expect(res.data[0]).toEqual(expect.objectContaining({
+            id: 70,
+            senderName: "Mei L",
+            rank: 2,
+            snippet: "The &lt;b&gt;<mark>invoice</mark>&lt;/b&gt; for March is attached, <mark>invoice</mark> number 12",
+            conversation: { type: "direct", id: 2, peer: { id: "2", username: "Mei L", email: "mei@example.com" } }
+        }));
+        expect(res.data[1].conversation).toEqual({ type: "group", id: 4, group: { id: 4, name: "Finance" } });
+    });
+
+    test("applies sender, date and attachment filters", async () => {
+        await configurationProvider.getConfig().searchMessages({
+            userId: 1, query: "invoice", fromUserId: "2", startDate: "2026-03-01", endDate: "2026-03-31", hasAttachments: "true", page: 2, limit: 10
+        });
+
+        const [sql, options] = dbConnection.sequelize.query.mock.calls[0];
+        expect(sql).toContain(`m."fromUserId" = :fromUserId`);
+        expect(sql).toContain(`m."createdAt" >= :startDate`);
+        expect(sql).toContain(`m."createdAt" < :endDate`);
+        expect(sql).toContain(`AND EXISTS (SELECT 1 FROM "messageattachments" a WHERE a."messageId" = m.id)`);
+        expect(options.replacements).toEqual(expect.objectContaining({
+            fromUserId: 2,
+            startDate: new Date("2026-03-01T00:00:00.000Z"),
+            endDate: new Date("2026-04-01T00:00:00.000Z"),
+            limit: 10,
+            offset: 10
+        }));
+    });
+
+    test("creates the full-text index at init on PostgreSQL only", async () => {
+        const created = () => dbConnection.sequelize.query.mock.calls.some(([text]) => String(text).includes("CREATE INDEX"));
+        expect(created()).toBe(false);
+
+        dbConnection.sequelize.getDialect.mockReturnValue("postgres");
+        await initService();
+
+        const [sql] = dbConnection.sequelize.query.mock.calls.find(([text]) => String(text).includes("CREATE INDEX"));
+        expect(sql).toContain(`CREATE INDEX IF NOT EXISTS "usersmessagesmaster_text_search" ON "usersmessagesmaster"`);
+        expect(sql).toContain(`USING GIN (to_tsvector('simple', COALESCE("messageText", '')))`);
+    });
+
+    test("requires search text", async () => {
+        const res = await configurationProvider.getConfig().searchMessages({ userId: 1, query: "  " });
+
+        expect(res).toEqual({ status: "error", message: "Search text is required." });
+        expect(dbConnection.sequelize.query).not.toHaveBeenCalled();
+    });
+});
+
+describe("batched user lookups", () => {
+    let models;
+    const userRow = (id, firstName) => ({ id, firstName, lastName: "T", email: `${firstName.toLowerCase()}@example.com` });
+
+    beforeEach(async () => {
+        models = await initService();
+        dbConnection.sequelize.query.mockClear();
+    });
+
+
+    test("resolves each user once per request", async () => {
+        dbConnection.sequelize.query
+            .mockResolvedValueOnce([userRow(2, "Mei"), userRow(3, "Ravi")])
+            .mockResolvedValueOnce([userRow(4, "Ana")]);
+        const users = configurationProvider.getConfig().createUserResolver();
+
+        const first = await users.load([2, 3, 2, null]);
+        const second = await users.load([3, 4]);
+        const third = await users.load([2, 4]);
+
+        expect(dbConnection.sequelize.query).toHaveBeenCalledTimes(2);
+        expect(dbConnection.sequelize.query.mock.calls[0][1].replacements).toEqual({ userIds: [2, 3] });
+        expect(dbConnection.sequelize.query.mock.calls[1][1].replacements).toEqual({ userIds: [4] });
+        expect(Object.keys(first)).toEqual(["2", "3"]);
+        expect(second[4].username).toBe("Ana T");
+        expect(Object.keys(third)).toEqual(["2", "4"]);
+
+        // Unknown users are remembered too
+        await users.load([99]);
+        await users.load([99]);
+        expect(dbConnection.sequelize.query).toHaveBeenCalledTimes(3);
+
+        // A new request starts with an empty cache
+        await configurationProvider.getConfig().createUserResolver().load([2]);
+        expect(dbConnection.sequelize.query).toHaveBeenCalledTimes(4);
+    });
+
+    test("finds the last message of every chat user in one windowed query", async () => {
+        models.message.findAll.mockResolvedValue([{ userId: 2 }, { userId: 3 }, { userId: 4 }]);
+        dbConnection.sequelize.query
+            .mockResolvedValueOnce([{ count: "3" }])
+            .mockResolvedValueOnce([userRow(4, "Ana"), userRow(3, "Ravi"), userRow(2, "Mei")])
+            .mockResolvedValueOnce([
+                { id: 90, messageText: "later", createdAt: "2026-03-02T10:00:00.000Z", peerUserId: 3 },
+                { id: 80, messageText: "earlier", createdAt: "2026-03-01T10:00:00.000Z", peerUserId: 2 }
+            ]);
+
+        const res = await configurationProvider.getConfig().getAllUsers({ userId: 1, moduleValue: 1, totalRecords: 50 });
+
+        expect(dbConnection.sequelize.query).toHaveBeenCalledTimes(3);
+        const [sql, options] = dbConnection.sequelize.query.mock.calls[2];
+        expect(sql).toContain("ROW_NUMBER() OVER");
+        expect(options.replacements).toEqual({ userId: 1, peerUserIds: [4, 3, 2] });
+        expect(models.message.findOne).not.toHaveBeenCalled();
+
+        expect(res.data.map(user => [user.id, user.lastMessage || null, user.messageExists])).toEqual([
+            ["3", "later", true],
+            ["2", "earlier", true],
+            ["4", null, false]
+        ]);
+    });
+});
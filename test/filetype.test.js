@@ -0,0 +1,63 @@
+/**
+ * @file filetype.test.js
+ * Tests for magic-byte detection and the upload allow-list check.
+ */
+
+const { detectMimeType, checkFileType } = require("../src/utils/filetype");
+const { ALLOWED_MIME_TYPES } = require("../src/utils/apptool");
+
+describe("detectMimeType()", () => {
+    test.each([
+        ["%PDF-1.7\n", "application/pdf"],
+        [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0]), "image/png"],
+        [Buffer.from([0xff, 0xd8, 0xff, 0xe0]), "image/jpeg"],
+        ["GIF89a....", "image/gif"],
+        [Buffer.concat([Buffer.from("RIFF"), Buffer.alloc(4), Buffer.from("WEBPVP8 ")]), "image/webp"],
+        [Buffer.concat([Buffer.from([0x50, 0x4b, 0x03, 0x04]), Buffer.from("....[Content_Types].xml....word/document.xml")]), "application/vnd.openxmlformats-officedocument.wordprocessingml.document"],
+        [Buffer.concat([Buffer.from([0x50, 0x4b, 0x03, 0x04]), Buffer.from("....xl/workbook.xml")]), "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"],
+        ["plain notes – ünïcode", "text/plain"],
+        [Buffer.from([0x4d, 0x5a, 0x90, 0x00]), "application/x-msdownload"],
+        [Buffer.from([0x7f, 0x45, 0x4c, 0x46, 0x02]), "application/x-executable"],
+        ["#!/bin/sh\nrm -rf /", "text/x-shellscript"],
+        [Buffer.from([0x00, 0x01, 0x02, 0xff]), "application/octet-stream"]
+    ])("detects %p", (content, expected) => {
+        expect(detectMimeType(Buffer.from(content))).toBe(expected);
+    });
+
+    test("uses the extension only to tell legacy Office files apart", () => {
+        const ole = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1, 0x00]);
+
+        expect(detectMimeType(ole, "report.doc")).toBe("application/msword");
+        expect(detectMimeType(ole, "report.xls")).toBe("application/vnd.ms-excel");
+        expect(detectMimeType(ole, "report.pdf")).toBe("application/x-ole-storage");
+    });
+});
+
+describe("checkFileType()", () => {
+    const allowedMimeTypes = ALLOWED_MIME_TYPES;
+
+    test("accepts content matching its extension", () => {
+        expect(checkFileType({ fileName: "quote.pdf", mimeType: "application/pdf", allowedMimeTypes })).toBeNull();
+        expect(checkFileType({ fileName: "notes", mimeType: "text/plain", allowedMimeTypes })).toBeNull();
+    });
+
+    test("rejects an executable renamed to .pdf", () => {
+        expect(checkFileType({ fileName: "invoice.pdf", mimeType: "application/x-msdownload", allowedMimeTypes }))
+            .toEqual(expect.objectContaining({ code: "FILE_TYPE_NOT_ALLOWED" }));
+    });
+
+    test("rejects allowed content under another type's extension", () => {
+        expect(checkFileType({ fileName: "photo.pdf", mimeType: "image/png", allowedMimeTypes }))
+            .toEqual(expect.objectContaining({ code: "FILE_TYPE_MISMATCH" }));
+    });
+
+    test.each(["run.bat", "page.html", "x.svg", "a.exe"])("rejects text content named %s", fileName => {
+        expect(checkFileType({ fileName, mimeType: "text/plain", allowedMimeTypes }))
+            .toEqual(expect.objectContaining({ code: "FILE_TYPE_MISMATCH" }));
+    });
+
+    test("honours a custom allow-list", () => {
+        expect(checkFileType({ fileName: "photo.png", mimeType: "image/png", allowedMimeTypes: ["application/pdf"] }))
+            .toEqual(expect.objectContaining({ code: "FILE_TYPE_NOT_ALLOWED" }));
+    });
+});
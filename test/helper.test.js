@@ -0,0 +1,121 @@
+/**
+ * @file helper.test.js
+ * Tests for the shared helpers used by sockets and controllers.
+ */
+
+const { Op } = require("sequelize");
+const { configurationProvider } = require("../src/services/ChatService");
+const { getGroupMembers, isGroupMember, isSameConversation, notHiddenFor } = require("../src/utils/helper");
+
+describe("getGroupMembers()", () => {
+    let models;
+
+    beforeEach(() => {
+        models = {
+            group: {},
+            GroupMember: { findAll: jest.fn() }
+        };
+        configurationProvider.setConfig({ models });
+    });
+
+    test("lists the members of a group", async () => {
+        models.GroupMember.findAll.mockResolvedValue([
+            { userId: 1, groupId: 7 },
+            { userId: 2, groupId: 7 }
+        ]);
+
+        const members = await getGroupMembers({ groupId: "7" });
+
+        expect(models.GroupMember.findAll).toHaveBeenCalledWith(
+            expect.objectContaining({ where: { groupId: 7 } })
+        );
+        expect(members.map(m => m.userId)).toEqual([1, 2]);
+    });
+
+    test("lists the groups a user belongs to", async () => {
+        models.GroupMember.findAll.mockResolvedValue([
+            { groupId: 3, groupsTogroup: { id: 3, name: "Buyers" } },
+            { groupId: 4, groupsTogroup: { id: 4, name: "Vendors" } }
+        ]);
+
+        const groups = await getGroupMembers({ userId: 9 });
+
+        expect(models.GroupMember.findAll).toHaveBeenCalledWith(
+            expect.objectContaining({ where: { userId: 9 } })
+        );
+        expect(groups).toEqual([
+            { id: 3, name: "Buyers" },
+            { id: 4, name: "Vendors" }
+        ]);
+    });
+
+    test("returns an empty list without groupId or userId", async () => {
+        expect(await getGroupMembers()).toEqual([]);
+        expect(models.GroupMember.findAll).not.toHaveBeenCalled();
+    });
+});
+
+describe("isGroupMember()", () => {
+    let models;
+
+    beforeEach(() => {
+        models = { GroupMember: { count: jest.fn() } };
+        configurationProvider.setConfig({ models });
+    });
+
+    test("is true when a groupuserslines row exists", async () => {
+        models.GroupMember.count.mockResolvedValue(1);
+
+        expect(await isGroupMember("2", "5")).toBe(true);
+        expect(models.GroupMember.count).toHaveBeenCalledWith({ where: { groupId: 2, userId: 5 } });
+    });
+
+    test("is false for non-members or missing ids", async () => {
+        models.GroupMember.count.mockResolvedValue(0);
+
+        expect(await isGroupMember(2, 5)).toBe(false);
+        expect(await isGroupMember(2, null)).toBe(false);
+    });
+});
+
+describe("isSameConversation()", () => {
+    test("matches direct messages in either direction", () => {
+        const message = { fromUserId: 2, toUserId: 1, groupId: null };
+
+        expect(isSameConversation(message, { fromUserId: 1, toUserId: 2 })).toBe(true);
+        expect(isSameConversation(message, { fromUserId: 1, toUserId: 3 })).toBe(false);
+        expect(isSameConversation(message, { fromUserId: 1, groupId: 2 })).toBe(false);
+    });
+
+    test("matches group messages by group", () => {
+        const message = { fromUserId: 2, toUserId: null, groupId: 5 };
+
+        expect(isSameConversation(message, { fromUserId: 1, groupId: "5" })).toBe(true);
+        expect(isSameConversation(message, { fromUserId: 1, groupId: 6 })).toBe(false);
+        expect(isSameConversation(message, { fromUserId: 1, toUserId: 2 })).toBe(false);
+    });
+});
+
+describe("notHiddenFor()", () => {
+    beforeEach(() => {
+        configurationProvider.setConfig({
+            models: { HiddenMessage: { getTableName: () => "hiddenmessages" } },
+            sequelize: {
+                getQueryInterface: () => ({ quoteIdentifier: name => `"${name}"` }),
+                literal: sql => ({ sql })
+            }
+        });
+    });
+
+    test("selects the messages the user hid", () => {
+        expect(notHiddenFor("8")).toEqual({
+            [Op.notIn]: { sql: '(SELECT "messageId" FROM "hiddenmessages" WHERE "userId" = 8)' }
+        });
+    });
+
+    test("refuses ids that are not positive integers", () => {
+        for (const userId of [undefined, null, "abc", "1 OR 1=1", 0, -3, 1.5]) {
+            expect(() => notHiddenFor(userId)).toThrow("Invalid user id");
+        }
+    });
+});
@@ -0,0 +1,34 @@
+/**
+ * @file http.js
+ * Express response double shared by the controller tests.
+ */
+
+const { Writable } = require("stream");
+
+/**
+ * Response double: status / json are jest mocks, streamed bodies are
+ * collected. `res.done` resolves once json() is called or the stream finishes;
+ * the body is then in `res.body` (JSON object or Buffer).
+ */
+function createRes() {
+    const chunks = [];
+    const res = new Writable({
+        write(chunk, encoding, callback) {
+            chunks.push(chunk);
+            callback();
+        }
+    });
+    res.headers = {};
+    res.statusCode = 200;
+    res.status = jest.fn(code => { res.statusCode = code; return res; });
+    res.json = jest.fn(body => { res.body = body; res.emit("done"); return res; });
+    res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+    res.on("finish", () => {
+        res.body = Buffer.concat(chunks);
+        res.emit("done");
+    });
+    res.done = new Promise(resolve => res.once("done", resolve));
+    return res;
+}
+
+module.exports = { createRes };
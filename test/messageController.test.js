@@ -0,0 +1,280 @@
+/**
+ * @file messageController.test.js
+ * Tests for the REST message controllers.
+ */
+
+const { Op } = require("sequelize");
+const { configurationProvider } = require("../src/services/ChatService");
+const MessageControllers = require("../src/controllers/MessageController");
+const { createRes } = require("./helpers/http");
+
+describe("fetchMessages()", () => {
+    let models;
+
+    beforeEach(() => {
+        models = {
+            message: { findAndCountAll: jest.fn().mockResolvedValue({ rows: [], count: 0 }) },
+            GroupMember: { count: jest.fn() },
+            HiddenMessage: { getTableName: () => "hiddenmessages" }
+        };
+        const sequelize = {
+            getQueryInterface: () => ({ quoteIdentifier: name => `"${name}"` }),
+            literal: sql => ({ sql })
+        };
+        configurationProvider.setConfig({ models, sequelize });
+    });
+
+    test("returns 403 for group messages when the caller is not a member", async () => {
+        models.GroupMember.count.mockResolvedValue(0);
+        const res = createRes();
+
+        await MessageControllers.fetchMessages({ query: { groupId: "3" }, user_data: { user_id: 8 } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(models.message.findAndCountAll).not.toHaveBeenCalled();
+    });
+
+    test("returns group messages to members", async () => {
+        models.GroupMember.count.mockResolvedValue(1);
+        const res = createRes();
+
+        await MessageControllers.fetchMessages({ query: { groupId: "3" }, user_data: { user_id: 8 } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(models.message.findAndCountAll).toHaveBeenCalledWith(
+            expect.objectContaining({ where: expect.objectContaining({ groupId: 3 }) })
+        );
+    });
+
+    test("leaves out messages the caller deleted for themselves", async () => {
+        models.GroupMember.count.mockResolvedValue(1);
+
+        await MessageControllers.fetchMessages({ query: { groupId: "3" }, user_data: { user_id: 8 } }, createRes());
+
+        const { where } = models.message.findAndCountAll.mock.calls[0][0];
+        expect(where.id[Op.notIn]).toEqual({
+            sql: '(SELECT "messageId" FROM "hiddenmessages" WHERE "userId" = 8)'
+        });
+    });
+
+    test("shows deleted messages with a placeholder for the viewer", async () => {
+        models.GroupMember.count.mockResolvedValue(1);
+        const row = fields => ({ isDeleted: true, messageType: "text", replyToMessageId: null, toJSON: () => ({ isDeleted: true, ...fields }), ...fields });
+        models.message.findAndCountAll.mockResolvedValue({
+            rows: [row({ id: 2, fromUserId: 8, messageText: "mine" }), row({ id: 1, fromUserId: 5, messageText: "theirs" })],
+            count: 2
+        });
+        const res = createRes();
+
+        await MessageControllers.fetchMessages({ query: { groupId: "3" }, user_data: { user_id: 8 } }, res);
+
+        const { data } = res.json.mock.calls[0][0];
+        expect(data.map(m => m.messageText)).toEqual(["You deleted this message.", "This message was deleted."]);
+    });
+
+    test("resolves senders in one batch shared with the reply previews", async () => {
+        models.GroupMember.count.mockResolvedValue(1);
+        const row = (id, fromUserId) => ({ id, fromUserId, isDeleted: false, messageType: "text", replyToMessageId: 1, toJSON: () => ({ id, fromUserId }) });
+        models.message.findAndCountAll.mockResolvedValue({ rows: [row(4, 5), row(3, 6), row(2, 5)], count: 3 });
+        const users = { load: jest.fn().mockResolvedValue({ 5: { username: "Mei L" }, 6: { username: "Ravi K" } }) };
+        const getReplyPreviews = jest.fn().mockResolvedValue({});
+        const query = jest.fn();
+        configurationProvider.setConfig({
+            createUserResolver: () => users,
+            getReplyPreviews,
+            sequelize: { ...configurationProvider.getConfig().sequelize, query }
+        });
+        const res = createRes();
+
+        await MessageControllers.fetchMessages({ query: { groupId: "3" }, user_data: { user_id: 8 } }, res);
+
+        expect(users.load).toHaveBeenCalledTimes(1);
+        expect(users.load).toHaveBeenCalledWith([5, 6, 5]);
+        expect(getReplyPreviews).toHaveBeenCalledWith([1, 1, 1], users);
+        expect(query).not.toHaveBeenCalled();
+        expect(res.json.mock.calls[0][0].data.map(m => m.senderName)).toEqual(["Mei L", "Ravi K", "Mei L"]);
+        configurationProvider.setConfig({ createUserResolver: null, getReplyPreviews: null });
+    });
+
+    describe("cursors", () => {
+        const row = id => ({ id, fromUserId: 5, isDeleted: false, messageType: "text", replyToMessageId: null, toJSON: () => ({ id, fromUserId: 5 }) });
+        const fetch = async query => {
+            const res = createRes();
+            await MessageControllers.fetchMessages({ query: { groupId: "3", ...query }, user_data: { user_id: 8 } }, res);
+            return res;
+        };
+
+        beforeEach(() => {
+            models.GroupMember.count.mockResolvedValue(1);
+            models.message.findAll = jest.fn();
+            models.message.findOne = jest.fn().mockResolvedValue({ id: 1 });
+        });
+
+        test("adds cursors to page results", async () => {
+            models.message.findAndCountAll.mockResolvedValue({ rows: [row(30), row(29)], count: 6 });
+
+            const res = await fetch({ page: "2", limit: "2" });
+
+            expect(res.json.mock.calls[0][0].pagination).toEqual({
+                currentPage: 2, totalPages: 3, totalRecords: 6, limit: 2, nextCursor: 29, prevCursor: 30
+            });
+        });
+
+        test("loads older messages before a cursor", async () => {
+            models.message.findAll.mockResolvedValue([row(19), row(18), row(17)]);
+
+            const res = await fetch({ before: "20", limit: "2" });
+
+            const { where, order, limit } = models.message.findAll.mock.calls[0][0];
+            expect(where.id[Op.lt]).toBe(20);
+            expect(where.id[Op.notIn]).toBeDefined();
+            expect(where.groupId).toBe(3);
+            expect(order).toEqual([["id", "DESC"]]);
+            expect(limit).toBe(3);
+            expect(models.message.findOne.mock.calls[0][0].where.id[Op.gte]).toBe(20);
+
+            const body = res.json.mock.calls[0][0];
+            expect(body.data.map(m => m.id)).toEqual([19, 18]);
+            expect(body.pagination).toEqual({ limit: 2, nextCursor: 18, prevCursor: 19 });
+            expect(models.message.findAndCountAll).not.toHaveBeenCalled();
+        });
+
+        test("loads newer messages after a cursor, newest first", async () => {
+            models.message.findAll.mockResolvedValue([row(21), row(22)]);
+
+            const res = await fetch({ after: "20", limit: "2" });
+
+            expect(models.message.findAll.mock.calls[0][0]).toEqual(expect.objectContaining({ order: [["id", "ASC"]], limit: 3 }));
+            const body = res.json.mock.calls[0][0];
+            expect(body.data.map(m => m.id)).toEqual([22, 21]);
+            expect(body.pagination).toEqual({ limit: 2, nextCursor: 21, prevCursor: null });
+        });
+
+        test("centres the window on a message", async () => {
+            models.message.findAll
+                .mockResolvedValueOnce([row(50), row(49), row(48), row(47)])
+                .mockResolvedValueOnce([row(51)]);
+
+            const res = await fetch({ around: "50", limit: "5" });
+
+            expect(models.message.findAll.mock.calls[0][0].where.id[Op.lte]).toBe(50);
+            expect(models.message.findAll.mock.calls[0][0].limit).toBe(4);
+            expect(models.message.findAll.mock.calls[1][0].where.id[Op.gt]).toBe(50);
+            expect(models.message.findAll.mock.calls[1][0].limit).toBe(3);
+            const body = res.json.mock.calls[0][0];
+            expect(body.data.map(m => m.id)).toEqual([51, 50, 49, 48]);
+            expect(body.pagination).toEqual({ limit: 5, nextCursor: 48, prevCursor: null });
+        });
+
+        test("returns 404 when the around message is not in the conversation", async () => {
+            models.message.findOne.mockResolvedValue(null);
+
+            const res = await fetch({ around: "50" });
+
+            expect(res.status).toHaveBeenCalledWith(404);
+            expect(models.message.findAll).not.toHaveBeenCalled();
+        });
+    });
+});
+
+describe("getMessageRevisions()", () => {
+    test("returns the edit history for participants", async () => {
+        const getMessageRevisions = jest.fn().mockResolvedValue({
+            status: "success",
+            data: { messageId: 4, revisions: [{ id: 1, editedBy: 8, previousText: "Helo" }] }
+        });
+        configurationProvider.setConfig({ getMessageRevisions });
+        const res = createRes();
+
+        await MessageControllers.getMessageRevisions({ params: { messageId: "4" }, user_data: { user_id: 8 } }, res);
+
+        expect(getMessageRevisions).toHaveBeenCalledWith({ userId: 8, messageId: "4" });
+        expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test("returns 404 when the message is not visible to the caller", async () => {
+        configurationProvider.setConfig({
+            getMessageRevisions: jest.fn().mockResolvedValue({ status: "error", message: "Message not found" })
+        });
+        const res = createRes();
+
+        await MessageControllers.getMessageRevisions({ params: { messageId: "4" }, user_data: { user_id: 9 } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(res.json).toHaveBeenCalledWith({ status: "error", message: "Message not found" });
+    });
+});
+
+describe("searchMessages()", () => {
+    test("searches as the caller with the query filters", async () => {
+        const searchMessages = jest.fn().mockResolvedValue({ status: "error", message: "Search text is required." });
+        configurationProvider.setConfig({ searchMessages });
+        const res = createRes();
+
+        await MessageControllers.searchMessages({ query: { q: "invoice", hasAttachments: "true", fromUserId: "2" }, user_data: { user_id: 3 } }, res);
+
+        expect(searchMessages).toHaveBeenCalledWith(expect.objectContaining({
+            userId: 3, query: "invoice", fromUserId: "2", hasAttachments: "true", page: 1, limit: 20
+        }));
+        expect(res.status).toHaveBeenCalledWith(400);
+    });
+});
+
+describe("fetchConversations()", () => {
+    test("pages the caller's inbox", async () => {
+        const getConversations = jest.fn().mockResolvedValue({ status: "success", data: [], pagination: {} });
+        configurationProvider.setConfig({ getConversations });
+        const res = createRes();
+
+        await MessageControllers.fetchConversations({ query: { page: "2", limit: "5" }, user_data: { user_id: 3 } }, res);
+
+        expect(getConversations).toHaveBeenCalledWith({ page: "2", limit: "5", userId: 3 });
+        expect(res.status).toHaveBeenCalledWith(200);
+    });
+});
+
+describe("group role controllers", () => {
+    test("passes the caller to updateGroup and answers FORBIDDEN with 403", async () => {
+        const updateGroup = jest.fn().mockResolvedValue({ status: "error", code: "FORBIDDEN", message: "Only group owners and admins can update this group." });
+        configurationProvider.setConfig({ updateGroup });
+        const res = createRes();
+
+        await MessageControllers.updateGroup({ params: { groupId: "4" }, body: { name: "New" }, user_data: { user_id: 3 } }, res);
+
+        expect(updateGroup).toHaveBeenCalledWith(expect.objectContaining({ groupId: "4", userId: 3 }));
+        expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    test("transfers ownership to the member in the body", async () => {
+        const transferGroupOwnership = jest.fn().mockResolvedValue({ status: "success", data: { groupId: 4, ownerId: 9, previousOwnerId: 3 } });
+        configurationProvider.setConfig({ transferGroupOwnership });
+        const res = createRes();
+
+        await MessageControllers.transferGroupOwnership({ params: { groupId: "4" }, body: { userId: 9 }, user_data: { user_id: 3 } }, res);
+
+        expect(transferGroupOwnership).toHaveBeenCalledWith({ groupId: "4", newOwnerId: 9, userId: 3 });
+        expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test("leaves a group as the caller", async () => {
+        const leaveGroup = jest.fn().mockResolvedValue({ status: "error", code: "FORBIDDEN", message: "Transfer ownership before leaving the group." });
+        configurationProvider.setConfig({ leaveGroup });
+        const res = createRes();
+
+        await MessageControllers.leaveGroup({ params: { groupId: "4" }, user_data: { user_id: 3 } }, res);
+
+        expect(leaveGroup).toHaveBeenCalledWith({ groupId: "4", userId: 3 });
+        expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    test("changes a member role", async () => {
+        const setGroupMemberRole = jest.fn().mockResolvedValue({ status: "error", message: "User is not a member of this group." });
+        configurationProvider.setConfig({ setGroupMemberRole });
+        const res = createRes();
+
+        await MessageControllers.updateGroupMemberRole({ params: { groupId: "4", memberId: "5" }, body: { role: "admin" }, user_data: { user_id: 3 } }, res);
+
+        expect(setGroupMemberRole).toHaveBeenCalledWith({ groupId: "4", memberId: "5", role: "admin", userId: 3 });
+        expect(res.status).toHaveBeenCalledWith(400);
+    });
+});
@@ -0,0 +1,498 @@
+/**
+ * @file messageSocketHandler.test.js
+ * Tests for the socket.io handshake authentication and event handlers.
+ */
+
+const { configurationProvider } = require("../src/services/ChatService");
+const { DEFAULT_UPLOAD_POLICY } = require("../src/utils/apptool");
+const {
+    socketAuthMiddleware,
+    userMessagesControllers
+} = require("../src/socketcontrollers/MessageSocketHandler");
+
+// Minimal socket / io doubles: handlers are captured so tests can trigger events
+function createSocket(data = {}) {
+    const handlers = {};
+    const transportHandlers = {};
+    return {
+        id: `socket_${Math.random().toString(36).slice(2)}`,
+        data,
+        handshake: { auth: {} },
+        handlers,
+        conn: { handlers: transportHandlers, on: jest.fn((event, handler) => { transportHandlers[event] = handler; }) },
+        on: jest.fn((event, handler) => { handlers[event] = handler; }),
+        emit: jest.fn(),
+        join: jest.fn(),
+        leave: jest.fn(),
+        disconnect: jest.fn()
+    };
+}
+
+function createIo() {
+    const roomEmit = jest.fn();
+    const broadcast = {
+        emit: roomEmit,
+        except: jest.fn(() => broadcast),
+        disconnectSockets: jest.fn()
+    };
+    return {
+        roomEmit,
+        broadcast,
+        emit: jest.fn(),
+        to: jest.fn(() => broadcast),
+        sockets: { sockets: new Map() }
+    };
+}
+
+describe("socketAuthMiddleware", () => {
+    test("binds the verified identity to the socket", async () => {
+        configurationProvider.setConfig({
+            authenticateSocket: jest.fn().mockResolvedValue({ userId: "5", userInfo: { name: "Asha" } })
+        });
+        const socket = createSocket();
+        const next = jest.fn();
+
+        await socketAuthMiddleware(socket, next);
+
+        expect(next).toHaveBeenCalledWith();
+        expect(socket.data.userId).toBe(5);
+        expect(socket.data.userInfo).toEqual({ name: "Asha" });
+    });
+
+    test("rejects the handshake when the verifier returns null", async () => {
+        configurationProvider.setConfig({ authenticateSocket: jest.fn().mockResolvedValue(null) });
+        const socket = createSocket();
+        const next = jest.fn();
+
+        await socketAuthMiddleware(socket, next);
+
+        expect(next).toHaveBeenCalledWith(expect.any(Error));
+        expect(socket.data.userId).toBeUndefined();
+    });
+
+    test("rejects the handshake when no verifier is configured", async () => {
+        configurationProvider.setConfig({ authenticateSocket: null });
+        const next = jest.fn();
+
+        await socketAuthMiddleware(createSocket(), next);
+
+        expect(next.mock.calls[0][0].message).toBe("Socket authentication is not configured");
+    });
+});
+
+describe("userMessagesControllers identity", () => {
+    let messageModel;
+
+    beforeEach(() => {
+        messageModel = { findByPk: jest.fn(), create: jest.fn() };
+        configurationProvider.setConfig({
+            models: {
+                message: messageModel,
+                GroupMember: { count: jest.fn().mockResolvedValue(0), findAll: jest.fn().mockResolvedValue([]) }
+            },
+            uploadPolicy: DEFAULT_UPLOAD_POLICY
+        });
+    });
+
+    test("handleDeleteMessage ignores a client-supplied fromUserId", async () => {
+        const socket = createSocket({ userId: 2, userInfo: {} });
+        const io = createIo();
+        userMessagesControllers(socket, io);
+
+        const deleteMessage = jest.fn().mockResolvedValue({ status: "error", message: "Unauthorized to delete this message." });
+        configurationProvider.setConfig({ deleteMessage });
+
+        await socket.handlers.handleDeleteMessage({ messageId: 10, fromUserId: 1 });
+
+        expect(deleteMessage).toHaveBeenCalledWith({ userId: 2, messageId: 10, scope: "everyone" });
+        expect(socket.emit).toHaveBeenCalledWith("delete_message_error", {
+            messageId: 10,
+            error: "Unauthorized to delete this message."
+        });
+    });
+
+    test("handleSendMessage rejects an unauthenticated socket", async () => {
+        const socket = createSocket();
+        userMessagesControllers(socket, createIo());
+
+        await socket.handlers.handleSendMessage({
+            fromUserId: 1,
+            toUserId: 2,
+            messageType: "text",
+            messageText: "hi",
+            tempId: "t1"
+        });
+
+        expect(socket.emit).toHaveBeenCalledWith("message_error", {
+            tempId: "t1",
+            error: "Unauthenticated socket."
+        });
+    });
+
+    test("join_group rejects users outside the group", async () => {
+        const socket = createSocket({ userId: 2, userInfo: {} });
+        userMessagesControllers(socket, createIo());
+
+        await socket.handlers.join_group({ groupId: 4 });
+
+        expect(socket.join).not.toHaveBeenCalledWith("group_4");
+        expect(socket.emit).toHaveBeenCalledWith("message_error", {
+            groupId: 4,
+            error: "You are not a member of this group."
+        });
+    });
+
+    test("handleSendMessage rejects group sends from non-members", async () => {
+        const socket = createSocket({ userId: 2, userInfo: {} });
+        userMessagesControllers(socket, createIo());
+
+        await socket.handlers.handleSendMessage({
+            groupId: 4,
+            messageType: "text",
+            messageText: "hi",
+            tempId: "t2"
+        });
+
+        expect(messageModel.create).not.toHaveBeenCalled();
+        expect(socket.emit).toHaveBeenCalledWith("message_error", {
+            tempId: "t2",
+            error: "You are not a member of this group."
+        });
+    });
+
+    test("handleSendMessage rejects replies to another conversation", async () => {
+        const socket = createSocket({ userId: 2, userInfo: {} });
+        userMessagesControllers(socket, createIo());
+        messageModel.findByPk.mockResolvedValue({ id: 8, fromUserId: 5, toUserId: 6, groupId: null, isDeleted: false });
+
+        await socket.handlers.handleSendMessage({
+            toUserId: 3,
+            messageType: "text",
+            messageText: "re",
+            replyToMessageId: 8,
+            tempId: "t4"
+        });
+
+        expect(messageModel.create).not.toHaveBeenCalled();
+        expect(socket.emit).toHaveBeenCalledWith("message_error", expect.objectContaining({
+            tempId: "t4",
+            code: "INVALID_REPLY_TARGET"
+        }));
+    });
+
+    test("handleSendMessage embeds the quoted preview of a reply", async () => {
+        const socket = createSocket({ userId: 2, userInfo: {} });
+        const io = createIo();
+        userMessagesControllers(socket, io);
+        const preview = { id: 8, fromUserId: 3, senderName: "Mei", messageType: "text", snippet: "hi", isDeleted: false };
+        configurationProvider.setConfig({
+            getReplyPreviews: jest.fn().mockResolvedValue({ 8: preview }),
+            sequelize: { query: jest.fn().mockResolvedValue([]) },
+            userModel: { name: "users", columns: { username: { columns: ["name"] } } }
+        });
+        messageModel.findByPk.mockResolvedValue({ id: 8, fromUserId: 3, toUserId: 2, groupId: null, isDeleted: false });
+        messageModel.create.mockImplementation(async values => ({ id: 9, ...values, toJSON: () => ({ id: 9, ...values }) }));
+
+        await socket.handlers.handleSendMessage({
+            toUserId: 3,
+            messageType: "text",
+            messageText: "re",
+            replyToMessageId: 8,
+            tempId: "t5"
+        });
+
+        expect(messageModel.create).toHaveBeenCalledWith(expect.objectContaining({ replyToMessageId: 8 }));
+        expect(io.roomEmit).toHaveBeenCalledWith("new_message", expect.objectContaining({
+            message: expect.objectContaining({ id: 9, replyTo: preview })
+        }));
+    });
+
+    test("handleSendMessage reports upload policy violations with a code", async () => {
+        const socket = createSocket({ userId: 2, userInfo: {} });
+        userMessagesControllers(socket, createIo());
+        configurationProvider.setConfig({ uploadPolicy: { ...DEFAULT_UPLOAD_POLICY, maxFiles: 1 } });
+
+        await socket.handlers.handleSendMessage({
+            toUserId: 3,
+            messageType: "doc",
+            attachmentIds: [1, 2],
+            tempId: "t3"
+        });
+
+        expect(messageModel.create).not.toHaveBeenCalled();
+        expect(socket.emit).toHaveBeenCalledWith("message_error", {
+            tempId: "t3",
+            code: "TOO_MANY_FILES",
+            error: "Too many files. Maximum 1 files allowed."
+        });
+    });
+});
+
+describe("multi-device presence", () => {
+    beforeEach(() => {
+        configurationProvider.setConfig({
+            models: { GroupMember: { findAll: jest.fn().mockResolvedValue([]) } }
+        });
+    });
+
+    test("keeps every socket connected and goes offline after the last one", async () => {
+        const io = createIo();
+        const web = createSocket({ userId: 41, userInfo: {} });
+        const mobile = createSocket({ userId: 41, userInfo: {} });
+        userMessagesControllers(web, io);
+        userMessagesControllers(mobile, io);
+
+        await web.handlers.handleUserConnection({});
+        expect(io.emit).toHaveBeenCalledWith("user_status_changed", expect.objectContaining({ userId: 41, status: "online" }));
+        io.emit.mockClear();
+        await mobile.handlers.handleUserConnection({});
+
+        expect(web.disconnect).not.toHaveBeenCalled();
+        expect(mobile.emit).toHaveBeenCalledWith("connection_established", expect.objectContaining({ devices: 2 }));
+        expect(io.emit).not.toHaveBeenCalledWith("user_status_changed", expect.anything());
+
+        io.emit.mockClear();
+        await web.handlers.disconnect("transport close");
+        expect(io.emit).not.toHaveBeenCalledWith("user_status_changed", expect.anything());
+
+        await mobile.handlers.disconnect("transport close");
+        expect(io.emit).toHaveBeenCalledWith("user_status_changed", expect.objectContaining({
+            userId: 41,
+            status: "offline"
+        }));
+    });
+
+    test("publishes only the authenticated identity, not the payload's userInfo", async () => {
+        const addSocket = jest.spyOn(configurationProvider.getConfig().presenceStore, "addSocket");
+        const socket = createSocket({ userId: 44, userInfo: { name: "Asha" } });
+        userMessagesControllers(socket, createIo());
+
+        await socket.handlers.handleUserConnection({ userInfo: { name: "Mallory", isAdmin: true } });
+
+        expect(addSocket).toHaveBeenCalledWith(44, socket.id, { name: "Asha" });
+        addSocket.mockRestore();
+        await socket.handlers.disconnect("transport close");
+    });
+
+    test("refreshes the socket's presence on app and transport heartbeats", async () => {
+        const touch = jest.spyOn(configurationProvider.getConfig().presenceStore, "touch");
+        const socket = createSocket({ userId: 43, userInfo: {} });
+        userMessagesControllers(socket, createIo());
+        await socket.handlers.handleUserConnection({});
+
+        await socket.handlers.heartbeat();
+        socket.conn.handlers.heartbeat();
+
+        expect(touch.mock.calls).toEqual([[43, socket.id], [43, socket.id]]);
+        expect(socket.emit).toHaveBeenCalledWith("heartbeat_ack", expect.objectContaining({ status: "online" }));
+        touch.mockRestore();
+        await socket.handlers.disconnect("transport close");
+    });
+
+    test("disconnect_other_sessions only drops the caller's other devices", async () => {
+        const io = createIo();
+        const current = createSocket({ userId: 42, userInfo: {} });
+        userMessagesControllers(current, io);
+
+        current.handlers.disconnect_other_sessions();
+
+        expect(io.to).toHaveBeenCalledWith("user_42");
+        expect(io.broadcast.except).toHaveBeenCalledWith(current.id);
+        expect(io.roomEmit).toHaveBeenCalledWith("force_disconnect", expect.any(Object));
+        expect(io.broadcast.disconnectSockets).toHaveBeenCalledWith(true);
+    });
+});
+
+describe("mark_read", () => {
+    test("broadcasts message_read to the direct chat peer and the reader's devices", async () => {
+        configurationProvider.setConfig({
+            markMessagesRead: jest.fn().mockResolvedValue({
+                status: "success",
+                data: { userId: 3, peerUserId: 8, groupId: null, lastReadMessageId: 12 }
+            })
+        });
+        const io = createIo();
+        const socket = createSocket({ userId: 3, userInfo: {} });
+        userMessagesControllers(socket, io);
+
+        await socket.handlers.mark_read({ messageId: 12 });
+
+        expect(io.to).toHaveBeenCalledWith(["user_8", "user_3"]);
+        expect(io.roomEmit).toHaveBeenCalledWith("message_read", expect.objectContaining({
+            lastReadMessageId: 12,
+            readBy: 3
+        }));
+    });
+
+    test("reports service errors on mark_read_error", async () => {
+        configurationProvider.setConfig({
+            markMessagesRead: jest.fn().mockResolvedValue({ status: "error", message: "Message not found" })
+        });
+        const socket = createSocket({ userId: 3, userInfo: {} });
+        userMessagesControllers(socket, createIo());
+
+        await socket.handlers.mark_read({ messageId: 99 });
+
+        expect(socket.emit).toHaveBeenCalledWith("mark_read_error", {
+            messageId: 99,
+            error: "Message not found"
+        });
+    });
+});
+
+describe("reactions", () => {
+    const update = { messageId: 12, userId: 3, emoji: "👍", action: "added", reactions: [{ emoji: "👍", count: 1, userIds: [3] }] };
+
+    test("broadcasts message_reaction_updated to both direct chat participants", async () => {
+        const addReaction = jest.fn().mockResolvedValue({
+            status: "success",
+            data: { ...update, groupId: null, fromUserId: 8, toUserId: 3 }
+        });
+        configurationProvider.setConfig({ addReaction });
+        const io = createIo();
+        const socket = createSocket({ userId: 3, userInfo: {} });
+        userMessagesControllers(socket, io);
+
+        await socket.handlers.add_reaction({ messageId: 12, emoji: "👍" });
+
+        expect(addReaction).toHaveBeenCalledWith({ userId: 3, messageId: 12, emoji: "👍" });
+        expect(io.to).toHaveBeenCalledWith(["user_8", "user_3"]);
+        expect(io.roomEmit).toHaveBeenCalledWith("message_reaction_updated", { ...update, groupId: null });
+    });
+
+    test("broadcasts removals to the group room", async () => {
+        configurationProvider.setConfig({
+            removeReaction: jest.fn().mockResolvedValue({
+                status: "success",
+                data: { ...update, action: "removed", reactions: [], groupId: 5, fromUserId: 8, toUserId: null }
+            })
+        });
+        const io = createIo();
+        const socket = createSocket({ userId: 3, userInfo: {} });
+        userMessagesControllers(socket, io);
+
+        await socket.handlers.remove_reaction({ messageId: 12, emoji: "👍" });
+
+        expect(io.to).toHaveBeenCalledWith("group_5");
+        expect(io.roomEmit).toHaveBeenCalledWith("message_reaction_updated", expect.objectContaining({
+            groupId: 5,
+            action: "removed",
+            reactions: []
+        }));
+    });
+
+    test("reports invalid requests on reaction_error", async () => {
+        configurationProvider.setConfig({
+            addReaction: jest.fn().mockResolvedValue({ status: "error", message: "A single emoji is required." })
+        });
+        const io = createIo();
+        const socket = createSocket({ userId: 3, userInfo: {} });
+        userMessagesControllers(socket, io);
+
+        await socket.handlers.add_reaction({ messageId: 12 });
+        await socket.handlers.add_reaction({ messageId: 12, emoji: "ok" });
+
+        expect(socket.emit).toHaveBeenNthCalledWith(1, "reaction_error", {
+            messageId: 12, emoji: undefined, error: "messageId and emoji are required."
+        });
+        expect(socket.emit).toHaveBeenNthCalledWith(2, "reaction_error", {
+            messageId: 12, emoji: "ok", error: "A single emoji is required."
+        });
+        expect(io.roomEmit).not.toHaveBeenCalled();
+    });
+});
+
+describe("handleEditMessage", () => {
+    test("edits through the service and broadcasts message_edited", async () => {
+        const editedAt = new Date();
+        const editMessage = jest.fn().mockResolvedValue({
+            status: "success",
+            data: { id: 12, fromUserId: 3, toUserId: 8, groupId: null, messageText: "Hello", isEdited: true, editedAt }
+        });
+        configurationProvider.setConfig({ editMessage, sequelize: { query: jest.fn().mockResolvedValue([]) } });
+        const io = createIo();
+        const socket = createSocket({ userId: 3, userInfo: {} });
+        userMessagesControllers(socket, io);
+
+        await socket.handlers.handleEditMessage({ messageId: 12, messageText: "Hello" });
+
+        expect(editMessage).toHaveBeenCalledWith({ userId: 3, messageId: 12, messageText: "Hello" });
+        expect(socket.emit).toHaveBeenCalledWith("message_edited", expect.objectContaining({
+            id: 12, isEdited: true, edited: true, editedAt
+        }));
+        expect(io.to).toHaveBeenCalledWith(["user_8", "user_3"]);
+    });
+
+    test("reports rejected edits on edit_message_error", async () => {
+        configurationProvider.setConfig({
+            editMessage: jest.fn().mockResolvedValue({ status: "error", message: "Unauthorized to edit this message" })
+        });
+        const io = createIo();
+        const socket = createSocket({ userId: 3, userInfo: {} });
+        userMessagesControllers(socket, io);
+
+        await socket.handlers.handleEditMessage({ messageId: 12, messageText: "Hello" });
+
+        expect(socket.emit).toHaveBeenCalledWith("edit_message_error", {
+            messageId: 12,
+            error: "Unauthorized to edit this message"
+        });
+        expect(io.roomEmit).not.toHaveBeenCalled();
+    });
+});
+
+describe("handleDeleteMessage", () => {
+    const deletion = { messageId: 12, groupId: null, toUserId: 8, fromUserId: 3, deletedAt: new Date() };
+
+    test("sends delete-for-me only to the caller's own devices", async () => {
+        const deleteMessage = jest.fn().mockResolvedValue({
+            status: "success",
+            data: { ...deletion, fromUserId: 8, toUserId: 3, scope: "me" }
+        });
+        configurationProvider.setConfig({ deleteMessage });
+        const io = createIo();
+        const socket = createSocket({ userId: 3, userInfo: {} });
+        userMessagesControllers(socket, io);
+
+        await socket.handlers.handleDeleteMessage({ messageId: 12, scope: "me" });
+
+        expect(deleteMessage).toHaveBeenCalledWith({ userId: 3, messageId: 12, scope: "me" });
+        expect(io.to).toHaveBeenCalledWith("user_3");
+        expect(io.to).not.toHaveBeenCalledWith("user_8");
+        expect(io.roomEmit).toHaveBeenCalledWith("message_deleted", expect.objectContaining({ messageId: 12, scope: "me", deleted: true }));
+    });
+
+    test("broadcasts delete-for-everyone to the conversation", async () => {
+        configurationProvider.setConfig({
+            deleteMessage: jest.fn().mockResolvedValue({ status: "success", data: { ...deletion, scope: "everyone" } })
+        });
+        const io = createIo();
+        const socket = createSocket({ userId: 3, userInfo: {} });
+        userMessagesControllers(socket, io);
+
+        await socket.handlers.handleDeleteMessage({ messageId: 12 });
+
+        expect(socket.emit).toHaveBeenCalledWith("message_deleted", expect.objectContaining({ scope: "everyone" }));
+        expect(io.to).toHaveBeenCalledWith(["user_8", "user_3"]);
+    });
+
+    test("passes the error code of an expired window", async () => {
+        configurationProvider.setConfig({
+            deleteMessage: jest.fn().mockResolvedValue({
+                status: "error",
+                code: "DELETE_WINDOW_EXPIRED",
+                message: "This message can no longer be deleted for everyone."
+            })
+        });
+        const socket = createSocket({ userId: 3, userInfo: {} });
+        userMessagesControllers(socket, createIo());
+
+        await socket.handlers.handleDeleteMessage({ messageId: 12 });
+
+        expect(socket.emit).toHaveBeenCalledWith("delete_message_error", {
+            messageId: 12,
+            code: "DELETE_WINDOW_EXPIRED",
+            error: "This message can no longer be deleted for everyone."
+        });
+    });
+});
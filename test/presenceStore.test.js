@@ -0,0 +1,219 @@
+/**
+ * @file presenceStore.test.js
+ * Shared contract tests for every presence store implementation.
+ */
+
+const { MemoryPresenceStore } = require("../src/presence/MemoryPresenceStore");
+const { RedisPresenceStore } = require("../src/presence/RedisPresenceStore");
+
+/**
+ * Local stand-in for an ioredis client: only the commands the store uses,
+ * backed by one server ({ data, expiresAt }) shared between "nodes" like a
+ * real Redis server. Expiry follows Date.now(), so fake timers move it.
+ */
+function createRedisServer() {
+    return { data: new Map(), expiresAt: new Map() };
+}
+
+class FakeRedis {
+    constructor(server = createRedisServer()) {
+        this.server = server;
+    }
+
+    _get(key) {
+        const { data, expiresAt } = this.server;
+        if (expiresAt.has(key) && expiresAt.get(key) <= Date.now()) {
+            data.delete(key);
+            expiresAt.delete(key);
+        }
+        return data.get(key);
+    }
+
+    _put(key, value) {
+        this.server.data.set(key, value);
+    }
+
+    _set(key) {
+        if (!this._get(key)) this._put(key, new Set());
+        return this._get(key);
+    }
+
+    async sadd(key, ...members) { members.forEach(m => this._set(key).add(String(m))); }
+    async srem(key, ...members) { members.forEach(m => this._set(key).delete(String(m))); }
+    async smembers(key) { return Array.from(this._get(key) || []); }
+    async set(key, value, mode, seconds) {
+        this._put(key, String(value));
+        this.server.expiresAt.delete(key);
+        if (mode === "EX") this.server.expiresAt.set(key, Date.now() + seconds * 1000);
+    }
+    async get(key) { return this._get(key) ?? null; }
+    async mget(...keys) { return keys.map(key => this._get(key) ?? null); }
+    async del(...keys) { keys.forEach(k => { this.server.data.delete(k); this.server.expiresAt.delete(k); }); }
+    async expire(key, seconds) {
+        if (this._get(key) === undefined) return 0;
+        this.server.expiresAt.set(key, Date.now() + seconds * 1000);
+        return 1;
+    }
+    async hset(key, values) { this._put(key, { ...(this._get(key) || {}), ...values }); }
+    async hgetall(key) { return { ...(this._get(key) || {}) }; }
+
+    // Queues commands and runs them on exec(), answering [error, result] pairs like ioredis
+    pipeline() {
+        const queued = [];
+        const pipeline = {
+            exec: () => Promise.all(queued.map(run => run().then(result => [null, result], error => [error, null])))
+        };
+        ["smembers", "srem", "del", "hgetall"].forEach(command => {
+            pipeline[command] = (...args) => {
+                queued.push(() => this[command](...args));
+                return pipeline;
+            };
+        });
+        return pipeline;
+    }
+}
+
+const implementations = [
+    ["MemoryPresenceStore", () => new MemoryPresenceStore()],
+    ["RedisPresenceStore", () => new RedisPresenceStore({ client: new FakeRedis() })]
+];
+
+describe.each(implementations)("%s", (name, createStore) => {
+    let store;
+
+    beforeEach(() => {
+        store = createStore();
+    });
+
+    test("tracks several sockets per user", async () => {
+        expect(await store.addSocket(1, "a", { name: "Asha" })).toEqual({ wasOnline: false, devices: 1 });
+        expect(await store.addSocket(1, "b")).toEqual({ wasOnline: true, devices: 2 });
+
+        expect(await store.isOnline(1)).toBe(true);
+        expect((await store.getSocketIds(1)).sort()).toEqual(["a", "b"]);
+        expect(await store.getUser(1)).toEqual(expect.objectContaining({
+            userId: 1,
+            status: "online",
+            devices: 2,
+            userInfo: { name: "Asha" }
+        }));
+    });
+
+    test("goes offline only after the last socket is removed", async () => {
+        await store.addSocket(1, "a");
+        await store.addSocket(1, "b");
+        await store.addRoom(1, "group_3");
+
+        expect(await store.removeSocket("a")).toEqual({ userId: 1, remaining: 1 });
+        expect(await store.isOnline(1)).toBe(true);
+
+        expect(await store.removeSocket("b")).toEqual({ userId: 1, remaining: 0 });
+        expect(await store.isOnline(1)).toBe(false);
+        expect(await store.getUser(1)).toBeNull();
+        expect(await store.getRooms(1)).toEqual([]);
+        expect(await store.listOnline()).toEqual([]);
+    });
+
+    test("ignores unknown sockets", async () => {
+        expect(await store.removeSocket("missing")).toBeNull();
+        expect(await store.touch(99)).toBe(false);
+    });
+
+    test("lists online users and tracks rooms", async () => {
+        await store.addSocket(1, "a");
+        await store.addSocket(2, "c");
+        await store.addRoom(2, "group_5");
+        await store.addRoom(2, "group_6");
+        await store.removeRoom(2, "group_5");
+
+        const online = await store.listOnline();
+        expect(online.map(u => u.userId).sort()).toEqual([1, 2]);
+        expect(await store.getRooms(2)).toEqual(["group_6"]);
+        expect(await store.touch(1)).toBe(true);
+    });
+
+    test("ignores rooms of users who are not connected", async () => {
+        await store.addRoom(5, "group_3");
+        expect(await store.getRooms(5)).toEqual([]);
+
+        await store.addSocket(5, "a");
+        await store.addRoom(5, "group_3");
+        expect(await store.getRooms(5)).toEqual(["group_3"]);
+    });
+});
+
+describe("RedisPresenceStore across nodes", () => {
+    test("two processes sharing one redis see the same presence", async () => {
+        const server = createRedisServer();
+        const nodeA = new RedisPresenceStore({ client: new FakeRedis(server) });
+        const nodeB = new RedisPresenceStore({ client: new FakeRedis(server) });
+
+        await nodeA.addSocket(7, "socket-on-a");
+        await nodeB.addSocket(7, "socket-on-b");
+
+        expect(await nodeA.getUser(7)).toEqual(expect.objectContaining({ devices: 2 }));
+        expect(await nodeB.removeSocket("socket-on-a")).toEqual({ userId: 7, remaining: 1 });
+        expect(await nodeA.isOnline(7)).toBe(true);
+    });
+
+    test("forgets sockets of a node that died once their keys expire", async () => {
+        jest.useFakeTimers({ now: new Date("2026-03-01T09:00:00Z") });
+        try {
+            const server = createRedisServer();
+            const crashed = new RedisPresenceStore({ client: new FakeRedis(server), ttlSeconds: 60 });
+            const alive = new RedisPresenceStore({ client: new FakeRedis(server), ttlSeconds: 60 });
+
+            await crashed.addSocket(7, "socket-on-dead-node");
+            await crashed.addRoom(7, "group_3");
+            await alive.addSocket(7, "socket-on-b");
+            await alive.addSocket(8, "other-user");
+
+            // Only the live node keeps sending heartbeats
+            jest.advanceTimersByTime(40 * 1000);
+            expect(await alive.touch(7, "socket-on-b")).toBe(true);
+            expect(await alive.touch(8, "other-user")).toBe(true);
+            jest.advanceTimersByTime(40 * 1000);
+
+            expect(await alive.getSocketIds(7)).toEqual(["socket-on-b"]);
+            expect(await alive.getUser(7)).toEqual(expect.objectContaining({ devices: 1 }));
+            expect(await alive.removeSocket("socket-on-b")).toEqual({ userId: 7, remaining: 0 });
+
+            // Without heartbeats the whole user expires
+            await crashed.addSocket(9, "socket-on-dead-node-2");
+            jest.advanceTimersByTime(61 * 1000);
+            expect(await alive.isOnline(9)).toBe(false);
+            expect((await alive.listOnline()).map(user => user.userId)).toEqual([]);
+            expect(server.data.has("chat:presence:user:9")).toBe(false);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    test("lists online users in a fixed number of round trips", async () => {
+        const client = new FakeRedis();
+        const store = new RedisPresenceStore({ client });
+        await store.addSocket(1, "a", { name: "Asha" });
+        await store.addSocket(2, "b");
+        await store.addSocket(2, "c");
+        await client.del("chat:presence:socket:c");
+        const pipeline = jest.spyOn(client, "pipeline");
+        const mget = jest.spyOn(client, "mget");
+        const getUser = jest.spyOn(store, "getUser");
+
+        const online = await store.listOnline();
+
+        expect(online.sort((a, b) => a.userId - b.userId)).toEqual([
+            expect.objectContaining({ userId: 1, devices: 1, userInfo: { name: "Asha" } }),
+            expect.objectContaining({ userId: 2, devices: 1 })
+        ]);
+        expect(getUser).not.toHaveBeenCalled();
+        expect(mget).toHaveBeenCalledTimes(1);
+        // Reads, then the pruning of the expired socket
+        expect(pipeline).toHaveBeenCalledTimes(2);
+        expect(await client.smembers("chat:presence:sockets:2")).toEqual(["b"]);
+    });
+
+    test("requires a client", () => {
+        expect(() => new RedisPresenceStore()).toThrow("RedisPresenceStore requires a redis client");
+    });
+});
@@ -0,0 +1,220 @@
+/**
+ * @file sqlDialect.test.js
+ * Dialect layer for the raw queries, and the raw SQL paths run end to end on
+ * SQLite as the in-process stand-in for the non-PostgreSQL dialects.
+ */
+
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+const { Sequelize, Op } = require("sequelize");
+
+const { sqlDialect } = require("../src/utils/sqldialect");
+const initModels = require("../src/models/init_models");
+const { Service, configurationProvider } = require("../src/services/ChatService");
+const { getUserInfo } = require("../src/utils/helper");
+const MessageControllers = require("../src/controllers/MessageController");
+const { MemoryStorageDriver } = require("../src/storage/MemoryStorageDriver");
+const { createRes } = require("./helpers/http");
+
+jest.mock("../src/utils/filemanager", () => ({
+    fileManager: {
+        buildStorageEnv: jest.fn().mockResolvedValue(true),
+        listEntries: jest.fn().mockResolvedValue([])
+    }
+}));
+
+describe.each([
+    ["postgres", "\"", "\"fromUserId\" ILIKE :search", "\"firstName\" || ' ' || \"lastName\"", "LENGTH(x)"],
+    ["mysql", "`", "LOWER(`fromUserId`) LIKE LOWER(:search)", "CONCAT_WS(' ', `firstName`, `lastName`)", "CHAR_LENGTH(x)"],
+    ["sqlite", "`", "LOWER(`fromUserId`) LIKE LOWER(:search)", "`firstName` || ' ' || `lastName`", "LENGTH(x)"]
+])("sqlDialect(%s)", (name, q, iLike, concat, charLength) => {
+    const sequelize = new Sequelize({ dialect: name, storage: ":memory:", logging: false });
+    const dialect = sqlDialect(sequelize);
+
+    test("quotes identifiers natively and leaves string literals alone", () => {
+        expect(dialect.quote("fromUserId")).toBe(`${q}fromUserId${q}`);
+        expect(dialect.sql(`SELECT m."toUserId" FROM t m WHERE m."messageType" <> 'a "quoted" word'`))
+            .toBe(`SELECT m.${q}toUserId${q} FROM t m WHERE m.${q}messageType${q} <> 'a "quoted" word'`);
+    });
+
+    test("builds case-insensitive matches, concatenation and lengths", () => {
+        expect(dialect.iLike(dialect.quote("fromUserId"), ":search")).toBe(iLike);
+        expect(dialect.iLikeOp).toBe(name === "postgres" ? Op.iLike : Op.like);
+        expect(dialect.concat(["firstName", "lastName"].map(dialect.quote), " ")).toBe(concat);
+        expect(dialect.concat([dialect.quote("name")], " ")).toBe(`${q}name${q}`);
+        expect(dialect.charLength("x")).toBe(charLength);
+    });
+
+    test("keeps the public schema to PostgreSQL", () => {
+        const models = initModels(sequelize);
+        expect(dialect.table(models.group)).toBe(name === "postgres" ? "\"public\".\"groupsmaster\"" : "`groupsmaster`");
+        expect(dialect.table(models.GroupMember)).toBe(name === "postgres" ? "\"public\".\"groupuserslines\"" : "`groupuserslines`");
+    });
+});
+
+describe("raw SQL paths on SQLite", () => {
+    const storage = path.join(os.tmpdir(), `chat-dialect-${process.pid}.sqlite`);
+    const userModel = {
+        name: "appusers",
+        columns: {
+            id: { columns: ["userId"] },
+            username: { columns: ["firstName", "lastName"] },
+            email: { columns: ["email"] }
+        }
+    };
+    let models;
+    let config;
+
+    beforeAll(async () => {
+        // Host user table, with its own id column name
+        const host = new Sequelize({ dialect: "sqlite", storage, logging: false });
+        await host.query(`CREATE TABLE appusers ("userId" INTEGER PRIMARY KEY, "firstName" TEXT, "lastName" TEXT, "email" TEXT)`);
+        await host.query(`INSERT INTO appusers VALUES
+            (1, 'Ravi', 'Kumar', 'ravi@example.com'),
+            (2, 'Mei', 'Lin', 'mei@example.com'),
+            (3, 'Ana', 'Silva', 'ana@example.com'),
+            (4, 'Tom', 'Meier', 'tom@example.com')`);
+        await host.close();
+
+        config = await new Service().init({
+            dbconfig: { host: "localhost", username: "chat", password: "chat", database: "chat", dialect: "sqlite", storage },
+            userModel,
+            storage: new MemoryStorageDriver()
+        });
+        models = config.models;
+
+        const at = minutes => new Date(Date.UTC(2026, 2, 1, 9, minutes));
+        await models.group.bulkCreate([
+            { id: 10, name: "Design Team", createdBy: 1, createdAt: at(0) },
+            { id: 11, name: "Quiet Room", createdBy: 3, createdAt: at(1) }
+        ]);
+        await models.GroupMember.bulkCreate([
+            { groupId: 10, userId: 1, role: "owner" },
+            { groupId: 10, userId: 2 },
+            { groupId: 10, userId: 4 },
+            { groupId: 11, userId: 3, role: "owner" },
+            { groupId: 11, userId: 1 }
+        ]);
+        await models.message.bulkCreate([
+            { id: 1, fromUserId: 2, toUserId: 1, messageType: "text", messageText: "Is the Invoice ready?", createdAt: at(2) },
+            { id: 2, fromUserId: 1, toUserId: 2, messageType: "text", messageText: "Sending the invoice now", createdAt: at(3) },
+            { id: 3, fromUserId: 2, toUserId: 1, messageType: "text", messageText: "Thanks, invoice received", createdAt: at(4) },
+            { id: 4, fromUserId: 4, groupId: 10, messageType: "text", messageText: "Draft of the invoice layout", createdAt: at(5) },
+            { id: 5, fromUserId: 1, groupId: 10, messageType: "system", messageText: "Ravi Kumar added Tom Meier", createdAt: at(6) },
+            { id: 6, fromUserId: 3, toUserId: 1, messageType: "text", messageText: "Lunch?", createdAt: at(7) },
+            { id: 7, fromUserId: 2, toUserId: 3, messageType: "text", messageText: "private invoice", createdAt: at(8) }
+        ]);
+        await models.MessageReadState.create({ userId: 1, peerUserId: 2, groupId: null, lastReadMessageId: 1 });
+        await models.HiddenMessage.create({ userId: 1, messageId: 6 });
+    });
+
+    afterAll(async () => {
+        await config?.sequelize.close();
+        fs.rmSync(storage, { force: true });
+    });
+
+    test("validates the host user table through the dialect", async () => {
+        expect(await sqlDialect(config.sequelize).columnsOf("appusers")).toEqual(["userId", "firstName", "lastName", "email"]);
+        expect(await sqlDialect(config.sequelize).columnsOf("missing")).toEqual([]);
+    });
+
+    test("resolves a user with the concatenated name", async () => {
+        expect(await getUserInfo(2)).toEqual({ id: 2, username: "Mei Lin" });
+    });
+
+    test("searches and pages the host user table", async () => {
+        const res = await config.getAllUsers({ userId: 1, search: "MEI", currentPage: 1, totalRecords: 1 });
+
+        expect(res.totalRecords).toBe(2);
+        expect(res.data.map(user => user.username)).toEqual(["Tom Meier"]);
+
+        const second = await config.getAllUsers({ userId: 1, search: "mei", currentPage: 2, totalRecords: 1 });
+        expect(second.data.map(user => user.username)).toEqual(["Mei Lin"]);
+    });
+
+    test("lists chat users with their last written message", async () => {
+        const res = await config.getAllUsers({ userId: 1, moduleValue: 1, totalRecords: 10 });
+
+        // "Lunch?" is hidden for user 1, so Ana has no preview left
+        expect(res.data.map(user => [user.id, user.lastMessage, user.messageExists])).toEqual([
+            ["2", "Thanks, invoice received", true],
+            ["3", undefined, false]
+        ]);
+        expect(res.data.find(user => user.id === "2").unreadCount).toBe(1);
+    });
+
+    test("previews the latest message the user has not hidden", async () => {
+        await models.HiddenMessage.create({ userId: 1, messageId: 3 });
+        try {
+            const res = await config.getAllUsers({ userId: 1, moduleValue: 1, totalRecords: 10 });
+            expect(res.data.find(user => user.id === "2").lastMessage).toBe("Sending the invoice now");
+
+            const peer = await config.getAllUsers({ userId: 2, moduleValue: 1, totalRecords: 10 });
+            expect(peer.data.find(user => user.id === "1").lastMessage).toBe("Thanks, invoice received");
+        } finally {
+            await models.HiddenMessage.destroy({ where: { userId: 1, messageId: 3 } });
+        }
+    });
+
+    test("searches groups case-insensitively", async () => {
+        const res = await config.getGroups({ search: "design", userId: 1 });
+
+        expect(res.data.map(group => group.name)).toEqual(["Design Team"]);
+    });
+
+    test("lists assigned and unassigned group users", async () => {
+        const assigned = await config.getGroupManageUsers({ groupId: 10, assigned: 0, userId: 1 });
+        const unassigned = await config.getGroupManageUsers({ groupId: 10, assigned: 1, search: "ana", userId: 1 });
+
+        expect(assigned.data.map(user => [user.username, user.role])).toEqual([["Tom Meier", "member"], ["Mei Lin", "member"]]);
+        expect(unassigned.data.map(user => user.username)).toEqual(["Ana Silva"]);
+    });
+
+    test("builds the conversation inbox in SQL", async () => {
+        const res = await config.getConversations({ userId: 1, limit: 10 });
+
+        expect(res.data.map(c => [c.type, c.id, c.lastMessage?.snippet || null, c.unreadCount])).toEqual([
+            ["group", 10, "Ravi Kumar added Tom Meier", 1],
+            ["direct", 2, "Thanks, invoice received", 1],
+            ["group", 11, null, 0]
+        ]);
+        expect(res.pagination.totalRecords).toBe(3);
+    });
+
+    test("does not count messages the user hid as unread", async () => {
+        const hidden = await models.HiddenMessage.create({ userId: 1, messageId: 4 });
+        try {
+            const inbox = await config.getConversations({ userId: 1, limit: 10 });
+            const groups = await config.getGroups({ userId: 1 });
+
+            expect(inbox.data.find(c => c.type === "group" && c.id === 10).unreadCount).toBe(0);
+            expect(groups.data.find(group => group.id === 10).unreadCount).toBe(0);
+        } finally {
+            await hidden.destroy();
+        }
+    });
+
+    test("falls back to LIKE search across the caller's conversations", async () => {
+        const res = await config.searchMessages({ userId: 1, query: "INVOICE" });
+
+        expect(res.data.map(hit => hit.id).sort()).toEqual([1, 2, 3, 4]);
+        expect(res.data.find(hit => hit.id === 1).snippet).toBe("Is the <mark>Invoice</mark> ready?");
+        expect(res.data.find(hit => hit.id === 4).conversation).toEqual({ type: "group", id: 10, group: { id: 10, name: "Design Team" } });
+
+        const fromMei = await config.searchMessages({ userId: 1, query: "invoice", fromUserId: 2 });
+        expect(fromMei.data.map(hit => hit.id).sort()).toEqual([1, 3]);
+    });
+
+    test("fetches a conversation with search and the hidden-message filter", async () => {
+        const res = createRes();
+        await MessageControllers.fetchMessages({ query: { fromUserId: "1", toUserId: "2", search: "INVOICE" }, user_data: { user_id: 1 } }, res);
+
+        const body = res.json.mock.calls[0][0];
+        expect(body.data.map(m => [m.id, m.senderName])).toEqual([[3, "Mei Lin"], [2, "Ravi Kumar"], [1, "Mei Lin"]]);
+
+        const hidden = createRes();
+        await MessageControllers.fetchMessages({ query: { fromUserId: "1", toUserId: "3" }, user_data: { user_id: 1 } }, hidden);
+        expect(hidden.json.mock.calls[0][0].data).toEqual([]);
+    });
+});